@@ -0,0 +1,142 @@
+const dgram = require("dgram");
+
+const SACN_PORT = 5568;
+const ARTNET_PORT = 6454;
+const ACN_PACKET_ID = Buffer.from("ASC-E1.17\0\0\0", "latin1");
+const ARTNET_ID = Buffer.from("Art-Net\0", "latin1");
+const ARTNET_OP_DMX = 0x5000;
+// E1.31 sources that stop sending are dropped after the spec's network data loss timeout.
+const SOURCE_TIMEOUT_MS = 2500;
+const SEND_INTERVAL_MS = 20;
+
+// E1.31 data packet: root layer, framing layer, then DMP with the start code at 125.
+function parseSacn(msg) {
+  if (msg.length < 126 || !msg.subarray(4, 16).equals(ACN_PACKET_ID)) return null;
+  if (msg.readUInt32BE(18) !== 0x00000004 || msg.readUInt32BE(40) !== 0x00000002 || msg[117] !== 0x02) return null;
+  if (msg[125] !== 0) return null;
+  const count = Math.min(msg.readUInt16BE(123) - 1, msg.length - 126, 512);
+  if (count < 0) return null;
+  return {
+    protocol: "sacn",
+    source: msg.subarray(22, 38).toString("hex"),
+    priority: msg[108],
+    terminated: Boolean(msg[112] & 0x40),
+    universe: msg.readUInt16BE(113),
+    data: msg.subarray(126, 126 + count)
+  };
+}
+
+// ArtDmx: port address is 15 bits (net, sub-net, universe). Art-Net counts from 0 and sACN
+// from 1, so port address 0 lands on universe 1, the way most consoles line the two up.
+function parseArtnet(msg, sender) {
+  if (msg.length < 18 || !msg.subarray(0, 8).equals(ARTNET_ID)) return null;
+  if (msg.readUInt16LE(8) !== ARTNET_OP_DMX) return null;
+  const count = Math.min(msg.readUInt16BE(16), msg.length - 18, 512);
+  return {
+    protocol: "artnet",
+    source: sender,
+    priority: 100,
+    terminated: false,
+    universe: (((msg[15] & 0x7f) << 8) | msg[14]) + 1,
+    data: msg.subarray(18, 18 + count)
+  };
+}
+
+function sacnMulticastGroup(universe) {
+  return `239.255.${(universe >> 8) & 0xff}.${universe & 0xff}`;
+}
+
+// Listens for sACN and/or Art-Net and hands each universe's merged 512 levels to onFrame,
+// at most every SEND_INTERVAL_MS. Several senders on one universe merge the way E1.31
+// receivers usually do: the highest priority wins, equal priorities merge highest-takes-precedence.
+function createDmxInput({ onFrame }) {
+  let sockets = [];
+  const universes = new Map();
+  const dirty = new Set();
+  let flushTimer = null;
+
+  function flush() {
+    flushTimer = null;
+    const now = Date.now();
+    dirty.forEach((universe) => {
+      const sources = universes.get(universe);
+      if (!sources) return;
+      sources.forEach((entry, key) => {
+        if (now - entry.time > SOURCE_TIMEOUT_MS) sources.delete(key);
+      });
+      const live = Array.from(sources.values());
+      const top = Math.max(0, ...live.map((s) => s.priority));
+      const merged = new Uint8Array(512);
+      live.filter((s) => s.priority === top).forEach((s) => {
+        for (let i = 0; i < s.data.length; i += 1) merged[i] = Math.max(merged[i], s.data[i]);
+      });
+      onFrame({ universe, values: merged, sources: live.length });
+    });
+    dirty.clear();
+  }
+
+  function receive(packet) {
+    if (!packet || packet.universe < 1) return;
+    if (!universes.has(packet.universe)) universes.set(packet.universe, new Map());
+    const sources = universes.get(packet.universe);
+    const key = `${packet.protocol}:${packet.source}`;
+    if (packet.terminated) sources.delete(key);
+    else sources.set(key, { priority: packet.priority, data: Uint8Array.from(packet.data), time: Date.now() });
+    dirty.add(packet.universe);
+    if (!flushTimer) flushTimer = setTimeout(flush, SEND_INTERVAL_MS);
+  }
+
+  function bind(port, onMessage) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: "udp4", reuseAddr: true });
+      socket.once("error", reject);
+      socket.on("message", onMessage);
+      socket.bind(port, () => {
+        socket.removeListener("error", reject);
+        // A dropped packet is not worth tearing the listener down for.
+        socket.on("error", () => {});
+        resolve(socket);
+      });
+    });
+  }
+
+  async function stop() {
+    const closing = sockets;
+    sockets = [];
+    universes.clear();
+    dirty.clear();
+    if (flushTimer) clearTimeout(flushTimer);
+    flushTimer = null;
+    await Promise.all(closing.map((socket) => new Promise((resolve) => socket.close(resolve))));
+  }
+
+  // protocol is "sacn", "artnet" or "both"; sACN joins the multicast group of each patched universe.
+  async function start({ protocol = "both", patchedUniverses = [] } = {}) {
+    await stop();
+    try {
+      if (protocol === "sacn" || protocol === "both") {
+        const socket = await bind(SACN_PORT, (msg) => receive(parseSacn(msg)));
+        patchedUniverses.forEach((universe) => {
+          try {
+            socket.addMembership(sacnMulticastGroup(universe));
+          } catch {
+            // Unicast sACN still arrives without the group, e.g. with no network interface up.
+          }
+        });
+        sockets.push(socket);
+      }
+      if (protocol === "artnet" || protocol === "both") {
+        sockets.push(await bind(ARTNET_PORT, (msg, rinfo) => receive(parseArtnet(msg, rinfo.address))));
+      }
+      return { ok: true };
+    } catch (error) {
+      await stop();
+      const port = error && error.code === "EADDRINUSE" ? " The port is already in use by another program." : "";
+      return { ok: false, message: `Could not open the DMX input.${port}` };
+    }
+  }
+
+  return { start, stop };
+}
+
+module.exports = { createDmxInput, parseSacn, parseArtnet };
@@ -3,10 +3,29 @@ const fs = require("fs");
 const path = require("path");
 const os = require("os");
 const { execFile } = require("child_process");
+const { createDmxInput } = require("./dmxInput");
+const { createOscServer } = require("./oscServer");
+const { readZip, writeZip } = require("./zipArchive");
 
 let mainWindow = null;
+const dmxInput = createDmxInput({
+  onFrame: (frame) => {
+    if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send("dmx:frame", frame);
+  }
+});
+const oscServer = createOscServer({
+  onMessage: (message) => {
+    if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send("osc:message", message);
+  },
+  onError: (message) => {
+    // eslint-disable-next-line no-console
+    console.warn(`[osc] ${message}`);
+  }
+});
 
 const STATE_FILE = () => path.join(app.getPath("userData"), "state.json");
+const PROFILES_FILE = () => path.join(app.getPath("userData"), "fixture-profiles.json");
+const GDTF_DIR = () => path.join(app.getPath("userData"), "gdtf");
 
 function createWindow() {
   mainWindow = new BrowserWindow({
@@ -90,6 +109,15 @@ ipcMain.handle("dialog:pickFile", async (_, payload) => {
   return result.filePaths[0];
 });
 
+ipcMain.handle("dialog:pickFolder", async (_, payload) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: payload?.title || "Select folder",
+    properties: ["openDirectory", "createDirectory"]
+  });
+  if (result.canceled || !result.filePaths.length) return null;
+  return result.filePaths[0];
+});
+
 ipcMain.handle("file:readBinary", async (_, filePath) => {
   try {
     const data = await fs.promises.readFile(filePath);
@@ -107,29 +135,74 @@ ipcMain.handle("file:readBinary", async (_, filePath) => {
   }
 });
 
-ipcMain.handle("file:savePng", async (_, payload) => {
-  const { suggestedName, base64Png, bytes } = payload;
+// HQ render exports. The renderer encodes the chosen format; this picks the matching filter.
+const RENDER_FORMATS = {
+  png: { name: "PNG Image", extensions: ["png"] },
+  png16: { name: "16-bit PNG Image", extensions: ["png"] },
+  exr: { name: "OpenEXR Image (linear, half float)", extensions: ["exr"] }
+};
+
+ipcMain.handle("file:saveRender", async (_, payload) => {
+  const { format, suggestedName, bytes } = payload;
+  const filter = RENDER_FORMATS[format];
+  if (!filter) return { ok: false, message: `Unknown render format: ${format}.` };
   const result = await dialog.showSaveDialog(mainWindow, {
     title: "Export High Quality Render",
-    defaultPath: suggestedName || "lighting-render.png",
-    filters: [{ name: "PNG Image", extensions: ["png"] }]
+    defaultPath: suggestedName || `lighting-render.${filter.extensions[0]}`,
+    filters: [filter]
   });
   if (result.canceled || !result.filePath) return { ok: false, canceled: true };
   try {
-    let output = null;
-    if (bytes) {
-      if (ArrayBuffer.isView(bytes)) output = Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
-      else if (bytes instanceof ArrayBuffer) output = Buffer.from(bytes);
-      else output = Buffer.from(bytes);
-    } else if (base64Png) {
-      output = Buffer.from(base64Png, "base64");
-    } else {
-      return { ok: false, message: "No PNG payload was provided." };
-    }
-    await fs.promises.writeFile(result.filePath, output);
+    await fs.promises.writeFile(result.filePath, Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+    return { ok: true, filePath: result.filePath };
+  } catch (error) {
+    return { ok: false, message: "Failed to export the render. Please try another location." };
+  }
+});
+
+// Plain text exports such as USITT ASCII show files.
+ipcMain.handle("file:saveText", async (_, payload) => {
+  const { title, suggestedName, filterName, extensions, text } = payload;
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: title || "Save File",
+    defaultPath: suggestedName,
+    filters: [{ name: filterName || "Text", extensions: extensions || ["txt"] }]
+  });
+  if (result.canceled || !result.filePath) return { ok: false, canceled: true };
+  try {
+    await fs.promises.writeFile(result.filePath, String(text || ""), "utf-8");
     return { ok: true, filePath: result.filePath };
   } catch (error) {
-    return { ok: false, message: "Failed to export PNG. Please try another location." };
+    return { ok: false, message: "Failed to save the file. Please try another location." };
+  }
+});
+
+// Binary exports such as rendered video.
+ipcMain.handle("file:saveBinary", async (_, payload) => {
+  const { title, suggestedName, filterName, extensions, bytes } = payload;
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: title || "Save File",
+    defaultPath: suggestedName,
+    filters: [{ name: filterName || "File", extensions: extensions || ["*"] }]
+  });
+  if (result.canceled || !result.filePath) return { ok: false, canceled: true };
+  try {
+    await fs.promises.writeFile(result.filePath, Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+    return { ok: true, filePath: result.filePath };
+  } catch (error) {
+    return { ok: false, message: "Failed to save the file. Please try another location." };
+  }
+});
+
+// One file of an image sequence, into a folder picked with dialog:pickFolder.
+ipcMain.handle("file:writeInFolder", async (_, payload) => {
+  const { folder, name, bytes } = payload;
+  try {
+    const filePath = path.join(folder, path.basename(name));
+    await fs.promises.writeFile(filePath, Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength));
+    return { ok: true, filePath };
+  } catch (error) {
+    return { ok: false, message: `Could not write ${path.basename(name)}.` };
   }
 });
 
@@ -151,6 +224,48 @@ ipcMain.handle("state:load", async () => {
   }
 });
 
+ipcMain.handle("profiles:load", async () => {
+  try {
+    const raw = await fs.promises.readFile(PROFILES_FILE(), "utf-8");
+    return { ok: true, data: JSON.parse(raw), filePath: PROFILES_FILE() };
+  } catch (error) {
+    if (error && error.code === "ENOENT") return { ok: true, data: null, filePath: PROFILES_FILE() };
+    return { ok: false, message: "fixture-profiles.json is not valid JSON.", filePath: PROFILES_FILE() };
+  }
+});
+
+ipcMain.handle("profiles:save", async (_, data) => {
+  try {
+    await fs.promises.writeFile(PROFILES_FILE(), JSON.stringify(data, null, 2), "utf-8");
+    return { ok: true, filePath: PROFILES_FILE() };
+  } catch (error) {
+    return { ok: false, message: "Could not save fixture profiles." };
+  }
+});
+
+ipcMain.handle("dmx:start", async (_, options) => dmxInput.start(options));
+
+ipcMain.handle("dmx:stop", async () => {
+  await dmxInput.stop();
+  return { ok: true };
+});
+
+ipcMain.handle("osc:start", async (_, options) => oscServer.start(options));
+
+ipcMain.handle("osc:stop", async () => {
+  await oscServer.stop();
+  return { ok: true };
+});
+
+ipcMain.handle("osc:send", async (_, messages) => {
+  try {
+    (Array.isArray(messages) ? messages : []).forEach((m) => oscServer.send(m.address, m.args));
+    return { ok: true };
+  } catch (error) {
+    return { ok: false, message: `Could not send OSC: ${error.message}` };
+  }
+});
+
 ipcMain.handle("app:getDefaultAssets", async () => {
   const base = app.getAppPath();
   return {
@@ -213,6 +328,96 @@ ipcMain.handle("archive:extractMaterialPackage", async (_, zipPath) => {
   }
 });
 
+// GDTF files are zips. Wheel images are unpacked under the app data folder, one folder per
+// fixture file, so gobos loaded from them still resolve after a restart.
+async function unpackGdtf(baseName, entries) {
+  const description = entries.find((entry) => entry.name.toLowerCase() === "description.xml");
+  if (!description) return null;
+  const folder = path.join(GDTF_DIR(), baseName.replace(/[^\w.-]+/g, "_"));
+  await fs.promises.rm(folder, { recursive: true, force: true });
+  const mediaFiles = [];
+  for (const entry of entries) {
+    if (!/^wheels\//i.test(entry.name)) continue;
+    const target = path.join(folder, ...entry.name.split("/"));
+    if (!target.startsWith(folder + path.sep)) continue;
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    await fs.promises.writeFile(target, entry.data);
+    mediaFiles.push(target);
+  }
+  return { descriptionXml: description.data.toString("utf-8"), mediaFiles };
+}
+
+ipcMain.handle("archive:extractGdtf", async (_, filePath) => {
+  try {
+    const unpacked = await unpackGdtf(path.basename(filePath, path.extname(filePath)), readZip(await fs.promises.readFile(filePath)));
+    if (!unpacked) return { ok: false, message: "No description.xml in that GDTF file." };
+    return { ok: true, ...unpacked };
+  } catch (error) {
+    return { ok: false, message: "Could not read that GDTF file." };
+  }
+});
+
+// MVR files are zips of GeneralSceneDescription.xml, the GDTF files it references and the
+// scenery models. Embedded GDTF files are copied next to their unpacked wheels so an export
+// can pack them again.
+ipcMain.handle("archive:readMvr", async (_, filePath) => {
+  try {
+    const entries = readZip(await fs.promises.readFile(filePath));
+    const scene = entries.find((entry) => entry.name.toLowerCase() === "generalscenedescription.xml");
+    if (!scene) return { ok: false, message: "No GeneralSceneDescription.xml in that MVR file." };
+    const gdtfFiles = [];
+    const models = [];
+    for (const entry of entries) {
+      const fileName = entry.name.split("/").pop();
+      const ext = path.extname(fileName).toLowerCase();
+      if (ext === ".gdtf") {
+        const baseName = path.basename(fileName, ext);
+        let unpacked = null;
+        try {
+          unpacked = await unpackGdtf(baseName, readZip(entry.data));
+        } catch {
+          // A damaged fixture type only loses its profile; the fixtures still import.
+        }
+        if (!unpacked) continue;
+        await fs.promises.mkdir(GDTF_DIR(), { recursive: true });
+        const gdtfPath = path.join(GDTF_DIR(), `${baseName.replace(/[^\w.-]+/g, "_")}.gdtf`);
+        await fs.promises.writeFile(gdtfPath, entry.data);
+        gdtfFiles.push({ fileName, filePath: gdtfPath, ...unpacked });
+      } else if ([".3ds", ".glb"].includes(ext)) {
+        models.push({ fileName, ext: ext.slice(1), bytes: new Uint8Array(entry.data) });
+      }
+    }
+    return { ok: true, sceneXml: scene.data.toString("utf-8"), gdtfFiles, models };
+  } catch (error) {
+    return { ok: false, message: "Could not read that MVR file." };
+  }
+});
+
+ipcMain.handle("mvr:save", async (_, payload) => {
+  const { suggestedName, sceneXml, gdtfFiles } = payload;
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: "Export MVR Scene",
+    defaultPath: suggestedName || "lighting-preview.mvr",
+    filters: [{ name: "My Virtual Rig", extensions: ["mvr"] }]
+  });
+  if (result.canceled || !result.filePath) return { ok: false, canceled: true };
+  try {
+    const entries = [{ name: "GeneralSceneDescription.xml", data: Buffer.from(sceneXml, "utf-8") }];
+    const missing = [];
+    for (const file of gdtfFiles || []) {
+      try {
+        entries.push({ name: file.name, data: await fs.promises.readFile(file.path) });
+      } catch {
+        missing.push(file.name);
+      }
+    }
+    await fs.promises.writeFile(result.filePath, writeZip(entries));
+    return { ok: true, filePath: result.filePath, missing };
+  } catch (error) {
+    return { ok: false, message: "Failed to export MVR. Please try another location." };
+  }
+});
+
 app.whenReady().then(() => {
   cleanupLegacyTempPackages();
   createWindow();
@@ -222,5 +427,7 @@ app.whenReady().then(() => {
 });
 
 app.on("window-all-closed", () => {
+  dmxInput.stop();
+  oscServer.stop();
   if (process.platform !== "darwin") app.quit();
 });
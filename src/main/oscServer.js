@@ -0,0 +1,172 @@
+const dgram = require("dgram");
+
+// Clients that have sent anything recently get state changes echoed back to them.
+const CLIENT_TIMEOUT_MS = 10 * 60 * 1000;
+
+function pad4(n) {
+  return (n + 3) & ~3;
+}
+
+function readString(buf, offset) {
+  const end = buf.indexOf(0, offset);
+  if (end < 0) throw new Error("Unterminated OSC string.");
+  return { value: buf.toString("utf-8", offset, end), next: pad4(end + 1) };
+}
+
+function parseMessage(buf) {
+  const address = readString(buf, 0);
+  if (!address.value.startsWith("/")) throw new Error("OSC address must start with /.");
+  const args = [];
+  if (address.next >= buf.length) return { address: address.value, args };
+  const tags = readString(buf, address.next);
+  let offset = tags.next;
+  for (const tag of tags.value.slice(1)) {
+    if (tag === "i") {
+      args.push(buf.readInt32BE(offset));
+      offset += 4;
+    } else if (tag === "f") {
+      args.push(buf.readFloatBE(offset));
+      offset += 4;
+    } else if (tag === "d") {
+      args.push(buf.readDoubleBE(offset));
+      offset += 8;
+    } else if (tag === "h") {
+      args.push(Number(buf.readBigInt64BE(offset)));
+      offset += 8;
+    } else if (tag === "s" || tag === "S") {
+      const str = readString(buf, offset);
+      args.push(str.value);
+      offset = str.next;
+    } else if (tag === "b") {
+      const size = buf.readInt32BE(offset);
+      args.push(Uint8Array.from(buf.subarray(offset + 4, offset + 4 + size)));
+      offset = pad4(offset + 4 + size);
+    } else if (tag === "T") {
+      args.push(true);
+    } else if (tag === "F") {
+      args.push(false);
+    } else if (tag === "N" || tag === "I") {
+      args.push(null);
+    } else {
+      throw new Error(`Unsupported OSC type tag "${tag}".`);
+    }
+  }
+  return { address: address.value, args };
+}
+
+// Bundles are unpacked in order and run immediately; time tags are not scheduled.
+function parsePacket(buf) {
+  if (buf.length >= 16 && buf.toString("latin1", 0, 8) === "#bundle\0") {
+    const messages = [];
+    let offset = 16;
+    while (offset + 4 <= buf.length) {
+      const size = buf.readInt32BE(offset);
+      messages.push(...parsePacket(buf.subarray(offset + 4, offset + 4 + size)));
+      offset += 4 + size;
+    }
+    return messages;
+  }
+  return [parseMessage(buf)];
+}
+
+function encodeString(value) {
+  const raw = Buffer.from(`${value}\0`, "utf-8");
+  const out = Buffer.alloc(pad4(raw.length));
+  raw.copy(out);
+  return out;
+}
+
+function encodeMessage(address, args = []) {
+  let tags = ",";
+  const parts = [];
+  // Integers that do not fit OSC's int32 go out as floats.
+  args.forEach((arg) => {
+    if (typeof arg === "boolean") {
+      tags += arg ? "T" : "F";
+    } else if (Number.isInteger(arg) && arg >= -0x80000000 && arg <= 0x7fffffff) {
+      tags += "i";
+      const b = Buffer.alloc(4);
+      b.writeInt32BE(arg);
+      parts.push(b);
+    } else if (typeof arg === "number") {
+      tags += "f";
+      const b = Buffer.alloc(4);
+      b.writeFloatBE(arg);
+      parts.push(b);
+    } else {
+      tags += "s";
+      parts.push(encodeString(String(arg)));
+    }
+  });
+  return Buffer.concat([encodeString(address), encodeString(tags), ...parts]);
+}
+
+// UDP OSC server. Every incoming message goes to onMessage; send() echoes to every client heard
+// from recently, on replyPort when set (QLab and most consoles listen on a fixed port) or else
+// back to the port the client sent from.
+function createOscServer({ onMessage, onError }) {
+  let socket = null;
+  let replyPort = 0;
+  const clients = new Map();
+
+  async function stop() {
+    const closing = socket;
+    socket = null;
+    clients.clear();
+    if (closing) await new Promise((resolve) => closing.close(resolve));
+  }
+
+  async function start({ port = 8000, replyPort: reply = 0 } = {}) {
+    await stop();
+    replyPort = reply;
+    try {
+      socket = await new Promise((resolve, reject) => {
+        const s = dgram.createSocket({ type: "udp4", reuseAddr: true });
+        s.once("error", reject);
+        s.on("message", (msg, rinfo) => {
+          clients.set(`${rinfo.address}:${rinfo.port}`, { address: rinfo.address, port: rinfo.port, time: Date.now() });
+          let messages;
+          try {
+            messages = parsePacket(msg);
+          } catch (error) {
+            if (onError) onError(`Ignored malformed OSC from ${rinfo.address}: ${error.message}`);
+            return;
+          }
+          messages.forEach((m) => onMessage({ ...m, from: rinfo.address }));
+        });
+        s.bind(port, () => {
+          s.removeListener("error", reject);
+          s.on("error", () => {});
+          resolve(s);
+        });
+      });
+      return { ok: true, port };
+    } catch (error) {
+      socket = null;
+      const inUse = error && error.code === "EADDRINUSE" ? ` Port ${port} is already in use.` : "";
+      return { ok: false, message: `Could not start the OSC server.${inUse}` };
+    }
+  }
+
+  function send(address, args) {
+    if (!socket) return;
+    const packet = encodeMessage(address, args);
+    const now = Date.now();
+    const targets = new Set();
+    clients.forEach((client, key) => {
+      if (now - client.time > CLIENT_TIMEOUT_MS) {
+        clients.delete(key);
+        return;
+      }
+      targets.add(`${client.address}:${replyPort || client.port}`);
+    });
+    targets.forEach((target) => {
+      const split = target.lastIndexOf(":");
+      socket.send(packet, Number(target.slice(split + 1)), target.slice(0, split));
+    });
+  }
+
+  return { start, stop, send };
+}
+
+module.exports = { createOscServer, parsePacket, encodeMessage };
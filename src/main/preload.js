@@ -2,11 +2,35 @@ const { contextBridge, ipcRenderer } = require("electron");
 
 contextBridge.exposeInMainWorld("appApi", {
   pickFile: (payload) => ipcRenderer.invoke("dialog:pickFile", payload),
+  pickFolder: (payload) => ipcRenderer.invoke("dialog:pickFolder", payload),
   readBinaryFile: (filePath) => ipcRenderer.invoke("file:readBinary", filePath),
-  savePng: (payload) => ipcRenderer.invoke("file:savePng", payload),
+  saveRender: (payload) => ipcRenderer.invoke("file:saveRender", payload),
+  saveText: (payload) => ipcRenderer.invoke("file:saveText", payload),
+  saveBinary: (payload) => ipcRenderer.invoke("file:saveBinary", payload),
+  writeFileInFolder: (payload) => ipcRenderer.invoke("file:writeInFolder", payload),
   saveState: (state) => ipcRenderer.invoke("state:save", state),
   loadState: () => ipcRenderer.invoke("state:load"),
+  loadFixtureProfiles: () => ipcRenderer.invoke("profiles:load"),
+  saveFixtureProfiles: (data) => ipcRenderer.invoke("profiles:save", data),
+  startDmxInput: (options) => ipcRenderer.invoke("dmx:start", options),
+  stopDmxInput: () => ipcRenderer.invoke("dmx:stop"),
+  onDmxFrame: (callback) => {
+    const listener = (_, frame) => callback(frame);
+    ipcRenderer.on("dmx:frame", listener);
+    return () => ipcRenderer.removeListener("dmx:frame", listener);
+  },
+  startOscServer: (options) => ipcRenderer.invoke("osc:start", options),
+  stopOscServer: () => ipcRenderer.invoke("osc:stop"),
+  sendOsc: (messages) => ipcRenderer.invoke("osc:send", messages),
+  onOscMessage: (callback) => {
+    const listener = (_, message) => callback(message);
+    ipcRenderer.on("osc:message", listener);
+    return () => ipcRenderer.removeListener("osc:message", listener);
+  },
   getDefaultAssets: () => ipcRenderer.invoke("app:getDefaultAssets"),
   extractMaterialPackage: (zipPath) => ipcRenderer.invoke("archive:extractMaterialPackage", zipPath),
+  extractGdtf: (filePath) => ipcRenderer.invoke("archive:extractGdtf", filePath),
+  readMvr: (filePath) => ipcRenderer.invoke("archive:readMvr", filePath),
+  saveMvr: (payload) => ipcRenderer.invoke("mvr:save", payload),
   reloadCode: () => ipcRenderer.invoke("app:reloadCode")
 });
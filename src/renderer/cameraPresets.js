@@ -0,0 +1,32 @@
+// Built-in views of the 4 m wall. User presets are stored in state and listed after these.
+export const BUILTIN_CAMERA_PRESETS = [
+  { id: "front", name: "Front", position: [0, 1.1, 3.2], target: [0, 1.0, 0] },
+  { id: "wide", name: "Wide", position: [0, 1.3, 5.6], target: [0, 1.0, 0] },
+  { id: "detail", name: "Close detail", position: [0, 1.0, 1.4], target: [0, 1.0, 0] },
+  { id: "left", name: "Stage left", position: [-2.6, 1.2, 2.2], target: [0, 1.0, 0] },
+  { id: "right", name: "Stage right", position: [2.6, 1.2, 2.2], target: [0, 1.0, 0] },
+  { id: "low", name: "Low", position: [0, 0.3, 3.0], target: [0, 1.2, 0] }
+];
+
+function isVector(v) {
+  return Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+}
+
+export function normalizeCameraPresets(list) {
+  return (Array.isArray(list) ? list : [])
+    .filter((p) => p && typeof p.name === "string" && p.name.trim() && isVector(p.position) && isVector(p.target))
+    .map((p) => ({ id: `user-${p.name.trim().toLowerCase()}`, name: p.name.trim(), position: [...p.position], target: [...p.target] }));
+}
+
+export function allCameraPresets(userPresets) {
+  return [...BUILTIN_CAMERA_PRESETS, ...userPresets];
+}
+
+// Presets are recalled by 1-based position in the combined list or by name, case-insensitively.
+export function findCameraPreset(userPresets, key) {
+  const presets = allCameraPresets(userPresets);
+  if (typeof key === "number") return presets[Math.round(key) - 1] || null;
+  const text = String(key).trim().toLowerCase();
+  if (/^\d+$/.test(text)) return presets[Number(text) - 1] || null;
+  return presets.find((p) => p.id === text || p.name.toLowerCase() === text) || null;
+}
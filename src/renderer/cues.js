@@ -0,0 +1,201 @@
+import { fixtureGeometry } from "./fixtures.js";
+
+// What a cue records. Rig setup (gobos, IES files, shutters, lens, profiles) stays with the
+// fixture; cues only carry the looks you fade between. Looks recorded before a key existed
+// leave it alone.
+const CUE_FIXTURE_KEYS = [
+  "lux",
+  "dimmerLevel",
+  "sourceType",
+  "kelvin",
+  "lightColorHex",
+  "gels",
+  "cmyCyan",
+  "cmyMagenta",
+  "cmyYellow",
+  "colorWheelHex",
+  "placement",
+  "focusX",
+  "focusY",
+  "positionX",
+  "positionY",
+  "positionZ",
+  "azimuth",
+  "elevation",
+  "throwDistance",
+  "pan",
+  "tilt",
+  "beamAngle",
+  "softness"
+];
+const CUE_STATE_KEYS = ["houseLightColorHex", "houseLightIntensity", "hazeEnabled", "hazeDensity", "hazeHeight", "ambientFill"];
+
+export const CUE_DEFAULTS = {
+  label: "",
+  upTime: 3,
+  downTime: 3,
+  delay: 0,
+  // Seconds after this cue's fade completes before the next cue runs by itself; null waits for GO.
+  follow: null
+};
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+function finiteOr(value, fallback) {
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+function copyFixtureLook(fixture) {
+  const look = { id: fixture.id };
+  CUE_FIXTURE_KEYS.forEach((key) => {
+    look[key] = key === "gels" ? (fixture.gels || []).map((layer) => ({ ...layer })) : fixture[key];
+  });
+  return look;
+}
+
+export function captureLook(state) {
+  const look = { fixtures: state.fixtures.map(copyFixtureLook) };
+  CUE_STATE_KEYS.forEach((key) => {
+    look[key] = state[key];
+  });
+  return look;
+}
+
+function nextCueNumber(cues) {
+  return cues.length ? Math.floor(Math.max(...cues.map((c) => c.number))) + 1 : 1;
+}
+
+export function createCue(cues, state, overrides = {}) {
+  const number = Number(overrides.number) > 0 ? Number(overrides.number) : nextCueNumber(cues);
+  return normalizeCue({ ...CUE_DEFAULTS, ...overrides, number, look: captureLook(state) });
+}
+
+export function normalizeCue(raw) {
+  if (!raw || typeof raw !== "object" || !raw.look || !Array.isArray(raw.look.fixtures)) return null;
+  const number = Number(raw.number);
+  if (!(number > 0)) return null;
+  const follow = raw.follow === null || raw.follow === "" || raw.follow === undefined ? null : Number(raw.follow);
+  return {
+    number: Number(number.toFixed(3)),
+    label: typeof raw.label === "string" ? raw.label : "",
+    upTime: clamp(finiteOr(Number(raw.upTime), CUE_DEFAULTS.upTime), 0, 600),
+    downTime: clamp(finiteOr(Number(raw.downTime), CUE_DEFAULTS.downTime), 0, 600),
+    delay: clamp(finiteOr(Number(raw.delay), 0), 0, 600),
+    follow: Number.isFinite(follow) ? clamp(follow, 0, 600) : null,
+    look: raw.look
+  };
+}
+
+// Cue numbers are unique and the list is kept in playback order.
+export function normalizeCues(list) {
+  const out = [];
+  (Array.isArray(list) ? list : []).forEach((raw) => {
+    const cue = normalizeCue(raw);
+    if (cue && !out.some((c) => c.number === cue.number)) out.push(cue);
+  });
+  return out.sort((a, b) => a.number - b.number);
+}
+
+export function cueLabel(cue) {
+  const follow = cue.follow === null ? "" : ` · follow ${cue.follow}s`;
+  const delay = cue.delay > 0 ? ` · delay ${cue.delay}s` : "";
+  return `Q${cue.number}${cue.label ? ` ${cue.label}` : ""} · ↑${cue.upTime}s ↓${cue.downTime}s${delay}${follow}`;
+}
+
+export function cueDuration(cue) {
+  return cue.delay + Math.max(cue.upTime, cue.downTime);
+}
+
+function progressAt(elapsed, delay, time) {
+  if (elapsed <= delay) return 0;
+  return time > 0 ? clamp((elapsed - delay) / time, 0, 1) : 1;
+}
+
+// Ease-in-out so fades leave and land gently, the way console fade profiles do by default.
+function ease(t) {
+  return t * t * (3 - 2 * t);
+}
+
+// Per-fixture fade progress. Fixtures getting brighter use the up time, dimmer ones the down
+// time; color, focus and beam always move in the up time.
+export function fadeProgress(cue, elapsed, fromOutput, toOutput) {
+  const up = progressAt(elapsed, cue.delay, cue.upTime);
+  const down = progressAt(elapsed, cue.delay, cue.downTime);
+  return { intensity: ease(toOutput >= fromOutput ? up : down), other: ease(up) };
+}
+
+function applyFixtureLook(fixture, look) {
+  CUE_FIXTURE_KEYS.forEach((key) => {
+    if (!(key in look)) return;
+    fixture[key] = key === "gels" ? look.gels.map((layer) => ({ ...layer })) : look[key];
+  });
+}
+
+// Writes a blend of two looks into the matching fixtures of `state`. Fixtures the target look
+// does not know keep their current values, so cues recorded before a fixture was hung track.
+export function blendLookInto(state, from, to, progressFor) {
+  to.fixtures.forEach((target) => {
+    const fixture = state.fixtures.find((f) => f.id === target.id);
+    if (!fixture) return;
+    const start = from.fixtures.find((f) => f.id === target.id) || target;
+    const { intensity, other } = progressFor(fixture.id);
+    if (intensity >= 1 && other >= 1) {
+      applyFixtureLook(fixture, target);
+      return;
+    }
+    // Discrete settings hold until the fade lands; the rendered color itself crossfades in ui.js.
+    applyFixtureLook(fixture, start);
+    fixture.lux = lerp(start.lux, target.lux, intensity);
+    fixture.dimmerLevel = lerp(start.dimmerLevel, target.dimmerLevel, intensity);
+    fixture.kelvin = lerp(start.kelvin, target.kelvin, other);
+    fixture.beamAngle = lerp(start.beamAngle, target.beamAngle, other);
+    fixture.softness = lerp(start.softness, target.softness, other);
+    ["cmyCyan", "cmyMagenta", "cmyYellow"].forEach((key) => {
+      fixture[key] = lerp(finiteOr(start[key], 0), finiteOr(target[key], 0), other);
+    });
+    // Moving heads sweep pan and tilt rather than sliding the spot across the wall.
+    if (start.placement === "moving" && target.placement === "moving") {
+      ["pan", "tilt", "positionX", "positionY", "positionZ"].forEach((key) => {
+        fixture[key] = lerp(finiteOr(start[key], 0), finiteOr(target[key], 0), other);
+      });
+      return;
+    }
+    if (start.placement === "orbit" && target.placement === "orbit") {
+      fixture.focusX = lerp(start.focusX, target.focusX, other);
+      fixture.focusY = lerp(start.focusY, target.focusY, other);
+      fixture.azimuth = lerp(start.azimuth, target.azimuth, other);
+      fixture.elevation = lerp(start.elevation, target.elevation, other);
+      fixture.throwDistance = lerp(start.throwDistance, target.throwDistance, other);
+      return;
+    }
+    // Anything involving a free hang position moves in a straight line between hang points.
+    const a = fixtureGeometry({ ...fixture, ...start });
+    const b = fixtureGeometry({ ...fixture, ...target });
+    fixture.placement = "xyz";
+    fixture.focusX = lerp(a.focus.x, b.focus.x, other);
+    fixture.focusY = lerp(a.focus.y, b.focus.y, other);
+    fixture.positionX = lerp(a.position.x, b.position.x, other);
+    fixture.positionY = lerp(a.position.y, b.position.y, other);
+    fixture.positionZ = lerp(a.position.z, b.position.z, other);
+  });
+  const t = progressFor(null).other;
+  if (t >= 1) {
+    CUE_STATE_KEYS.forEach((key) => {
+      if (key in to) state[key] = to[key];
+    });
+    return;
+  }
+  // Haze fades through zero density when it is switched off at either end.
+  const density = (look) => (look.hazeEnabled ? finiteOr(look.hazeDensity, 0) : 0);
+  state.hazeEnabled = Boolean(from.hazeEnabled || to.hazeEnabled);
+  state.hazeDensity = lerp(density(from), density(to), t);
+  state.hazeHeight = lerp(finiteOr(from.hazeHeight, 1.2), finiteOr(to.hazeHeight, 1.2), t);
+  state.houseLightIntensity = lerp(finiteOr(from.houseLightIntensity, 0), finiteOr(to.houseLightIntensity, 0), t);
+  state.ambientFill = lerp(finiteOr(from.ambientFill, 2), finiteOr(to.ambientFill, 2), t);
+}
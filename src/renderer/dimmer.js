@@ -0,0 +1,38 @@
+export const DIMMER_CURVES = [
+  { id: "linear", name: "Linear" },
+  { id: "square", name: "Square law" },
+  { id: "s-curve", name: "S-curve" },
+  { id: "led", name: "LED-style (gamma 2.5)" },
+  { id: "incandescent", name: "Incandescent (dims warmer)" }
+];
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+// Tungsten lamps near rated voltage: light output goes as V^3.4 and color temperature as
+// V^0.42, with lamp voltage tracking the dimmer level.
+const LUMENS_EXPONENT = 3.4;
+const KELVIN_EXPONENT = 0.42;
+
+// `output` scales intensity (0..1); `kelvin` is the color temperature the lamp actually runs at.
+export function dimmerResponse(fixture) {
+  const level = clamp(Number.isFinite(fixture.dimmerLevel) ? fixture.dimmerLevel : 100, 0, 100) / 100;
+  const kelvin = fixture.kelvin;
+  switch (fixture.dimmerCurve) {
+    case "square":
+      return { level, output: level * level, kelvin };
+    case "s-curve":
+      return { level, output: level * level * (3 - 2 * level), kelvin };
+    case "led":
+      return { level, output: Math.pow(level, 2.5), kelvin };
+    case "incandescent":
+      return {
+        level,
+        output: Math.pow(level, LUMENS_EXPONENT),
+        kelvin: Math.max(1000, kelvin * Math.pow(level, KELVIN_EXPONENT))
+      };
+    default:
+      return { level, output: level, kelvin };
+  }
+}
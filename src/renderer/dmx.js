@@ -0,0 +1,89 @@
+import { fixtureGeometry } from "./fixtures.js";
+
+export const DMX_PROTOCOLS = [
+  { id: "both", name: "sACN + Art-Net" },
+  { id: "sacn", name: "sACN (E1.31)" },
+  { id: "artnet", name: "Art-Net" }
+];
+
+// Rough emitter colors for the extra LED channels, mixed in with red, green and blue.
+const WHITE_MIX = [1, 1, 1];
+const AMBER_MIX = [1, 0.55, 0];
+const CTC_MIN = 2800;
+const CTC_MAX = 6500;
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+function finiteOr(value, fallback) {
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function hex2(v) {
+  return Math.round(clamp(v, 0, 255)).toString(16).padStart(2, "0");
+}
+
+export function isPatched(fixture) {
+  return fixture.dmxAddress >= 1 && fixture.dmxUniverse >= 1;
+}
+
+// Levels (0..1) by attribute for one fixture out of the latest universes, or null when nothing
+// has arrived for it. Coarse/fine pairs combine into one 16-bit level.
+export function readFixtureLevels(fixture, personality, universes) {
+  if (!isPatched(fixture) || !personality) return null;
+  const values = universes.get(fixture.dmxUniverse);
+  if (!values) return null;
+  const start = fixture.dmxAddress - 1;
+  const raw = {};
+  personality.channels.forEach((ch, i) => {
+    if (ch.attribute !== "none" && !(ch.attribute in raw)) raw[ch.attribute] = values[start + i] || 0;
+  });
+  const levels = {};
+  Object.keys(raw).forEach((attribute) => {
+    if (attribute.endsWith("-fine")) return;
+    const fine = raw[`${attribute}-fine`];
+    levels[attribute] = fine === undefined ? raw[attribute] / 255 : (raw[attribute] * 256 + fine) / 65535;
+  });
+  return levels;
+}
+
+// Copy of the fixture with the console's levels laid over it. Only attributes the personality
+// has are driven; everything else keeps the fixture's own setting. Red/green/blue (plus white
+// and amber) drive LED emitters, cyan/magenta/yellow drive the CMY flags. Pan and tilt make the
+// fixture a moving head at its current hang position; centered points straight at the wall.
+export function applyDmxLevels(fixture, levels, personality) {
+  const live = { ...fixture };
+  const has = (attribute) => attribute in levels;
+  const emitters = has("red") || has("green") || has("blue") || has("white") || has("amber");
+  let output = has("dimmer") ? levels.dimmer : 1;
+  if (emitters) {
+    const mix = [levels.red || 0, levels.green || 0, levels.blue || 0].map(
+      (v, i) => v + (levels.white || 0) * WHITE_MIX[i] + (levels.amber || 0) * AMBER_MIX[i]
+    );
+    const peak = Math.max(...mix);
+    // The emitter levels carry brightness too; the color itself is hue only.
+    output *= Math.min(1, peak);
+    live.sourceType = "led-rgb";
+    live.lightColorHex = peak > 0 ? `#${mix.map((v) => hex2((v / peak) * 255)).join("")}` : "#000000";
+  }
+  if (has("dimmer") || emitters) live.dimmerLevel = output * 100;
+  if (has("cyan")) live.cmyCyan = levels.cyan * 100;
+  if (has("magenta")) live.cmyMagenta = levels.magenta * 100;
+  if (has("yellow")) live.cmyYellow = levels.yellow * 100;
+  if (has("ctc") && live.sourceType !== "led-rgb") live.kelvin = CTC_MIN + levels.ctc * (CTC_MAX - CTC_MIN);
+  if (has("zoom")) live.beamAngle = personality.zoomMin + levels.zoom * (personality.zoomMax - personality.zoomMin);
+  if (has("gobo")) live.dmxGoboOut = levels.gobo < 0.5;
+  if (has("pan") || has("tilt")) {
+    const { position } = fixtureGeometry(fixture);
+    Object.assign(live, {
+      placement: "moving",
+      positionX: position.x,
+      positionY: position.y,
+      positionZ: position.z,
+      pan: (finiteOr(levels.pan, 0.5) - 0.5) * personality.panRange,
+      tilt: (finiteOr(levels.tilt, 0.5) - 0.5) * personality.tiltRange
+    });
+  }
+  return live;
+}
@@ -0,0 +1,147 @@
+import { FOCUS_BOUNDS } from "./fixtures.js";
+
+// Parameters an effect can modulate. They all go through applyLightingState, so they can move
+// every frame without rebuilding a beam mask; a turning gobo uses the gobo wheel spin instead.
+export const FX_PARAMS = {
+  dimmer: { key: "dimmerLevel", name: "Dimmer (%)", min: 0, max: 100 },
+  lux: { key: "lux", name: "Intensity (lx)", min: 1, max: 20000 },
+  kelvin: { key: "kelvin", name: "Kelvin", min: 1800, max: 12000 },
+  beam: { key: "beamAngle", name: "Beam angle (deg)", min: 4, max: 100 },
+  pan: { key: "pan", name: "Pan (deg)", min: -360, max: 360 },
+  tilt: { key: "tilt", name: "Tilt (deg)", min: -180, max: 180 },
+  focusx: { key: "focusX", name: "Focus X (m)", min: FOCUS_BOUNDS.minX, max: FOCUS_BOUNDS.maxX },
+  focusy: { key: "focusY", name: "Focus Y (m)", min: FOCUS_BOUNDS.minY, max: FOCUS_BOUNDS.maxY },
+  azimuth: { key: "azimuth", name: "Azimuth (deg)", min: -80, max: 80 },
+  elevation: { key: "elevation", name: "Elevation (deg)", min: -30, max: 70 },
+  cyan: { key: "cmyCyan", name: "CMY cyan (%)", min: 0, max: 100 },
+  magenta: { key: "cmyMagenta", name: "CMY magenta (%)", min: 0, max: 100 },
+  yellow: { key: "cmyYellow", name: "CMY yellow (%)", min: 0, max: 100 }
+};
+
+export const FX_WAVEFORMS = [
+  { id: "sine", name: "Sine" },
+  { id: "square", name: "Square" },
+  { id: "random", name: "Random" },
+  { id: "fire", name: "Fire flicker" }
+];
+
+// Rate in cycles per second. Size and offset are % of the parameter's range: the output swings
+// by ±size around the fixture's own value shifted by offset. Phase spread (degrees) is shared out
+// across the member fixtures in rig order, so 360 runs a chase through the whole group.
+export const FX_DEFAULTS = {
+  name: "",
+  enabled: true,
+  param: "dimmer",
+  waveform: "sine",
+  rate: 0.5,
+  size: 25,
+  offset: 0,
+  phaseSpread: 0,
+  fixtureIds: []
+};
+
+const TAU = Math.PI * 2;
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+function finiteOr(value, fallback) {
+  return Number.isFinite(value) ? value : fallback;
+}
+
+export function createEffect(effects, overrides = {}) {
+  let n = effects.length + 1;
+  while (effects.some((e) => e.id === `effect-${n}`)) n += 1;
+  return normalizeEffect({ ...FX_DEFAULTS, name: `Effect ${n}`, ...overrides, id: `effect-${n}` });
+}
+
+export function normalizeEffect(raw) {
+  if (!raw || typeof raw !== "object" || typeof raw.id !== "string" || !raw.id) return null;
+  return {
+    id: raw.id,
+    name: typeof raw.name === "string" && raw.name.trim() ? raw.name.trim().slice(0, 40) : raw.id,
+    enabled: raw.enabled !== false,
+    param: FX_PARAMS[raw.param] ? raw.param : FX_DEFAULTS.param,
+    waveform: FX_WAVEFORMS.some((w) => w.id === raw.waveform) ? raw.waveform : FX_DEFAULTS.waveform,
+    rate: clamp(finiteOr(Number(raw.rate), FX_DEFAULTS.rate), 0, 20),
+    size: clamp(finiteOr(Number(raw.size), FX_DEFAULTS.size), 0, 100),
+    offset: clamp(finiteOr(Number(raw.offset), 0), -100, 100),
+    phaseSpread: clamp(finiteOr(Number(raw.phaseSpread), 0), 0, 360),
+    fixtureIds: Array.isArray(raw.fixtureIds) ? raw.fixtureIds.filter((id) => typeof id === "string") : []
+  };
+}
+
+export function normalizeEffects(list) {
+  const out = [];
+  (Array.isArray(list) ? list : []).forEach((raw) => {
+    const effect = normalizeEffect(raw);
+    if (effect && !out.some((e) => e.id === effect.id)) out.push(effect);
+  });
+  return out;
+}
+
+export function effectLabel(effect) {
+  const waveform = FX_WAVEFORMS.find((w) => w.id === effect.waveform).name;
+  return `${effect.enabled ? "" : "(off) "}${effect.name} · ${waveform} on ${effect.param} · ${effect.rate} Hz · ${effect.fixtureIds.length} fixtures`;
+}
+
+// Repeatable 0-1 value per integer step and seed, so a frozen time always renders the same frame.
+function hash(step, seed) {
+  const s = Math.sin(step * 127.1 + seed * 311.7) * 43758.5453;
+  return s - Math.floor(s);
+}
+
+function smoothNoise(x, seed) {
+  const i = Math.floor(x);
+  const f = x - i;
+  const t = f * f * (3 - 2 * f);
+  return hash(i, seed) + (hash(i + 1, seed) - hash(i, seed)) * t;
+}
+
+// -1 to 1 at `phase` (in cycles). Random holds a new level for each cycle.
+function waveValue(waveform, phase, seed) {
+  if (waveform === "square") return phase - Math.floor(phase) < 0.5 ? 1 : -1;
+  if (waveform === "random") return hash(Math.floor(phase), seed) * 2 - 1;
+  if (waveform === "fire") {
+    // Octaves of noise, squared so the flame sits near full and gutters down in quick dips.
+    const n = 0.55 * smoothNoise(phase * 2, seed) + 0.3 * smoothNoise(phase * 5.3, seed + 17) + 0.15 * smoothNoise(phase * 11.7, seed + 41);
+    return 1 - 2 * n * n;
+  }
+  return Math.sin(phase * TAU);
+}
+
+function effectSeed(effect) {
+  return Array.from(effect.id).reduce((sum, c) => sum + c.charCodeAt(0), 0);
+}
+
+// Copies of `fixtures` with every enabled effect laid over them at `timeSec`, in list order, so
+// a second effect on a parameter works on the first one's output.
+export function applyEffects(fixtures, effects, timeSec) {
+  const out = fixtures.map((f) => ({ ...f }));
+  (effects || []).forEach((effect) => {
+    if (!effect.enabled || (!effect.size && !effect.offset)) return;
+    const spec = FX_PARAMS[effect.param];
+    const span = spec.max - spec.min;
+    const members = out.filter((f) => effect.fixtureIds.includes(f.id));
+    members.forEach((fixture, i) => {
+      const phase = timeSec * effect.rate + (members.length > 1 ? (effect.phaseSpread / 360) * (i / members.length) : 0);
+      const wave = waveValue(effect.waveform, phase, effectSeed(effect) + i * 7.31);
+      let min = spec.min;
+      let max = spec.max;
+      // Pan and tilt stay inside the head's travel.
+      if (spec.key === "pan") [min, max] = [-fixture.panRange / 2, fixture.panRange / 2];
+      if (spec.key === "tilt") [min, max] = [-fixture.tiltRange / 2, fixture.tiltRange / 2];
+      const base = finiteOr(Number(fixture[spec.key]), spec.min);
+      fixture[spec.key] = clamp(base + ((effect.offset + effect.size * wave) * span) / 100, min, max);
+    });
+  });
+  return out;
+}
+
+// Whether anything would change from one frame to the next.
+export function effectsRunning(effects, fixtures) {
+  return (effects || []).some(
+    (e) => e.enabled && e.rate > 0 && e.size > 0 && fixtures.some((f) => e.fixtureIds.includes(f.id))
+  );
+}
@@ -0,0 +1,65 @@
+// Physical size of the light-emitting face, which sets how soft HQ shadows are. Discs are lens
+// fronts and reflectors (width is the diameter); rectangles are battens, panels and softboxes,
+// with width along the horizontal across the beam. Sizes in millimeters.
+export const EMITTER_SHAPES = [
+  { id: "disc", name: "Disc" },
+  { id: "rect", name: "Rectangle" }
+];
+
+export const EMITTER_PRESETS = [
+  { id: "lens-150", name: "150 mm lens", shape: "disc", width: 150, height: 150 },
+  { id: "lens-200", name: "200 mm fresnel lens", shape: "disc", width: 200, height: 200 },
+  { id: "par-64", name: "PAR 64 reflector", shape: "disc", width: 205, height: 205 },
+  { id: "moving-head", name: "Moving head front lens", shape: "disc", width: 120, height: 120 },
+  { id: "batten", name: "LED batten 1 × 0.3 m", shape: "rect", width: 1000, height: 300 },
+  { id: "panel", name: "LED panel 0.6 × 0.6 m", shape: "rect", width: 600, height: 600 },
+  { id: "softbox", name: "Softbox 0.9 × 1.2 m", shape: "rect", width: 900, height: 1200 }
+];
+
+export const EMITTER_SIZE_LIMITS = { min: 5, max: 3000 };
+
+export function emitterPresetId(fixture) {
+  const match = EMITTER_PRESETS.find(
+    (p) => p.shape === fixture.emitterShape && p.width === fixture.emitterWidth && (p.shape === "disc" || p.height === fixture.emitterHeight)
+  );
+  return match ? match.id : "";
+}
+
+// Shirley-Chiu concentric map: keeps the square's strata evenly sized on the disc.
+function squareToDisc(u, v) {
+  const a = 2 * u - 1;
+  const b = 2 * v - 1;
+  if (a === 0 && b === 0) return [0, 0];
+  if (Math.abs(a) > Math.abs(b)) {
+    const phi = (Math.PI / 4) * (b / a);
+    return [a * Math.cos(phi), a * Math.sin(phi)];
+  }
+  const phi = Math.PI / 2 - (Math.PI / 4) * (a / b);
+  return [b * Math.cos(phi), b * Math.sin(phi)];
+}
+
+// Point on the emitter face in meters from its center, [across, up], for u, v in 0-1.
+export function emitterPoint(fixture, u, v) {
+  const width = fixture.emitterWidth / 1000;
+  if (fixture.emitterShape === "rect") return [(u - 0.5) * width, (v - 0.5) * (fixture.emitterHeight / 1000)];
+  const [x, y] = squareToDisc(u, v);
+  return [x * width * 0.5, y * width * 0.5];
+}
+
+// Stratified u, v pairs: the unit square is cut into a grid of about `strata` cells, visited in
+// a shuffled order with a random point inside each; after a full pass the order is reshuffled.
+export function createStratifiedSampler(strata, random = Math.random) {
+  const side = Math.max(1, Math.round(Math.sqrt(strata)));
+  let order = [];
+  return () => {
+    if (!order.length) {
+      order = Array.from({ length: side * side }, (_, i) => i);
+      for (let i = order.length - 1; i > 0; i -= 1) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+      }
+    }
+    const cell = order.pop();
+    return [((cell % side) + random()) / side, (Math.floor(cell / side) + random()) / side];
+  };
+}
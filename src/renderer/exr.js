@@ -0,0 +1,97 @@
+// OpenEXR writer for the linear HQ result: half-float B, G, R channels (EXR lists channels
+// alphabetically), one uncompressed scanline per block, which every compositor reads.
+const MAGIC = 20000630;
+const HALF = 1;
+const CHANNELS = ["B", "G", "R"];
+
+const floatView = new Float32Array(1);
+const bitsView = new Uint32Array(floatView.buffer);
+
+// IEEE 754 half-float bits for `value`, rounded to nearest; too large becomes infinity.
+export function toHalf(value) {
+  floatView[0] = value;
+  const bits = bitsView[0];
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = (bits >>> 23) & 0xff;
+  const mantissa = bits & 0x7fffff;
+  if (exponent === 0xff) return sign | 0x7c00 | (mantissa ? 0x200 : 0);
+  const e = exponent - 112;
+  if (e >= 0x1f) return sign | 0x7c00;
+  if (e <= 0) {
+    // Subnormal halves, down to 2^-24; anything smaller is zero.
+    if (e < -10) return sign;
+    return sign | (((mantissa | 0x800000) >> (1 - e)) + 0x1000) >> 13;
+  }
+  return sign | ((e << 10) + ((mantissa + 0x1000) >> 13));
+}
+
+// The value of half-float bits `h`.
+export function fromHalf(h) {
+  const sign = h & 0x8000 ? -1 : 1;
+  const exponent = (h >>> 10) & 0x1f;
+  const mantissa = h & 0x3ff;
+  if (exponent === 0) return sign * mantissa * 2 ** -24;
+  if (exponent === 0x1f) return mantissa ? NaN : sign * Infinity;
+  return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+}
+
+function textBytes(text) {
+  return [...new TextEncoder().encode(text), 0];
+}
+
+function int32Bytes(...values) {
+  const bytes = new Uint8Array(values.length * 4);
+  const view = new DataView(bytes.buffer);
+  values.forEach((v, i) => view.setInt32(i * 4, v, true));
+  return [...bytes];
+}
+
+function float32Bytes(...values) {
+  const bytes = new Uint8Array(values.length * 4);
+  const view = new DataView(bytes.buffer);
+  values.forEach((v, i) => view.setFloat32(i * 4, v, true));
+  return [...bytes];
+}
+
+function attribute(name, type, payload) {
+  return [...textBytes(name), ...textBytes(type), ...int32Bytes(payload.length), ...payload];
+}
+
+// `rgb` holds three half-float bit patterns per pixel, rows from the top down.
+export function encodeExr(width, height, rgb) {
+  const channelList = [
+    ...CHANNELS.flatMap((name) => [...textBytes(name), ...int32Bytes(HALF), 0, 0, 0, 0, ...int32Bytes(1, 1)]),
+    0
+  ];
+  const header = Uint8Array.from([
+    ...int32Bytes(MAGIC, 2),
+    ...attribute("channels", "chlist", channelList),
+    ...attribute("compression", "compression", [0]),
+    ...attribute("dataWindow", "box2i", int32Bytes(0, 0, width - 1, height - 1)),
+    ...attribute("displayWindow", "box2i", int32Bytes(0, 0, width - 1, height - 1)),
+    ...attribute("lineOrder", "lineOrder", [0]),
+    ...attribute("pixelAspectRatio", "float", float32Bytes(1)),
+    ...attribute("screenWindowCenter", "v2f", float32Bytes(0, 0)),
+    ...attribute("screenWindowWidth", "float", float32Bytes(1)),
+    0
+  ]);
+  const lineBytes = width * CHANNELS.length * 2;
+  const blockBytes = 8 + lineBytes;
+  const tableEnd = header.length + height * 8;
+  const out = new Uint8Array(tableEnd + height * blockBytes);
+  const view = new DataView(out.buffer);
+  out.set(header, 0);
+  for (let y = 0; y < height; y += 1) {
+    const block = tableEnd + y * blockBytes;
+    view.setBigUint64(header.length + y * 8, BigInt(block), true);
+    view.setInt32(block, y, true);
+    view.setInt32(block + 4, lineBytes, true);
+    // Within a line each channel is a run of `width` values: B, then G, then R.
+    CHANNELS.forEach((_, c) => {
+      const source = 2 - c;
+      const start = block + 8 + c * width * 2;
+      for (let x = 0; x < width; x += 1) view.setUint16(start + x * 2, rgb[(y * width + x) * 3 + source], true);
+    });
+  }
+  return out;
+}
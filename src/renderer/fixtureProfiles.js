@@ -0,0 +1,95 @@
+export const LENS_TYPES = [
+  { id: "ellipsoidal", name: "Ellipsoidal (hard edge, shutters)" },
+  { id: "fresnel", name: "Fresnel (soft field, barn doors)" },
+  { id: "par", name: "PAR (oval beam, barn doors)" }
+];
+
+const CATEGORY_LENS = { Ellipsoidal: "ellipsoidal", PAR: "par", Fresnel: "fresnel", "LED Wash": "fresnel" };
+
+// Typical catalog values for common theatre units. Beam (50%) and field (10%) are full angles;
+// lumens are field lumens out of the front of the fixture, not bare-lamp lumens. `source`
+// picks the emission spectrum and defaults to tungsten; `lens` follows the category. PAR fields are the long axis of the
+// oval; `ovalRatio` is long over short.
+export const BUILTIN_FIXTURE_PROFILES = [
+  { id: "ers-5", category: "Ellipsoidal", name: "Ellipsoidal 5° (575 W HPL)", beamAngle: 3.5, fieldAngle: 5, lumens: 5200, kelvin: 3250 },
+  { id: "ers-10", category: "Ellipsoidal", name: "Ellipsoidal 10° (575 W HPL)", beamAngle: 7, fieldAngle: 10, lumens: 6500, kelvin: 3250 },
+  { id: "ers-14", category: "Ellipsoidal", name: "Ellipsoidal 14° (575 W HPL)", beamAngle: 10, fieldAngle: 14, lumens: 7800, kelvin: 3250 },
+  { id: "ers-19", category: "Ellipsoidal", name: "Ellipsoidal 19° (575 W HPL)", beamAngle: 13, fieldAngle: 19, lumens: 8400, kelvin: 3250 },
+  { id: "ers-26", category: "Ellipsoidal", name: "Ellipsoidal 26° (575 W HPL)", beamAngle: 17, fieldAngle: 26, lumens: 9000, kelvin: 3250 },
+  { id: "ers-36", category: "Ellipsoidal", name: "Ellipsoidal 36° (575 W HPL)", beamAngle: 24, fieldAngle: 36, lumens: 9300, kelvin: 3250 },
+  { id: "ers-50", category: "Ellipsoidal", name: "Ellipsoidal 50° (575 W HPL)", beamAngle: 32, fieldAngle: 50, lumens: 9400, kelvin: 3250 },
+  { id: "ers-70", category: "Ellipsoidal", name: "Ellipsoidal 70° (575 W HPL)", beamAngle: 45, fieldAngle: 70, lumens: 8800, kelvin: 3250 },
+  { id: "ers-90", category: "Ellipsoidal", name: "Ellipsoidal 90° (575 W HPL)", beamAngle: 58, fieldAngle: 90, lumens: 7600, kelvin: 3250 },
+  { id: "ers-led-26", category: "Ellipsoidal", name: "LED Ellipsoidal 26° (Daylight)", beamAngle: 17, fieldAngle: 26, lumens: 6100, kelvin: 5600, source: "led-white" },
+  { id: "par64-vnsp", category: "PAR", name: "PAR64 VNSP (1 kW)", beamAngle: 10, fieldAngle: 14, lumens: 14000, kelvin: 3200, ovalRatio: 1.2 },
+  { id: "par64-nsp", category: "PAR", name: "PAR64 NSP (1 kW)", beamAngle: 14, fieldAngle: 26, lumens: 16000, kelvin: 3200, ovalRatio: 1.4 },
+  { id: "par64-mfl", category: "PAR", name: "PAR64 MFL (1 kW)", beamAngle: 24, fieldAngle: 44, lumens: 18000, kelvin: 3200, ovalRatio: 2.0 },
+  { id: "par64-wfl", category: "PAR", name: "PAR64 WFL (1 kW)", beamAngle: 48, fieldAngle: 70, lumens: 19000, kelvin: 3200, ovalRatio: 1.6 },
+  { id: "par-ea-mfl", category: "PAR", name: "Enhanced PAR MFL (575 W HPL)", beamAngle: 22, fieldAngle: 36, lumens: 11000, kelvin: 3250, ovalRatio: 1.5 },
+  { id: "fresnel6-spot", category: "Fresnel", name: "6\" Fresnel 750 W (Spot)", beamAngle: 10, fieldAngle: 30, lumens: 6000, kelvin: 3200 },
+  { id: "fresnel6-flood", category: "Fresnel", name: "6\" Fresnel 750 W (Flood)", beamAngle: 45, fieldAngle: 60, lumens: 5500, kelvin: 3200 },
+  { id: "fresnel8-spot", category: "Fresnel", name: "8\" Fresnel 1 kW (Spot)", beamAngle: 12, fieldAngle: 30, lumens: 8500, kelvin: 3200 },
+  { id: "fresnel8-flood", category: "Fresnel", name: "8\" Fresnel 1 kW (Flood)", beamAngle: 50, fieldAngle: 64, lumens: 7800, kelvin: 3200 },
+  { id: "ledwash-narrow", category: "LED Wash", name: "LED Wash RGBW (Narrow Lens)", beamAngle: 20, fieldAngle: 30, lumens: 3200, kelvin: 6500, source: "led-white" },
+  { id: "ledwash-wide", category: "LED Wash", name: "LED Wash RGBW (Wide Lens)", beamAngle: 40, fieldAngle: 55, lumens: 3000, kelvin: 6500, source: "led-white" },
+  { id: "ledpar-7x15", category: "LED Wash", name: "LED PAR 7×15 W", beamAngle: 25, fieldAngle: 40, lumens: 2400, kelvin: 6500, source: "led-white", lens: "par" },
+  { id: "ledfresnel", category: "LED Wash", name: "LED Fresnel (Tungsten Engine)", beamAngle: 25, fieldAngle: 50, lumens: 5000, kelvin: 3200, source: "led-white" }
+].map((profile) => normalizeProfile(profile));
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+function positive(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
+
+export function normalizeProfile(raw, idPrefix = "user") {
+  if (!raw || typeof raw.name !== "string" || !raw.name.trim()) return null;
+  const fieldAngle = positive(raw.fieldAngle);
+  const beamAngle = positive(raw.beamAngle);
+  if (!fieldAngle || !beamAngle) return null;
+  return {
+    ...raw,
+    id: typeof raw.id === "string" && raw.id ? raw.id : `${idPrefix}:${slugify(raw.name)}`,
+    category: typeof raw.category === "string" && raw.category ? raw.category : "User",
+    name: raw.name.trim(),
+    beamAngle: Math.min(beamAngle, fieldAngle),
+    fieldAngle,
+    lumens: positive(raw.lumens) || 1000,
+    kelvin: positive(raw.kelvin) || 3200,
+    source: raw.source === "led-white" || raw.source === "led-rgb" ? raw.source : "tungsten",
+    lens: LENS_TYPES.some((t) => t.id === raw.lens) ? raw.lens : CATEGORY_LENS[raw.category] || "ellipsoidal",
+    ovalRatio: Math.max(1, Math.min(3, positive(raw.ovalRatio) || 1))
+  };
+}
+
+// Accepts either a bare array or `{ "profiles": [...] }` from fixture-profiles.json.
+export function normalizeUserProfiles(data) {
+  const list = Array.isArray(data) ? data : Array.isArray(data?.profiles) ? data.profiles : [];
+  return list.map((p) => normalizeProfile(p)).filter(Boolean);
+}
+
+function effectiveSolidAngle(profile) {
+  // Treat the beam as uniform out to the mean of the beam and field half angles.
+  const halfRad = ((profile.beamAngle + profile.fieldAngle) / 4) * (Math.PI / 180);
+  return 2 * Math.PI * (1 - Math.cos(halfRad));
+}
+
+export function profileAxialCandela(profile) {
+  return profile.lumens / Math.max(effectiveSolidAngle(profile), 1e-6);
+}
+
+export function profileLumensFromCandela(profile, candela) {
+  return candela * effectiveSolidAngle(profile);
+}
+
+// SpotLight penumbra fades from the field edge inward; the 50% point sits mid-penumbra.
+export function profileSoftness(profile) {
+  return Math.max(0, Math.min(1, 2 * (1 - profile.beamAngle / profile.fieldAngle)));
+}
+
+export function softnessToBeamAngle(fieldAngle, softness) {
+  return fieldAngle * (1 - Math.max(0, Math.min(1, softness)) / 2);
+}
@@ -0,0 +1,342 @@
+import { DIMMER_CURVES } from "./dimmer.js";
+import { EMITTER_SHAPES, EMITTER_SIZE_LIMITS } from "./emitters.js";
+import { LENS_TYPES } from "./fixtureProfiles.js";
+import { gelIdForLegacyName } from "./gels.js";
+
+export const MAX_FIXTURES = 8;
+
+// Focus points live on the wall face: 3.8 m × 2.4 m centred at y = 1.0 (see renderer.js).
+export const FOCUS_BOUNDS = { minX: -1.9, maxX: 1.9, minY: -0.2, maxY: 2.2 };
+export const PLACEMENT_MODES = ["orbit", "xyz", "moving"];
+export const SOURCE_TYPE_IDS = ["tungsten", "led-white", "led-rgb"];
+// Framing shutters and barn door leaves, named by the edge of the beam they cut as seen on the wall.
+export const SHUTTER_SIDES = ["top", "right", "bottom", "left"];
+
+export const FIXTURE_DEFAULTS = {
+  name: "Fixture 1",
+  lightColorHex: "#ffbf7a",
+  sourceType: "tungsten",
+  kelvin: 3200,
+  lux: 900,
+  // Lux is the full-level output; the dimmer curve maps dimmerLevel (0-100 %) onto it.
+  dimmerLevel: 100,
+  dimmerCurve: "linear",
+  azimuth: 0,
+  elevation: 18,
+  beamAngle: 50,
+  softness: 0.35,
+  // Ellipsoidals get a hard-edged field and framing shutters; fresnels and PARs a soft field
+  // spread and barn doors. PARs throw an oval: beamAngle is its long axis.
+  lensType: "ellipsoidal",
+  ovalRatio: 1,
+  ovalRotation: 0,
+  // Light-emitting face in millimeters (see emitters.js); it alone sets HQ shadow softness.
+  emitterShape: "disc",
+  emitterWidth: 150,
+  emitterHeight: 150,
+  throwDistance: 3.2,
+  placement: "orbit",
+  positionX: 0,
+  positionY: 2.0,
+  positionZ: 3.0,
+  focusX: 0,
+  focusY: 1.0,
+  // Moving heads hang at the position above and steer the beam by pan and tilt, in degrees from
+  // pointing straight at the wall (+pan toward +X, +tilt up), within their ranges. Zoom limits
+  // the beam angle.
+  pan: 0,
+  tilt: 0,
+  panRange: 540,
+  tiltRange: 270,
+  zoomMin: 8,
+  zoomMax: 45,
+  // CMY mixing flags (0-100 %), filtering the source ahead of the color wheel.
+  cmyCyan: 0,
+  cmyMagenta: 0,
+  cmyYellow: 0,
+  // Ordered from the lamp outward: [{ gelId, hex }], see combineGelStack in gels.js.
+  gels: [],
+  // Filter from a GDTF color wheel slot, applied after the gel stack; "" is the open slot.
+  colorWheelHex: "",
+  goboPath: "",
+  goboScale: 1.0,
+  goboRotation: 0,
+  goboFocus: 0.5,
+  goboInvert: false,
+  // Gobo wheel rotation in degrees per second, turning the gobo on top of goboRotation.
+  goboSpin: 0,
+  // Depth is how far the blade cuts in, as % of the field diameter (50 reaches the center);
+  // angle tilts the blade edge about that point. Iris is % of the open field diameter.
+  shutterTopDepth: 0,
+  shutterTopAngle: 0,
+  shutterRightDepth: 0,
+  shutterRightAngle: 0,
+  shutterBottomDepth: 0,
+  shutterBottomAngle: 0,
+  shutterLeftDepth: 0,
+  shutterLeftAngle: 0,
+  irisSize: 100,
+  // Barn door leaves: depth as for shutters; the whole set turns on its ring by barnDoorRotation.
+  barnDoorTopDepth: 0,
+  barnDoorRightDepth: 0,
+  barnDoorBottomDepth: 0,
+  barnDoorLeftDepth: 0,
+  barnDoorRotation: 0,
+  iesPath: "",
+  iesUseOutput: false,
+  profileId: "",
+  profileCandela: 0,
+  // DMX input patch; address 0 leaves the fixture unpatched. Color mode picks RGB or CMY mixing.
+  dmxUniverse: 1,
+  dmxAddress: 0,
+  dmxPersonality: "virtual-rgb",
+  // Identity in an MVR scene, so an export updates the same fixture in the lighting plot.
+  // The GDTF spec and mode are only used when the fixture's profile is not a GDTF import.
+  mvrUuid: "",
+  mvrFixtureId: "",
+  mvrGdtfSpec: "",
+  mvrGdtfMode: "",
+  solo: false,
+  mute: false
+};
+
+// Flat keys the single-spot app stored at the root of state.json before fixtures existed.
+const LEGACY_LIGHT_KEYS = [
+  "lightColorHex",
+  "kelvin",
+  "lux",
+  "azimuth",
+  "elevation",
+  "beamAngle",
+  "softness",
+  "throwDistance",
+  "gelPresetName",
+  "gelHex",
+  "goboPath",
+  "goboScale",
+  "goboRotation",
+  "goboFocus",
+  "goboInvert"
+];
+
+function nextFixtureNumber(fixtures) {
+  let max = 0;
+  fixtures.forEach((f) => {
+    const match = /^fx-(\d+)$/.exec(f.id || "");
+    if (match) max = Math.max(max, Number(match[1]));
+  });
+  return max + 1;
+}
+
+export function createFixture(fixtures = [], overrides = {}) {
+  const n = nextFixtureNumber(fixtures);
+  return {
+    ...FIXTURE_DEFAULTS,
+    name: `Fixture ${n}`,
+    ...overrides,
+    gels: (overrides.gels || []).map((layer) => ({ ...layer })),
+    id: `fx-${n}`
+  };
+}
+
+export function duplicateFixture(fixtures, source) {
+  const { id, ...rest } = source;
+  // A copy on the same address would double-patch, so it starts unpatched; it is a new fixture
+  // in the plot too.
+  return createFixture(fixtures, { ...rest, name: `${source.name} Copy`, solo: false, dmxAddress: 0, mvrUuid: "", mvrFixtureId: "" });
+}
+
+function sideName(side) {
+  return side.charAt(0).toUpperCase() + side.slice(1);
+}
+
+export function shutterKeys(side) {
+  return { depthKey: `shutter${sideName(side)}Depth`, angleKey: `shutter${sideName(side)}Angle` };
+}
+
+export function barnDoorKey(side) {
+  return `barnDoor${sideName(side)}Depth`;
+}
+
+export function normalizeFixture(raw, fixtures = []) {
+  const fixture = { ...FIXTURE_DEFAULTS, ...(raw || {}) };
+  if (typeof fixture.id !== "string" || !fixture.id) fixture.id = createFixture(fixtures).id;
+  fixture.solo = Boolean(fixture.solo);
+  fixture.mute = Boolean(fixture.mute);
+  fixture.goboInvert = Boolean(fixture.goboInvert);
+  fixture.iesUseOutput = Boolean(fixture.iesUseOutput);
+  if (!/^#[0-9a-f]{6}$/.test(fixture.colorWheelHex)) fixture.colorWheelHex = "";
+  if (!PLACEMENT_MODES.includes(fixture.placement)) fixture.placement = "orbit";
+  if (!SOURCE_TYPE_IDS.includes(fixture.sourceType)) fixture.sourceType = "tungsten";
+  if (!DIMMER_CURVES.some((curve) => curve.id === fixture.dimmerCurve)) fixture.dimmerCurve = "linear";
+  fixture.dimmerLevel = clamp(finiteOr(Number(fixture.dimmerLevel), 100), 0, 100);
+  SHUTTER_SIDES.forEach((side) => {
+    const { depthKey, angleKey } = shutterKeys(side);
+    fixture[depthKey] = clamp(finiteOr(Number(fixture[depthKey]), 0), 0, 100);
+    fixture[angleKey] = clamp(finiteOr(Number(fixture[angleKey]), 0), -45, 45);
+  });
+  fixture.irisSize = clamp(finiteOr(Number(fixture.irisSize), 100), 5, 100);
+  if (!LENS_TYPES.some((lens) => lens.id === fixture.lensType)) fixture.lensType = "ellipsoidal";
+  fixture.ovalRatio = clamp(finiteOr(Number(fixture.ovalRatio), 1), 1, 3);
+  fixture.ovalRotation = clamp(finiteOr(Number(fixture.ovalRotation), 0), -90, 90);
+  if (!EMITTER_SHAPES.some((shape) => shape.id === fixture.emitterShape)) fixture.emitterShape = "disc";
+  fixture.emitterWidth = Math.round(clamp(finiteOr(Number(fixture.emitterWidth), 150), EMITTER_SIZE_LIMITS.min, EMITTER_SIZE_LIMITS.max));
+  fixture.emitterHeight = Math.round(clamp(finiteOr(Number(fixture.emitterHeight), 150), EMITTER_SIZE_LIMITS.min, EMITTER_SIZE_LIMITS.max));
+  SHUTTER_SIDES.forEach((side) => {
+    const key = barnDoorKey(side);
+    fixture[key] = clamp(finiteOr(Number(fixture[key]), 0), 0, 100);
+  });
+  fixture.panRange = clamp(finiteOr(Number(fixture.panRange), 540), 0, 720);
+  fixture.tiltRange = clamp(finiteOr(Number(fixture.tiltRange), 270), 0, 360);
+  fixture.pan = clamp(finiteOr(Number(fixture.pan), 0), -fixture.panRange / 2, fixture.panRange / 2);
+  fixture.tilt = clamp(finiteOr(Number(fixture.tilt), 0), -fixture.tiltRange / 2, fixture.tiltRange / 2);
+  fixture.zoomMin = clamp(finiteOr(Number(fixture.zoomMin), 8), 1, 100);
+  fixture.zoomMax = clamp(finiteOr(Number(fixture.zoomMax), 45), fixture.zoomMin, 100);
+  if (fixture.placement === "moving") fixture.beamAngle = clamp(finiteOr(Number(fixture.beamAngle), 25), fixture.zoomMin, fixture.zoomMax);
+  ["cmyCyan", "cmyMagenta", "cmyYellow"].forEach((key) => {
+    fixture[key] = clamp(finiteOr(Number(fixture[key]), 0), 0, 100);
+  });
+  fixture.goboSpin = clamp(finiteOr(Number(fixture.goboSpin), 0), -360, 360);
+  fixture.barnDoorRotation = clamp(finiteOr(Number(fixture.barnDoorRotation), 0), -180, 180);
+  fixture.dmxUniverse = Math.round(clamp(finiteOr(Number(fixture.dmxUniverse), 1), 1, 63999));
+  fixture.dmxAddress = Math.round(clamp(finiteOr(Number(fixture.dmxAddress), 0), 0, 512));
+  // Sessions from before personalities picked RGB or CMY mixing on the fixed 10-channel layout.
+  if (raw && !raw.dmxPersonality && raw.dmxColorMode === "cmy") fixture.dmxPersonality = "virtual-cmy";
+  if (typeof fixture.dmxPersonality !== "string" || !fixture.dmxPersonality) fixture.dmxPersonality = "virtual-rgb";
+  delete fixture.dmxColorMode;
+  ["mvrUuid", "mvrFixtureId", "mvrGdtfSpec", "mvrGdtfMode"].forEach((key) => {
+    if (typeof fixture[key] !== "string") fixture[key] = "";
+  });
+  // Older saves held one gel: a preset display name, then a library id, plus a hex.
+  const legacyGel = Boolean(raw) && ["gelPresetName", "gelId", "gelHex"].some((key) => key in raw);
+  if (!Array.isArray(fixture.gels) || (legacyGel && !fixture.gels.length)) {
+    const gelId = fixture.gelId || gelIdForLegacyName(fixture.gelPresetName);
+    const hex = typeof fixture.gelHex === "string" ? fixture.gelHex.toLowerCase() : "#ffffff";
+    fixture.gels = gelId || hex !== "#ffffff" ? [{ gelId, hex }] : [];
+  }
+  fixture.gels = fixture.gels
+    .filter((layer) => layer && typeof layer === "object")
+    .map((layer) => ({ gelId: typeof layer.gelId === "string" ? layer.gelId : "", hex: layer.hex || "#ffffff" }));
+  delete fixture.gelPresetName;
+  delete fixture.gelId;
+  delete fixture.gelHex;
+  return fixture;
+}
+
+export function normalizeFixtures(list) {
+  const out = [];
+  (Array.isArray(list) ? list : []).slice(0, MAX_FIXTURES).forEach((raw) => {
+    const fixture = normalizeFixture(raw, out);
+    if (out.some((f) => f.id === fixture.id)) fixture.id = createFixture(out).id;
+    out.push(fixture);
+  });
+  if (!out.length) out.push(createFixture());
+  return out;
+}
+
+export function migrateLegacyLightState(saved) {
+  if (!saved || Array.isArray(saved.fixtures)) return saved;
+  const fixture = createFixture();
+  LEGACY_LIGHT_KEYS.forEach((key) => {
+    if (key in saved) fixture[key] = saved[key];
+  });
+  const migrated = { ...saved, fixtures: [fixture], selectedFixtureId: fixture.id };
+  LEGACY_LIGHT_KEYS.forEach((key) => delete migrated[key]);
+  return migrated;
+}
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+function finiteOr(value, fallback) {
+  return Number.isFinite(value) ? value : fallback;
+}
+
+const DEG = Math.PI / 180;
+// Meters along the beam to the aim point of a moving head that misses the wall.
+const MISS_THROW = 5;
+
+// Unit direction of a beam at pan/tilt (radians; centered points straight at the wall, -Z).
+function beamDirection(pan, tilt) {
+  return { x: Math.sin(pan) * Math.cos(tilt), y: Math.sin(tilt), z: -Math.cos(pan) * Math.cos(tilt) };
+}
+
+// Where a beam leaving `position` along `dir` meets the wall face, or null when it points away
+// from the wall or lands beside it.
+function beamOnWall(position, dir) {
+  if (dir.z > -1e-6) return null;
+  const t = position.z / -dir.z;
+  const x = position.x + dir.x * t;
+  const y = position.y + dir.y * t;
+  if (x < FOCUS_BOUNDS.minX || x > FOCUS_BOUNDS.maxX || y < FOCUS_BOUNDS.minY || y > FOCUS_BOUNDS.maxY) return null;
+  return { x, y, z: 0 };
+}
+
+// Pan and tilt (degrees) that aim a beam from `position` at `target`.
+export function aimPanTilt(position, target) {
+  const dx = target.x - position.x;
+  const dy = target.y - position.y;
+  const dz = target.z - position.z;
+  const length = Math.max(Math.hypot(dx, dy, dz), 1e-6);
+  return { pan: Math.atan2(dx, -dz) / DEG, tilt: Math.asin(clamp(dy / length, -1, 1)) / DEG };
+}
+
+// World-space hang position and focus point (meters), plus the throw, incidence and
+// az/el they imply. "orbit" places the fixture on a sphere around the focus point;
+// "xyz" uses the stored hang position as-is; "moving" hangs there too and aims by pan/tilt.
+export function fixtureGeometry(fixture) {
+  let focus = {
+    x: clamp(finiteOr(fixture.focusX, 0), FOCUS_BOUNDS.minX, FOCUS_BOUNDS.maxX),
+    y: clamp(finiteOr(fixture.focusY, 1.0), FOCUS_BOUNDS.minY, FOCUS_BOUNDS.maxY),
+    z: 0
+  };
+  let position;
+  let onWall = true;
+  if (fixture.placement === "xyz" || fixture.placement === "moving") {
+    position = {
+      x: clamp(finiteOr(fixture.positionX, 0), -30, 30),
+      y: clamp(finiteOr(fixture.positionY, 2.0), -1, 20),
+      // Keep the fixture in front of the wall so the focus point is always lit from the front.
+      z: clamp(finiteOr(fixture.positionZ, 3.0), 0.3, 40)
+    };
+    if (fixture.placement === "moving") {
+      const dir = beamDirection(finiteOr(fixture.pan, 0) * DEG, finiteOr(fixture.tilt, 0) * DEG);
+      const hit = beamOnWall(position, dir);
+      onWall = Boolean(hit);
+      // A beam that misses the wall is aimed at a point along it; the light stays on and still
+      // reaches the wall's edge, the floor, scenery and haze.
+      focus = hit || { x: position.x + dir.x * MISS_THROW, y: position.y + dir.y * MISS_THROW, z: position.z + dir.z * MISS_THROW };
+    }
+  } else {
+    const az = finiteOr(fixture.azimuth, 0) * DEG;
+    const el = finiteOr(fixture.elevation, 18) * DEG;
+    const throwDistance = clamp(finiteOr(fixture.throwDistance, 3.2), 1.2, 8.0);
+    position = {
+      x: focus.x + Math.sin(az) * Math.cos(el) * throwDistance,
+      y: focus.y + Math.sin(el) * throwDistance,
+      z: focus.z + Math.cos(az) * Math.cos(el) * throwDistance
+    };
+  }
+  const dx = position.x - focus.x;
+  const dy = position.y - focus.y;
+  const dz = position.z - focus.z;
+  const throwDistance = Math.max(Math.hypot(dx, dy, dz), 1e-3);
+  return {
+    position,
+    focus,
+    // False when a moving head's beam centre misses the wall, so `focus` is the aim point along
+    // the beam and the throw and incidence are not measured to the wall.
+    onWall,
+    throwDistance,
+    // Cosine between the wall normal (+Z) and the direction back to the fixture.
+    incidence: Math.max(dz / throwDistance, 0.15),
+    azimuth: Math.atan2(dx, dz) / DEG,
+    elevation: Math.asin(clamp(dy / throwDistance, -1, 1)) / DEG
+  };
+}
+
+export function isFixtureLive(fixture, fixtures) {
+  if (fixtures.some((f) => f.solo)) return fixture.solo;
+  return !fixture.mute;
+}
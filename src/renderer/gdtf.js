@@ -0,0 +1,178 @@
+import { normalizePersonality } from "./personalities.js";
+import { linearRgbToDisplayHex, xyzToLinearRgb } from "./spectral.js";
+
+// GDTF attribute names mapped onto the personality attributes the preview models.
+const GDTF_ATTRIBUTES = {
+  dimmer: "dimmer",
+  pan: "pan",
+  tilt: "tilt",
+  coloradd_r: "red",
+  colorrgb_red: "red",
+  coloradd_g: "green",
+  colorrgb_green: "green",
+  coloradd_b: "blue",
+  colorrgb_blue: "blue",
+  coloradd_w: "white",
+  coloradd_ww: "white",
+  coloradd_cw: "white",
+  coloradd_a: "amber",
+  coloradd_ry: "amber",
+  colorsub_c: "cyan",
+  colorrgb_cyan: "cyan",
+  colorsub_m: "magenta",
+  colorrgb_magenta: "magenta",
+  colorsub_y: "yellow",
+  colorrgb_yellow: "yellow",
+  cto: "ctc",
+  ctc: "ctc",
+  ctb: "ctc",
+  zoom: "zoom",
+  gobo1: "gobo"
+};
+
+// GDTF beam types onto the preview's lens models.
+const BEAM_LENS = { wash: "fresnel", fresnel: "fresnel", pc: "fresnel", glow: "fresnel" };
+
+function number(el, name, fallback) {
+  const v = Number.parseFloat(el?.getAttribute(name));
+  return Number.isFinite(v) ? v : fallback;
+}
+
+function slug(text) {
+  return String(text).trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+// GDTF colors are CIE 1931 "x,y,Y" with Y in percent.
+function xyY(text) {
+  const [x, y, Y] = String(text || "").split(",").map(Number);
+  if (![x, y, Y].every(Number.isFinite) || y <= 0) return null;
+  const lum = Y / 100;
+  return xyzToLinearRgb([(x * lum) / y, lum, ((1 - x - y) * lum) / y]);
+}
+
+function encodeSrgb(v) {
+  const c = Math.max(0, Math.min(1, v));
+  const s = c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+  return Math.round(s * 255).toString(16).padStart(2, "0");
+}
+
+// Filters keep their transmission, so the slot color is encoded as is rather than normalized.
+function filterHex(text) {
+  const rgb = xyY(text);
+  return rgb ? `#${rgb.map(encodeSrgb).join("")}` : "#ffffff";
+}
+
+function mediaPath(mediaFiles, name) {
+  if (!name) return "";
+  const wanted = name.toLowerCase();
+  return mediaFiles.find((file) => {
+    const base = file.split(/[\\/]/).pop().toLowerCase();
+    return base === wanted || base.replace(/\.[^.]+$/, "") === wanted;
+  }) || "";
+}
+
+function modePersonality(mode, idBase, fixtureName) {
+  const slots = [];
+  const ranges = {};
+  mode.querySelectorAll("DMXChannel").forEach((channel) => {
+    // Only the first DMX break is patched; further breaks would need a second address.
+    if ((channel.getAttribute("DMXBreak") || "1") !== "1") return;
+    const offsets = (channel.getAttribute("Offset") || "").split(",").map(Number).filter((n) => n >= 1);
+    const logical = channel.querySelector("LogicalChannel");
+    const gdtfName = logical?.getAttribute("Attribute") || "";
+    const attribute = GDTF_ATTRIBUTES[gdtfName.toLowerCase()] || "none";
+    offsets.forEach((offset, i) => {
+      const fine = i === 1 && attribute !== "none";
+      slots[offset - 1] = {
+        attribute: i === 0 ? attribute : fine ? `${attribute}-fine` : "none",
+        name: `${gdtfName || "Channel"}${i ? ` (byte ${i + 1})` : ""}`
+      };
+    });
+    const fn = logical?.querySelector("ChannelFunction");
+    if (fn && ["pan", "tilt", "zoom"].includes(attribute) && !ranges[attribute]) {
+      ranges[attribute] = [number(fn, "PhysicalFrom", 0), number(fn, "PhysicalTo", 1)];
+    }
+  });
+  const name = mode.getAttribute("Name") || "Mode";
+  const channels = Array.from({ length: slots.length }, (_, i) => slots[i] || { attribute: "none", name: "Not used" });
+  const span = (range) => (range ? Math.abs(range[1] - range[0]) : undefined);
+  return normalizePersonality({
+    id: `${idBase}-${slug(name)}`,
+    name: `${fixtureName} · ${name} (${channels.length} ch)`,
+    channels,
+    panRange: span(ranges.pan),
+    tiltRange: span(ranges.tilt),
+    zoomMin: ranges.zoom ? Math.min(...ranges.zoom) : undefined,
+    zoomMax: ranges.zoom ? Math.max(...ranges.zoom) : undefined
+  });
+}
+
+// Profile (for normalizeProfile) out of a GDTF description.xml. `mediaFiles` are the unpacked
+// wheel images, matched to slots by their MediaFileName; `filePath` is the .gdtf itself, kept so
+// an MVR export can reference and pack it.
+export function parseGdtfDescription(xmlText, mediaFiles = [], filePath = "") {
+  const doc = new DOMParser().parseFromString(xmlText, "application/xml");
+  if (doc.querySelector("parsererror")) throw new Error("description.xml is not valid XML.");
+  const fixtureType = doc.querySelector("FixtureType");
+  if (!fixtureType) throw new Error("No FixtureType in description.xml.");
+  const manufacturer = fixtureType.getAttribute("Manufacturer") || "";
+  const model = fixtureType.getAttribute("LongName") || fixtureType.getAttribute("Name") || "GDTF fixture";
+  const fixtureName = manufacturer && !model.startsWith(manufacturer) ? `${manufacturer} ${model}` : model;
+  const idBase = `gdtf-${slug(fixtureType.getAttribute("FixtureTypeID") || fixtureName)}`;
+
+  const beam = fixtureType.querySelector("Geometries Beam");
+  const fieldAngle = number(beam, "FieldAngle", 25);
+  const lampType = (beam?.getAttribute("LampType") || "Discharge").toLowerCase();
+
+  const emitters = Array.from(fixtureType.querySelectorAll("Emitters > Emitter")).map((emitter) => {
+    const rgb = xyY(emitter.getAttribute("Color"));
+    return { name: emitter.getAttribute("Name") || "Emitter", hex: rgb ? linearRgbToDisplayHex(rgb) : "#ffffff" };
+  });
+  const colorWheels = [];
+  const goboWheels = [];
+  fixtureType.querySelectorAll("Wheels > Wheel").forEach((wheel) => {
+    const slots = Array.from(wheel.querySelectorAll("Slot")).map((slot) => ({
+      name: slot.getAttribute("Name") || "Slot",
+      hex: filterHex(slot.getAttribute("Color")),
+      path: mediaPath(mediaFiles, slot.getAttribute("MediaFileName"))
+    }));
+    const name = wheel.getAttribute("Name") || "Wheel";
+    if (slots.some((slot) => slot.path)) {
+      goboWheels.push({ name, slots: slots.filter((slot) => slot.path).map(({ name: n, path }) => ({ name: n, path })) });
+    } else if (slots.some((slot) => slot.hex !== "#ffffff")) {
+      colorWheels.push({ name, slots: slots.filter((slot) => slot.hex !== "#ffffff").map(({ name: n, hex }) => ({ name: n, hex })) });
+    }
+  });
+  const modes = [];
+  const personalities = [];
+  fixtureType.querySelectorAll("DMXModes > DMXMode").forEach((mode) => {
+    const personality = modePersonality(mode, idBase, fixtureName);
+    if (!personality) return;
+    personalities.push(personality);
+    modes.push({ name: mode.getAttribute("Name") || "Mode", personalityId: personality.id });
+  });
+
+  const additive = personalities.some((p) => p.channels.some((ch) => ch.attribute === "red"));
+  // Discharge lamps have a broad, spiky spectrum nearer a phosphor LED's than a Planckian one.
+  return {
+    id: `user:${idBase}`,
+    category: "GDTF",
+    name: fixtureName,
+    beamAngle: number(beam, "BeamAngle", fieldAngle),
+    fieldAngle,
+    lumens: number(beam, "LuminousFlux", 10000),
+    kelvin: number(beam, "ColorTemperature", 6000),
+    source: lampType === "led" ? (additive ? "led-rgb" : "led-white") : lampType === "discharge" ? "led-white" : "tungsten",
+    lens: BEAM_LENS[(beam?.getAttribute("BeamType") || "").toLowerCase()] || "ellipsoidal",
+    gdtf: {
+      manufacturer,
+      file: filePath.split(/[\\/]/).pop(),
+      filePath,
+      modes,
+      emitters,
+      colorWheels,
+      goboWheels
+    },
+    personalities
+  };
+}
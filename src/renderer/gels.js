@@ -0,0 +1,455 @@
+import {
+  WAVELENGTHS,
+  flatSpectrum,
+  linearRgbToDisplayHex,
+  luminousTransmission,
+  multiplySpectra,
+  planckSpectrum,
+  sampleSpectrum,
+  spectrumToXyz,
+  transmissionFromHex,
+  xyzToLinearRgb
+} from "./spectral.js";
+
+function logistic(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+// Transmission built from a floor plus smooth pass bands and edges, clamped to 0..1.
+// Negative peaks carve absorption dips out of an otherwise clear filter.
+function shapedCurve({ floor = 0, bands = [] }) {
+  return sampleSpectrum((l) => {
+    let t = floor;
+    bands.forEach((b) => {
+      if (b.type === "band") t += b.peak * Math.exp(-0.5 * ((l - b.center) / (b.width / 2.3548)) ** 2);
+      if (b.type === "longpass") t += b.peak * logistic((l - b.edge) / b.slope);
+      if (b.type === "shortpass") t += b.peak * (1 - logistic((l - b.edge) / b.slope));
+    });
+    return Math.max(0, Math.min(1, t));
+  });
+}
+
+// Shapes follow the published curves' pass bands, edges and red leaks; not measured data.
+// `legacyName` is what state.json stored before gels came from catalogs.
+const BUILTIN_SHAPES = [
+  {
+    number: "R02",
+    manufacturer: "Rosco",
+    name: "Bastard Amber",
+    legacyName: "Rosco R02 Bastard Amber (Approx)",
+    floor: 0.9,
+    bands: [{ type: "shortpass", edge: 485, slope: 14, peak: -0.5 }]
+  },
+  {
+    number: "R27",
+    manufacturer: "Rosco",
+    name: "Medium Red",
+    legacyName: "Rosco R27 Medium Red (Approx)",
+    floor: 0.002,
+    bands: [{ type: "longpass", edge: 636, slope: 7, peak: 0.88 }, { type: "band", center: 400, width: 25, peak: 0.08 }]
+  },
+  {
+    number: "R80",
+    manufacturer: "Rosco",
+    name: "Primary Blue",
+    legacyName: "Rosco R80 Primary Blue (Approx)",
+    floor: 0.005,
+    bands: [{ type: "band", center: 455, width: 75, peak: 0.72 }, { type: "longpass", edge: 710, slope: 10, peak: 0.6 }]
+  },
+  {
+    number: "L201",
+    manufacturer: "Lee",
+    name: "Full C.T. Blue",
+    legacyName: "Lee 201 Full CTB (Approx)",
+    floor: 0.2,
+    bands: [{ type: "shortpass", edge: 530, slope: 28, peak: 0.62 }, { type: "longpass", edge: 690, slope: 18, peak: 0.35 }]
+  },
+  {
+    number: "L103",
+    manufacturer: "Lee",
+    name: "Straw",
+    legacyName: "Lee 103 Straw (Approx)",
+    floor: 0.93,
+    bands: [{ type: "shortpass", edge: 478, slope: 12, peak: -0.6 }]
+  },
+  {
+    number: "L124",
+    manufacturer: "Lee",
+    name: "Dark Green",
+    legacyName: "Lee 124 Dark Green (Approx)",
+    floor: 0.01,
+    bands: [{ type: "band", center: 520, width: 75, peak: 0.62 }, { type: "longpass", edge: 700, slope: 12, peak: 0.45 }]
+  },
+  {
+    number: "L204",
+    manufacturer: "Lee",
+    name: "Full C.T. Orange",
+    floor: 0.95,
+    bands: [{ type: "shortpass", edge: 525, slope: 22, peak: -0.72 }]
+  },
+  {
+    number: "R52",
+    manufacturer: "Rosco",
+    name: "Light Lavender",
+    floor: 0.82,
+    bands: [{ type: "band", center: 545, width: 95, peak: -0.4 }]
+  },
+  // Frosts are close to neutral. `spread` (degrees, added in quadrature to the field angle)
+  // and `soften` (extra edge softness) are rough fits to how each one looks on a wall.
+  { number: "R132", manufacturer: "Rosco", name: "Quarter Hamburg Frost", floor: 0.9, spread: 4, soften: 0.2 },
+  { number: "R119", manufacturer: "Rosco", name: "Light Hamburg Frost", floor: 0.85, spread: 6, soften: 0.35 },
+  { number: "R114", manufacturer: "Rosco", name: "Hamburg Frost", floor: 0.82, spread: 10, soften: 0.45 },
+  { number: "L410", manufacturer: "Lee", name: "Opal Frost", floor: 0.8, spread: 8, soften: 0.4 },
+  { number: "L251", manufacturer: "Lee", name: "Quarter White Diffusion", floor: 0.7, spread: 14, soften: 0.5 },
+  { number: "L250", manufacturer: "Lee", name: "Half White Diffusion", floor: 0.55, spread: 25, soften: 0.7 },
+  { number: "L216", manufacturer: "Lee", name: "White Diffusion", floor: 0.4, spread: 40, soften: 0.9 }
+];
+
+const SWATCH_WHITE = planckSpectrum(6504);
+// Swatch books quote photopic transmission under a 3200 K tungsten source.
+const SWATCH_SOURCE = planckSpectrum(3200);
+
+export function gelSwatchHex(curve) {
+  return linearRgbToDisplayHex(xyzToLinearRgb(spectrumToXyz(multiplySpectra(SWATCH_WHITE, curve))));
+}
+
+export function swatchTransmission(curve) {
+  return luminousTransmission(SWATCH_SOURCE, curve);
+}
+
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+}
+
+// "R02", "02" and "2" all name the same Rosco filter; the manufacturer supplies the letter.
+function bareNumber(number) {
+  return String(number).trim().toLowerCase().replace(/^[a-z]+\s*/, "").replace(/^0+(?=\d)/, "");
+}
+
+export function gelCode(entry) {
+  return `${(entry.manufacturer || "?")[0].toLowerCase()}${bareNumber(entry.number)}`;
+}
+
+function isPercentText(value) {
+  return /%\s*$/.test(String(value ?? ""));
+}
+
+// A number that may carry a trailing "%".
+function readNumber(value) {
+  return Number(String(value ?? "").trim().replace(/%$/, ""));
+}
+
+// `scale` is the catalog's: 0.01 when its curves are in percent.
+function resampleCurve(wavelengths, values, scale) {
+  const pairs = wavelengths
+    .map((w, i) => [Number(w), readNumber(values[i])])
+    .filter(([w, v]) => Number.isFinite(w) && Number.isFinite(v))
+    .sort((a, b) => a[0] - b[0]);
+  if (pairs.length < 2) return null;
+  return WAVELENGTHS.map((l) => {
+    if (l <= pairs[0][0]) return pairs[0][1] * scale;
+    const last = pairs[pairs.length - 1];
+    if (l >= last[0]) return last[1] * scale;
+    let i = 1;
+    while (pairs[i][0] < l) i += 1;
+    const [w0, v0] = pairs[i - 1];
+    const [w1, v1] = pairs[i];
+    return (v0 + ((v1 - v0) * (l - w0)) / (w1 - w0)) * scale;
+  }).map((v) => Math.max(0, Math.min(1, v)));
+}
+
+// Curves may be a bare list (380–780 nm, evenly spaced), `{ start, step, values }`
+// or `{ wavelengths, values }`.
+function readCurve(raw, scale) {
+  if (!raw) return null;
+  if (Array.isArray(raw)) {
+    if (raw.length < 2) return null;
+    const step = 400 / (raw.length - 1);
+    return resampleCurve(raw.map((_, i) => 380 + i * step), raw, scale);
+  }
+  if (Array.isArray(raw.values) && Array.isArray(raw.wavelengths)) return resampleCurve(raw.wavelengths, raw.values, scale);
+  if (Array.isArray(raw.values)) {
+    const start = Number.isFinite(Number(raw.start)) ? Number(raw.start) : 380;
+    const step = Number.isFinite(Number(raw.step)) ? Number(raw.step) : 5;
+    return resampleCurve(raw.values.map((_, i) => start + i * step), raw.values, scale);
+  }
+  return null;
+}
+
+function curveValues(raw) {
+  if (Array.isArray(raw)) return raw;
+  return Array.isArray(raw?.values) ? raw.values : [];
+}
+
+// Catalogs quote in percent or as fractions, and a deep blue at "0.8" means 0.8% only in a
+// percent catalog, so the scale is settled once for the whole catalog: a "%" on any value (or
+// in the transmission header) means percent, and so does any figure past what a fraction allows.
+function catalogScales(raws, percentHeader = false) {
+  const quoted = raws.map((r) => r.transmission);
+  const transmissionPercent = percentHeader || quoted.some(isPercentText) || quoted.some((v) => readNumber(v) > 1);
+  const samples = raws.flatMap((r) => curveValues(r.curve));
+  // Measured curves overshoot 1 a little, so only well past it reads as percent.
+  const curvePercent = samples.some(isPercentText) || samples.some((v) => readNumber(v) > 1.5);
+  return { transmissionScale: transmissionPercent ? 0.01 : 1, curveScale: curvePercent ? 0.01 : 1 };
+}
+
+function readNonNegative(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+function readTransmission(value, scale) {
+  const n = readNumber(value);
+  if (!Number.isFinite(n) || n < 0 || String(value ?? "").trim() === "") return null;
+  return Math.min(n * (isPercentText(value) ? 0.01 : scale), 1);
+}
+
+export function normalizeGelEntry(raw, defaults = {}) {
+  const manufacturer = String(raw.manufacturer || defaults.manufacturer || "").trim();
+  const number = String(raw.number ?? "").trim();
+  const name = String(raw.name || "").trim();
+  if (!number && !name) return null;
+  const hexText = String(raw.hex || "").trim();
+  const hex = /^#?[a-fA-F0-9]{6}$/.test(hexText) ? `#${hexText.replace("#", "").toLowerCase()}` : null;
+  let curve = readCurve(raw.curve, defaults.curveScale ?? 1);
+  const measured = Boolean(curve);
+  const quoted = readTransmission(raw.transmission, defaults.transmissionScale ?? 1);
+  if (!curve) {
+    if (!hex) return null;
+    curve = transmissionFromHex(hex);
+    // Without a curve, trust the catalog's transmission figure over the swatch's brightness.
+    if (quoted !== null) {
+      const y = swatchTransmission(curve);
+      if (y > 0) curve = curve.map((v) => Math.min(1, (v * quoted) / y));
+    }
+  }
+  const entry = {
+    number,
+    name: name || number,
+    manufacturer,
+    hex: hex || gelSwatchHex(curve),
+    transmission: quoted !== null ? quoted : swatchTransmission(curve),
+    curve,
+    measured,
+    spread: Math.min(readNonNegative(raw.spread), 120),
+    soften: Math.min(readNonNegative(raw.soften), 1),
+    catalog: defaults.catalog || ""
+  };
+  entry.id = `${slugify(manufacturer || "custom")}-${slugify(bareNumber(number) || name)}`;
+  return entry;
+}
+
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === "\"" && text[i + 1] === "\"") {
+        field += "\"";
+        i += 1;
+      } else if (ch === "\"") {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === "\"") {
+      quoted = true;
+    } else if (ch === "," || ch === ";" || ch === "\t") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim()));
+}
+
+const CSV_COLUMNS = {
+  number: ["number", "no", "no.", "code", "gel"],
+  name: ["name", "color", "colour", "description"],
+  manufacturer: ["manufacturer", "mfr", "brand", "maker"],
+  hex: ["hex", "rgb", "swatch"],
+  transmission: ["transmission", "transmission %", "transmission%", "trans", "y", "y%"],
+  curve: ["curve", "spectrum", "spd"],
+  spread: ["spread", "diffusion", "spread (deg)"],
+  soften: ["soften", "softness"]
+};
+
+function parseCsvCatalog(text, defaults) {
+  const rows = parseCsvRows(text);
+  if (rows.length < 2) throw new Error("Gel catalog CSV needs a header row and at least one gel.");
+  const header = rows[0].map((h) => h.trim().toLowerCase());
+  const column = (key) => header.findIndex((h) => CSV_COLUMNS[key].includes(h));
+  const cols = Object.fromEntries(Object.keys(CSV_COLUMNS).map((key) => [key, column(key)]));
+  // Wide files put one wavelength per column ("380", "385", ... or "380nm").
+  const waveCols = header
+    .map((h, i) => ({ i, w: /^(\d{3})\s*(nm)?$/.test(h) ? Number(h.replace(/nm/, "")) : NaN }))
+    .filter((c) => Number.isFinite(c.w));
+  if (cols.name < 0 && cols.number < 0) throw new Error("Gel catalog CSV needs a number or name column.");
+  const raws = rows.slice(1).map((r) => {
+    const cell = (key) => (cols[key] >= 0 ? r[cols[key]] : "");
+    let curve = null;
+    if (waveCols.length >= 2) {
+      curve = { wavelengths: waveCols.map((c) => c.w), values: waveCols.map((c) => r[c.i]) };
+    } else if (cell("curve")) {
+      curve = cell("curve").trim().split(/[\s|]+/);
+    }
+    return {
+      number: cell("number"),
+      name: cell("name"),
+      manufacturer: cell("manufacturer"),
+      hex: cell("hex"),
+      transmission: cell("transmission"),
+      curve,
+      spread: cell("spread"),
+      soften: cell("soften")
+    };
+  });
+  const scales = catalogScales(raws, cols.transmission >= 0 && header[cols.transmission].includes("%"));
+  return raws.map((raw) => normalizeGelEntry(raw, { ...defaults, ...scales }));
+}
+
+function parseJsonCatalog(text, defaults) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : Array.isArray(data?.gels) ? data.gels : null;
+  if (!list) throw new Error("Gel catalog JSON must be a list or have a \"gels\" list.");
+  const raws = list.map((raw) => raw || {});
+  const withMaker = { ...defaults, ...catalogScales(raws), manufacturer: data?.manufacturer || defaults.manufacturer };
+  return raws.map((raw) => normalizeGelEntry(raw, withMaker));
+}
+
+export function parseGelCatalog(text, fileName = "") {
+  const catalog = fileName.split(/[\\/]/).pop() || "Catalog";
+  const defaults = { catalog };
+  const trimmed = String(text || "").replace(/^\uFEFF/, "").trim();
+  const entries = trimmed.startsWith("[") || trimmed.startsWith("{")
+    ? parseJsonCatalog(trimmed, defaults)
+    : parseCsvCatalog(trimmed, defaults);
+  const gels = entries.filter(Boolean);
+  if (!gels.length) throw new Error("No usable gels found (each needs a hex color or a curve).");
+  return { catalog, gels, skipped: entries.length - gels.length };
+}
+
+// A house stock list is gel codes separated by commas, semicolons or new lines
+// ("R02, L201, 3202"), or any catalog file whose number column lists what is on the shelf.
+export function parseHouseStock(text) {
+  const trimmed = String(text || "").replace(/^\uFEFF/, "").trim();
+  let tokens = [];
+  if (trimmed.startsWith("[") || trimmed.startsWith("{")) {
+    const data = JSON.parse(trimmed);
+    const list = Array.isArray(data) ? data : data?.gels || data?.stock || [];
+    tokens = list.map((item) => (typeof item === "object" && item ? `${(item.manufacturer || "")[0] || ""}${item.number ?? ""}` : String(item)));
+  } else {
+    const rows = parseCsvRows(trimmed);
+    const header = (rows[0] || []).map((h) => h.trim().toLowerCase());
+    const numberCol = header.findIndex((h) => CSV_COLUMNS.number.includes(h));
+    const makerCol = header.findIndex((h) => CSV_COLUMNS.manufacturer.includes(h));
+    tokens = numberCol >= 0
+      ? rows.slice(1).map((r) => `${makerCol >= 0 ? (r[makerCol] || "").trim()[0] || "" : ""}${r[numberCol] || ""}`)
+      : rows.flat();
+  }
+  const codes = tokens
+    .map((t) => String(t).trim().toLowerCase().replace(/\s+/g, ""))
+    .filter(Boolean)
+    .map((t) => {
+      const match = /^([a-z]*)(.*)$/.exec(t);
+      return { prefix: match[1] ? match[1][0] : "", number: bareNumber(match[2] || t) };
+    });
+  return codes.filter((c) => c.number);
+}
+
+export function gelInStock(entry, stock) {
+  const code = gelCode(entry);
+  const number = bareNumber(entry.number);
+  return stock.some((s) => (s.prefix ? `${s.prefix}${s.number}` === code : s.number === number));
+}
+
+export const BUILTIN_GELS = BUILTIN_SHAPES.map((shape) => {
+  const { legacyName, number, manufacturer, name, spread, soften } = shape;
+  const curve = { values: shapedCurve(shape) };
+  const entry = normalizeGelEntry({ number, manufacturer, name, curve, spread, soften }, { catalog: "Built-in" });
+  // The shapes are approximations, so do not present them as measured curves.
+  return { ...entry, measured: false, legacyName };
+});
+
+// Later catalogs replace earlier entries with the same manufacturer and number.
+export function buildGelLibrary(catalogs) {
+  const byId = new Map();
+  BUILTIN_GELS.forEach((g) => byId.set(g.id, g));
+  catalogs.forEach((c) => c.gels.forEach((g) => byId.set(g.id, g)));
+  return Array.from(byId.values());
+}
+
+export function gelIdForLegacyName(name) {
+  if (!name) return "";
+  const found = BUILTIN_GELS.find((g) => g.legacyName === name);
+  return found ? found.id : "";
+}
+
+export function findGel(library, id) {
+  if (!id) return null;
+  return library.find((g) => g.id === id) || null;
+}
+
+export function gelLabel(entry) {
+  return `${entry.number ? `${entry.number} ` : ""}${entry.name}${entry.manufacturer ? ` (${entry.manufacturer})` : ""}`;
+}
+
+export function filterGels(library, { query = "", favorites = [], favoritesOnly = false, stock = null } = {}) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return library.filter((g) => {
+    if (favoritesOnly && !favorites.includes(g.id)) return false;
+    if (stock && !gelInStock(g, stock)) return false;
+    const haystack = `${g.number} ${gelCode(g)} ${g.name} ${g.manufacturer}`.toLowerCase();
+    return words.every((w) => haystack.includes(w));
+  });
+}
+
+export function isDiffusion(entry) {
+  return Boolean(entry && (entry.spread > 0 || entry.soften > 0));
+}
+
+// A stack layer is `{ gelId, hex }`: a library gel, or a custom color when gelId is empty
+// or the catalog that held it is not loaded.
+export function resolveGelLayer(layer, library) {
+  const gel = findGel(library, layer.gelId);
+  if (gel) return gel;
+  const hex = /^#[a-f0-9]{6}$/.test(String(layer.hex || "").toLowerCase()) ? layer.hex.toLowerCase() : "#ffffff";
+  const curve = hex === "#ffffff" ? flatSpectrum(1) : transmissionFromHex(hex);
+  return { id: "", number: "", name: `Custom ${hex}`, manufacturer: "", hex, curve, spread: 0, soften: 0, transmission: swatchTransmission(curve) };
+}
+
+// Filters in series multiply wavelength by wavelength. Frost spreads add in quadrature and
+// each frost removes a share of whatever edge hardness is left.
+export function combineGelStack(stack, library) {
+  const layers = (Array.isArray(stack) ? stack : []).map((layer) => resolveGelLayer(layer, library));
+  let curve = flatSpectrum(1);
+  let spreadSq = 0;
+  let hardness = 1;
+  layers.forEach((gel) => {
+    curve = multiplySpectra(curve, gel.curve);
+    spreadSq += gel.spread * gel.spread;
+    hardness *= 1 - gel.soften;
+  });
+  return {
+    layers,
+    curve,
+    spread: Math.sqrt(spreadSq),
+    soften: 1 - hardness,
+    hex: gelSwatchHex(curve),
+    transmission: swatchTransmission(curve)
+  };
+}
@@ -0,0 +1,137 @@
+// IES LM-63 photometric files (1986, 1991, 1995, 2002 and 2019 revisions).
+
+function tokenize(text) {
+  return text.trim().split(/[\s,]+/).filter(Boolean).map(Number);
+}
+
+function takeNumbers(tokens, count, what) {
+  if (tokens.length < count) throw new Error(`IES file ended early while reading ${what}.`);
+  const out = tokens.splice(0, count);
+  if (out.some((v) => !Number.isFinite(v))) throw new Error(`IES file has an invalid number in ${what}.`);
+  return out;
+}
+
+export function parseIes(text) {
+  const lines = String(text || "").replace(/\r\n?/g, "\n").split("\n");
+  const format = (lines[0] || "").trim().startsWith("IESNA") ? lines[0].trim() : "LM-63-1986";
+  const keywords = {};
+  let tiltIndex = -1;
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i].trim();
+    if (/^TILT\s*=/i.test(line)) {
+      tiltIndex = i;
+      break;
+    }
+    const kw = /^\[([^\]]+)\]\s*(.*)$/.exec(line);
+    if (kw) keywords[kw[1].toUpperCase()] = kw[2];
+  }
+  if (tiltIndex < 0) throw new Error("Not an IES file (missing TILT line).");
+
+  const tilt = lines[tiltIndex].split("=")[1].trim().toUpperCase();
+  const tokens = tokenize(lines.slice(tiltIndex + 1).join(" "));
+  if (tilt === "INCLUDE") {
+    takeNumbers(tokens, 1, "tilt geometry");
+    const [tiltCount] = takeNumbers(tokens, 1, "tilt angle count");
+    takeNumbers(tokens, tiltCount * 2, "tilt table");
+  }
+
+  const [lampCount, lumensPerLamp, multiplier, vCount, hCount, photometricType, unitsType] =
+    takeNumbers(tokens, 7, "lamp data");
+  takeNumbers(tokens, 3, "luminous opening");
+  const [ballastFactor, , inputWatts] = takeNumbers(tokens, 3, "ballast data");
+  if (vCount < 2 || hCount < 1) throw new Error("IES file has no usable angle grid.");
+
+  const verticalAngles = takeNumbers(tokens, vCount, "vertical angles");
+  const horizontalAngles = takeNumbers(tokens, hCount, "horizontal angles");
+  const scale = multiplier * (ballastFactor > 0 ? ballastFactor : 1);
+  const candela = [];
+  for (let h = 0; h < hCount; h += 1) {
+    candela.push(takeNumbers(tokens, vCount, "candela values").map((v) => Math.max(0, v * scale)));
+  }
+
+  let peakCandela = 0;
+  candela.forEach((row) => row.forEach((v) => {
+    peakCandela = Math.max(peakCandela, v);
+  }));
+  if (peakCandela <= 0) throw new Error("IES file contains no light output.");
+
+  return {
+    format,
+    keywords,
+    lampCount,
+    lumens: lumensPerLamp > 0 ? lumensPerLamp * lampCount : null,
+    photometricType,
+    unitsType,
+    inputWatts,
+    verticalAngles,
+    horizontalAngles,
+    candela,
+    peakCandela
+  };
+}
+
+function bracket(values, v) {
+  const last = values.length - 1;
+  if (v <= values[0]) return { i0: 0, i1: 0, t: 0 };
+  if (v >= values[last]) return { i0: last, i1: last, t: 0 };
+  let i = 1;
+  while (values[i] < v) i += 1;
+  const span = values[i] - values[i - 1];
+  return { i0: i - 1, i1: i, t: span > 0 ? (v - values[i - 1]) / span : 0 };
+}
+
+// Fold a full-circle azimuth into the range the file actually covers (0, 0-90, 0-180 or 0-360).
+function foldHorizontal(ies, phiDeg) {
+  const hs = ies.horizontalAngles;
+  const first = hs[0];
+  const span = hs[hs.length - 1] - first;
+  let phi = ((phiDeg % 360) + 360) % 360;
+  if (hs.length === 1) return first;
+  if (span <= 90) {
+    phi %= 180;
+    if (phi > 90) phi = 180 - phi;
+  } else if (span <= 180) {
+    if (phi > 180) phi = 360 - phi;
+  }
+  return first + phi;
+}
+
+// Candela at `thetaDeg` off the beam axis and `phiDeg` around it.
+export function iesCandela(ies, thetaDeg, phiDeg = 0) {
+  const vs = ies.verticalAngles;
+  // Type C files aimed downward start at 0 (nadir); type A/B files are symmetric about 0.
+  const theta = ies.photometricType === 1 && vs[0] >= 90 ? 180 - thetaDeg : Math.abs(thetaDeg);
+  const v = bracket(vs, theta);
+  const h = bracket(ies.horizontalAngles, foldHorizontal(ies, phiDeg));
+  const row0 = ies.candela[h.i0];
+  const row1 = ies.candela[h.i1];
+  const a = row0[v.i0] + (row0[v.i1] - row0[v.i0]) * v.t;
+  const b = row1[v.i0] + (row1[v.i1] - row1[v.i0]) * v.t;
+  return a + (b - a) * h.t;
+}
+
+function averageCandela(ies, thetaDeg) {
+  const steps = 16;
+  let sum = 0;
+  for (let i = 0; i < steps; i += 1) sum += iesCandela(ies, thetaDeg, (i / steps) * 360);
+  return sum / steps;
+}
+
+function angleAtFraction(ies, fraction, axial, limit) {
+  for (let theta = 0; theta <= limit; theta += 0.25) {
+    if (averageCandela(ies, theta) < axial * fraction) return theta;
+  }
+  return limit;
+}
+
+// Beam (50%) and field (10%) angles as full angles, plus the half angle where output fades out.
+export function iesBeamSummary(ies) {
+  const axial = averageCandela(ies, 0) || ies.peakCandela;
+  const limit = Math.min(89, Math.max(...ies.verticalAngles.map((v) => (v >= 90 ? 180 - v : v))));
+  return {
+    axialCandela: axial,
+    beamAngle: 2 * angleAtFraction(ies, 0.5, axial, limit),
+    fieldAngle: 2 * angleAtFraction(ies, 0.1, axial, limit),
+    cutoffAngle: angleAtFraction(ies, 0.01, axial, limit)
+  };
+}
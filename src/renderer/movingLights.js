@@ -0,0 +1,30 @@
+// Color wheel for moving heads without a GDTF profile: dichroic slots as filter transmission,
+// in the same { name, slots: [{ name, hex }] } shape as GDTF wheels.
+export const BUILTIN_COLOR_WHEEL = {
+  name: "Moving head color wheel",
+  slots: [
+    { name: "Red", hex: "#ff2010" },
+    { name: "Orange", hex: "#ff7a1a" },
+    { name: "Yellow", hex: "#fff01a" },
+    { name: "Green", hex: "#2dff3a" },
+    { name: "Cyan", hex: "#1ae8ff" },
+    { name: "Light blue", hex: "#6ab8ff" },
+    { name: "Deep blue", hex: "#1a3cff" },
+    { name: "Congo", hex: "#6a1aff" },
+    { name: "Magenta", hex: "#ff1ad8" },
+    { name: "Pink", hex: "#ff8fc8" },
+    { name: "CTO", hex: "#ffc48a" },
+    { name: "CTB", hex: "#b8d4ff" }
+  ]
+};
+
+function hex2(v) {
+  return Math.round(Math.max(0, Math.min(255, v))).toString(16).padStart(2, "0");
+}
+
+// The three CMY flags as one subtractive filter, or "" when all are out of the beam.
+export function cmyFilterHex(fixture) {
+  const levels = [fixture.cmyCyan, fixture.cmyMagenta, fixture.cmyYellow].map((v) => (Number(v) || 0) / 100);
+  if (levels.every((v) => v <= 0)) return "";
+  return `#${levels.map((v) => hex2(255 - v * 255)).join("")}`;
+}
@@ -0,0 +1,252 @@
+import { FOCUS_BOUNDS, fixtureGeometry } from "./fixtures.js";
+
+// MVR scenes are Z-up in millimeters with +Y pointing upstage. The wall's face sits on the MVR
+// x axis (y = 0), centred on x = 0 and standing on the stage floor (z = 0), which is the
+// renderer's floor plane.
+const FLOOR_Y = -0.22;
+
+const IDENTITY = { u: [1, 0, 0], v: [0, 1, 0], w: [0, 0, 1], o: [0, 0, 0] };
+
+// Objects drawn as scenery. Their models come from Geometry3D files or a Symbol's Symdef.
+const SCENERY_TAGS = ["SceneObject", "Truss", "Support", "VideoScreen", "Projector"];
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+function childElements(el, tag) {
+  return Array.from(el?.childNodes || []).filter((node) => node.nodeType === 1 && (!tag || node.tagName === tag));
+}
+
+function childText(el, tag) {
+  return (childElements(el, tag)[0]?.textContent || "").trim();
+}
+
+// "{u1,u2,u3}{v1,v2,v3}{w1,w2,w3}{o1,o2,o3}": the object's local axes and origin in its
+// parent's space.
+function parseMatrix(el) {
+  const text = childText(el, "Matrix");
+  const rows = Array.from(text.matchAll(/\{([^}]*)\}/g), (match) => match[1].split(",").map(Number));
+  if (rows.length !== 4 || !rows.every((row) => row.length === 3 && row.every(Number.isFinite))) return IDENTITY;
+  const [u, v, w, o] = rows;
+  return { u, v, w, o };
+}
+
+function rotate(m, [x, y, z]) {
+  return [0, 1, 2].map((i) => m.u[i] * x + m.v[i] * y + m.w[i] * z);
+}
+
+function compose(parent, child) {
+  const o = rotate(parent, child.o);
+  return {
+    u: rotate(parent, child.u),
+    v: rotate(parent, child.v),
+    w: rotate(parent, child.w),
+    o: o.map((value, i) => value + parent.o[i])
+  };
+}
+
+// MVR millimeters to renderer meters and back.
+function toScene([x, y, z]) {
+  return { x: x / 1000, y: z / 1000 + FLOOR_Y, z: -y / 1000 };
+}
+
+function fromScene({ x, y, z }) {
+  return [x * 1000, -z * 1000, (y - FLOOR_Y) * 1000];
+}
+
+function multiply(a, b) {
+  const out = new Array(16).fill(0);
+  for (let r = 0; r < 4; r += 1) {
+    for (let c = 0; c < 4; c += 1) {
+      for (let k = 0; k < 4; k += 1) out[r * 4 + c] += a[r * 4 + k] * b[k * 4 + c];
+    }
+  }
+  return out;
+}
+
+// Column-major renderer matrix (for Matrix4.fromArray) placing a model file. 3DS models are
+// in MVR's millimeters and Z-up; glTF models are in meters and Y-up.
+function sceneMatrix(m, fileName) {
+  const toRenderer = [0.001, 0, 0, 0, 0, 0, 0.001, FLOOR_Y, 0, -0.001, 0, 0, 0, 0, 0, 1];
+  const local = [m.u[0], m.v[0], m.w[0], m.o[0], m.u[1], m.v[1], m.w[1], m.o[1], m.u[2], m.v[2], m.w[2], m.o[2], 0, 0, 0, 1];
+  let rowMajor = multiply(toRenderer, local);
+  if (/\.glb$/i.test(fileName)) rowMajor = multiply(rowMajor, [1000, 0, 0, 0, 0, 0, -1000, 0, 0, 1000, 0, 0, 0, 0, 0, 1]);
+  return [0, 1, 2, 3].flatMap((c) => [0, 1, 2, 3].map((r) => rowMajor[r * 4 + c]));
+}
+
+function geometryParts(el, m, symdefs) {
+  const parts = [];
+  const collect = (container, matrix, depth) => {
+    childElements(container).forEach((node) => {
+      const nodeMatrix = compose(matrix, parseMatrix(node));
+      if (node.tagName === "Geometry3D") {
+        parts.push({ fileName: node.getAttribute("fileName") || "", matrix: nodeMatrix });
+      } else if (node.tagName === "Symbol" && depth < 4) {
+        const symdef = symdefs.get(node.getAttribute("symdef"));
+        if (symdef) collect(childElements(symdef, "ChildList")[0], nodeMatrix, depth + 1);
+      }
+    });
+  };
+  collect(childElements(el, "Geometries")[0], m, 0);
+  return parts;
+}
+
+// Absolute DMX address ("557") or universe.address ("2.45") to { universe, address }.
+function parseAddress(text) {
+  const dotted = /^(\d+)\.(\d+)$/.exec(text);
+  if (dotted) return { universe: Math.max(1, Number(dotted[1])), address: clamp(Number(dotted[2]), 0, 512) };
+  const absolute = Number.parseInt(text, 10);
+  if (!Number.isFinite(absolute) || absolute < 1) return { universe: 1, address: 0 };
+  return { universe: Math.floor((absolute - 1) / 512) + 1, address: ((absolute - 1) % 512) + 1 };
+}
+
+// Where the beam from `position` through `target` lands on the wall, clamped to its face.
+function wallFocus(position, target) {
+  let hit = target;
+  if (position.z > 0 && target.z < position.z) {
+    const t = position.z / (position.z - target.z);
+    hit = { x: position.x + (target.x - position.x) * t, y: position.y + (target.y - position.y) * t };
+  }
+  return {
+    focusX: clamp(hit.x, FOCUS_BOUNDS.minX, FOCUS_BOUNDS.maxX),
+    focusY: clamp(hit.y, FOCUS_BOUNDS.minY, FOCUS_BOUNDS.maxY)
+  };
+}
+
+// { fixtures, scenery } out of GeneralSceneDescription.xml. Fixtures carry their hang position
+// and wall focus in renderer meters; a fixture without a focus point is aimed along its beam
+// axis (local -Z in GDTF). Scenery parts carry a renderer matrix per model file.
+export function parseMvrScene(xmlText) {
+  const doc = new DOMParser().parseFromString(String(xmlText || "").replace(/^\uFEFF/, ""), "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw new Error("GeneralSceneDescription.xml is not valid XML.");
+  const scene = doc.getElementsByTagName("Scene")[0];
+  if (!scene) throw new Error("No Scene in GeneralSceneDescription.xml.");
+
+  const symdefs = new Map();
+  childElements(childElements(scene, "AUXData")[0], "Symdef").forEach((symdef) => symdefs.set(symdef.getAttribute("uuid"), symdef));
+
+  const rawFixtures = [];
+  const focusPoints = new Map();
+  const scenery = [];
+  const walk = (el, parent) => {
+    childElements(childElements(el, "ChildList")[0]).forEach((node) => {
+      const m = compose(parent, parseMatrix(node));
+      const name = node.getAttribute("name") || node.tagName;
+      if (node.tagName === "Fixture") {
+        const addressNodes = childElements(childElements(node, "Addresses")[0], "Address");
+        const first = addressNodes.find((a) => (a.getAttribute("break") || "0") === "0") || addressNodes[0];
+        rawFixtures.push({
+          uuid: node.getAttribute("uuid") || "",
+          name,
+          m,
+          gdtfSpec: childText(node, "GDTFSpec"),
+          gdtfMode: childText(node, "GDTFMode"),
+          focusUuid: childText(node, "Focus"),
+          fixtureId: childText(node, "FixtureID"),
+          ...parseAddress((first?.textContent || "").trim())
+        });
+      } else if (node.tagName === "FocusPoint") {
+        focusPoints.set(node.getAttribute("uuid"), toScene(m.o));
+      } else if (SCENERY_TAGS.includes(node.tagName)) {
+        const parts = geometryParts(node, m, symdefs);
+        // Objects whose model is missing still show where they stand.
+        if (!parts.length) parts.push({ fileName: "", matrix: m });
+        parts.forEach((part) => scenery.push({ name, kind: node.tagName, fileName: part.fileName, matrix: sceneMatrix(part.matrix, part.fileName) }));
+      }
+      walk(node, m);
+    });
+  };
+  childElements(childElements(scene, "Layers")[0], "Layer").forEach((layer) => walk(layer, parseMatrix(layer)));
+
+  const fixtures = rawFixtures.map(({ m, focusUuid, ...fixture }) => {
+    const position = toScene(m.o);
+    const focusPoint = focusPoints.get(focusUuid);
+    // Without a focus point the beam axis (local -Z) decides; one pointing away from the wall
+    // falls back to its centre.
+    const target = focusPoint || { x: position.x - m.w[0], y: position.y - m.w[2], z: position.z + m.w[1] };
+    const focus = focusPoint || target.z < position.z ? wallFocus(position, target) : { focusX: 0, focusY: 1.0 };
+    return {
+      ...fixture,
+      positionX: position.x,
+      positionY: position.y,
+      positionZ: position.z,
+      ...focus,
+      behindWall: position.z < 0.3
+    };
+  });
+  return { fixtures, scenery };
+}
+
+export function mvrUuid() {
+  return crypto.randomUUID().toUpperCase();
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, (c) => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", '"': "&quot;", "'": "&apos;" })[c]);
+}
+
+function formatMatrix({ u, v, w, o }) {
+  const group = (values) => `{${values.map((n) => Number(n.toFixed(6))).join(",")}}`;
+  return `<Matrix>${group(u)}${group(v)}${group(w)}${group(o)}</Matrix>`;
+}
+
+function normalize(v) {
+  const len = Math.hypot(...v) || 1;
+  return v.map((n) => n / len);
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+// Fixture matrix with its beam axis (local -Z) on the focus point.
+function aimedMatrix(position, focus) {
+  const from = fromScene(position);
+  const to = fromScene(focus);
+  const w = normalize(from.map((n, i) => n - to[i]));
+  let u = cross([0, 0, 1], w);
+  u = Math.hypot(...u) < 1e-6 ? [1, 0, 0] : normalize(u);
+  return { u, v: cross(w, u), w, o: from };
+}
+
+// GeneralSceneDescription.xml for the rig. `entries` are [{ fixture, gdtfSpec, gdtfMode }] with
+// fixture.mvrUuid already assigned; each fixture gets a focus point on the wall.
+export function buildMvrScene(entries) {
+  const lines = [];
+  entries.forEach(({ fixture, gdtfSpec, gdtfMode }, i) => {
+    const geometry = fixtureGeometry(fixture);
+    const focusUuid = mvrUuid();
+    const { position, focus } = geometry;
+    const absolute = fixture.dmxAddress > 0 ? (fixture.dmxUniverse - 1) * 512 + fixture.dmxAddress : 0;
+    lines.push(
+      `        <FocusPoint uuid="${focusUuid}" name="${escapeXml(`${fixture.name} focus`)}">`,
+      `          ${formatMatrix({ ...IDENTITY, o: fromScene(focus) })}`,
+      "        </FocusPoint>",
+      `        <Fixture uuid="${fixture.mvrUuid}" name="${escapeXml(fixture.name)}">`,
+      `          ${formatMatrix(aimedMatrix(position, focus))}`,
+      `          <GDTFSpec>${escapeXml(gdtfSpec)}</GDTFSpec>`,
+      `          <GDTFMode>${escapeXml(gdtfMode)}</GDTFMode>`,
+      `          <Focus>${focusUuid}</Focus>`,
+      `          <FixtureID>${escapeXml(fixture.mvrFixtureId || String(i + 1))}</FixtureID>`,
+      "          <UnitNumber>0</UnitNumber>",
+      absolute ? `          <Addresses><Address break="0">${absolute}</Address></Addresses>` : "          <Addresses/>",
+      "        </Fixture>"
+    );
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no" ?>',
+    '<GeneralSceneDescription verMajor="1" verMinor="6" provider="Lighting Texture Previewer" providerVersion="1.1">',
+    "  <Scene>",
+    "    <Layers>",
+    `      <Layer uuid="${mvrUuid()}" name="Lighting Texture Previewer">`,
+    "        <ChildList>",
+    ...lines.map((line) => `  ${line}`),
+    "        </ChildList>",
+    "      </Layer>",
+    "    </Layers>",
+    "  </Scene>",
+    "</GeneralSceneDescription>",
+    ""
+  ].join("\n");
+}
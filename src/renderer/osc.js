@@ -0,0 +1,117 @@
+import { fixtureGeometry } from "./fixtures.js";
+
+// OSC address space. Fixture parameters live under /light/{n}/ with n counted from 1 in
+// fixture-list order; /gobo/... acts on the selected fixture. Ranges match the UI controls.
+export const OSC_FIXTURE_PARAMS = {
+  lux: { key: "lux", min: 1, max: 20000 },
+  dimmer: { key: "dimmerLevel", min: 0, max: 100 },
+  kelvin: { key: "kelvin", min: 1800, max: 12000 },
+  azimuth: { key: "azimuth", min: -80, max: 80, orbit: true },
+  elevation: { key: "elevation", min: -30, max: 70, orbit: true },
+  throw: { key: "throwDistance", min: 1.2, max: 8, orbit: true },
+  pan: { key: "pan", min: -360, max: 360, moving: true },
+  tilt: { key: "tilt", min: -180, max: 180, moving: true },
+  focusx: { key: "focusX", min: -1.9, max: 1.9, focus: true },
+  focusy: { key: "focusY", min: -0.2, max: 2.2, focus: true },
+  beam: { key: "beamAngle", min: 4, max: 100 },
+  softness: { key: "softness", min: 0, max: 1, mask: true },
+  iris: { key: "irisSize", min: 5, max: 100, mask: true },
+  "gobo/rotation": { key: "goboRotation", min: -180, max: 180, mask: true },
+  "gobo/scale": { key: "goboScale", min: 0.3, max: 3, mask: true },
+  "gobo/focus": { key: "goboFocus", min: 0, max: 8, mask: true },
+  "gobo/spin": { key: "goboSpin", min: -360, max: 360, mask: true },
+  color: { key: "lightColorHex", type: "color" },
+  solo: { key: "solo", type: "bool" },
+  mute: { key: "mute", type: "bool" }
+};
+
+export const OSC_STATE_PARAMS = {
+  "haze/density": { key: "hazeDensity", min: 0, max: 1 },
+  "haze/height": { key: "hazeHeight", min: 0, max: 2.4 },
+  "haze/enabled": { key: "hazeEnabled", type: "bool" },
+  "house/intensity": { key: "houseLightIntensity", min: 0, max: 5 },
+  ambient: { key: "ambientFill", min: 0, max: 10 }
+};
+
+// Commands take at most one argument and report nothing back.
+const OSC_COMMANDS = ["render/hq", "render/cancel", "camera/preset", "cue/go", "cue/back", "cue/stop", "cue/fire", "select"];
+
+// Whether setting a parameter means anything for the fixture as it is placed: az/el/throw belong
+// to orbit placement, pan/tilt to moving heads, and a moving head's focus follows its pan/tilt.
+export function oscParamApplies(spec, fixture) {
+  if (spec.orbit) return fixture.placement === "orbit";
+  if (spec.moving) return fixture.placement === "moving";
+  if (spec.focus) return fixture.placement !== "moving";
+  return true;
+}
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+function round(v) {
+  return Number(v.toFixed(3));
+}
+
+// { kind: "fixture", index, param } | { kind: "state", param } | { kind: "command", name } | null
+export function parseOscAddress(address) {
+  const path = String(address || "").toLowerCase().replace(/^\/+|\/+$/g, "");
+  const light = /^light\/(\d+)\/(.+)$/.exec(path);
+  if (light && OSC_FIXTURE_PARAMS[light[2]]) return { kind: "fixture", index: Number(light[1]) - 1, param: light[2] };
+  if (path.startsWith("gobo/") && OSC_FIXTURE_PARAMS[path]) return { kind: "fixture", index: null, param: path };
+  if (OSC_STATE_PARAMS[path]) return { kind: "state", param: path };
+  if (OSC_COMMANDS.includes(path)) return { kind: "command", name: path };
+  return null;
+}
+
+function toBool(arg) {
+  if (typeof arg === "string") return !["0", "off", "false", ""].includes(arg.trim().toLowerCase());
+  return Boolean(arg);
+}
+
+function toHexByte(v) {
+  return Math.round(clamp(v, 0, 1) * 255).toString(16).padStart(2, "0");
+}
+
+// The value an incoming message sets, or undefined when it carries nothing usable (a query).
+// Colors come as "#rrggbb" or as three 0-1 floats, the way most OSC faders send RGB.
+export function oscArgumentValue(spec, args) {
+  if (!args.length || args[0] === null) return undefined;
+  if (spec.type === "bool") return toBool(args[0]);
+  if (spec.type === "color") {
+    if (args.length >= 3 && args.slice(0, 3).every((a) => typeof a === "number")) {
+      return `#${args.slice(0, 3).map(toHexByte).join("")}`;
+    }
+    const text = String(args[0]).trim().toLowerCase();
+    const hex = text.startsWith("#") ? text : `#${text}`;
+    return /^#[0-9a-f]{6}$/.test(hex) ? hex : undefined;
+  }
+  const v = Number(args[0]);
+  return Number.isFinite(v) ? clamp(v, spec.min, spec.max) : undefined;
+}
+
+export function oscReplyValue(spec, value) {
+  if (spec.type === "bool") return Boolean(value);
+  if (spec.type === "color") return String(value);
+  return round(Number(value) || 0);
+}
+
+// Every reportable address with its current value, for sending back what changed.
+export function oscSnapshot(state) {
+  const out = new Map();
+  state.fixtures.forEach((fixture, i) => {
+    // Freely placed fixtures and moving heads report the az/el/throw their hang position implies,
+    // and a moving head reports where its pan/tilt lands on the wall as its focus; while its beam
+    // misses the wall it has no focus to report.
+    const geometry = fixture.placement === "orbit" ? null : fixtureGeometry(fixture);
+    const shown = geometry ? { ...fixture, ...geometry, focusX: geometry.focus.x, focusY: geometry.focus.y } : fixture;
+    Object.entries(OSC_FIXTURE_PARAMS).forEach(([param, spec]) => {
+      if (spec.focus && geometry && !geometry.onWall) return;
+      out.set(`/light/${i + 1}/${param}`, oscReplyValue(spec, (spec.orbit || spec.focus ? shown : fixture)[spec.key]));
+    });
+  });
+  Object.entries(OSC_STATE_PARAMS).forEach(([param, spec]) => {
+    out.set(`/${param}`, oscReplyValue(spec, state[spec.key]));
+  });
+  return out;
+}
@@ -0,0 +1,156 @@
+// Channel attributes a personality can use. A "-fine" channel pairs with its coarse channel
+// as the low byte of a 16-bit value; "none" holds a slot the preview does not model.
+export const DMX_ATTRIBUTES = {
+  dimmer: "Dimmer",
+  "dimmer-fine": "Dimmer fine",
+  red: "Red",
+  green: "Green",
+  blue: "Blue",
+  white: "White",
+  amber: "Amber",
+  cyan: "Cyan",
+  magenta: "Magenta",
+  yellow: "Yellow",
+  ctc: "Color temperature",
+  pan: "Pan",
+  "pan-fine": "Pan fine",
+  tilt: "Tilt",
+  "tilt-fine": "Tilt fine",
+  zoom: "Zoom",
+  "zoom-fine": "Zoom fine",
+  gobo: "Gobo (0-127 open, 128-255 in)",
+  none: "Not used"
+};
+
+const ATTRIBUTE_ALIASES = {
+  intensity: "dimmer",
+  int: "dimmer",
+  r: "red",
+  g: "green",
+  b: "blue",
+  w: "white",
+  a: "amber",
+  c: "cyan",
+  m: "magenta",
+  y: "yellow",
+  cto: "ctc",
+  "gobo wheel": "gobo",
+  "gobo-wheel": "gobo",
+  skip: "none",
+  unused: "none"
+};
+
+const MOVING_HEAD = ["pan", "pan-fine", "tilt", "tilt-fine"];
+
+export const BUILTIN_PERSONALITIES = [
+  {
+    id: "virtual-rgb",
+    name: "Virtual moving light, RGB (10 ch)",
+    channels: ["dimmer", "red", "green", "blue", ...MOVING_HEAD, "zoom", "gobo"]
+  },
+  {
+    id: "virtual-cmy",
+    name: "Virtual moving light, CMY (10 ch)",
+    channels: ["dimmer", "cyan", "magenta", "yellow", ...MOVING_HEAD, "zoom", "gobo"]
+  },
+  { id: "dimmer", name: "Conventional dimmer (1 ch)", channels: ["dimmer"] },
+  { id: "dimmer-16", name: "Conventional dimmer, 16-bit (2 ch)", channels: ["dimmer", "dimmer-fine"] },
+  { id: "rgb", name: "LED RGB (3 ch)", channels: ["red", "green", "blue"] },
+  { id: "rgbw", name: "LED RGBW (4 ch)", channels: ["red", "green", "blue", "white"] },
+  { id: "drgbw", name: "LED dimmer + RGBW (5 ch)", channels: ["dimmer", "red", "green", "blue", "white"] },
+  { id: "drgbaw", name: "LED dimmer + RGBAW (6 ch)", channels: ["dimmer", "red", "green", "blue", "amber", "white"] },
+  {
+    id: "spot-cmy",
+    name: "Moving spot, CMY + gobo + zoom (13 ch)",
+    channels: ["dimmer", "dimmer-fine", ...MOVING_HEAD, "cyan", "magenta", "yellow", "ctc", "gobo", "zoom", "none"],
+    zoomMin: 10,
+    zoomMax: 45
+  }
+].map((p) => normalizePersonality(p));
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+function finiteOr(value, fallback) {
+  return Number.isFinite(value) ? value : fallback;
+}
+
+function slug(text) {
+  return String(text).trim().toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "");
+}
+
+function normalizeChannel(raw) {
+  const source = typeof raw === "string" ? { attribute: raw } : raw || {};
+  const key = String(source.attribute || source.type || "").trim().toLowerCase();
+  const attribute = DMX_ATTRIBUTES[key] ? key : ATTRIBUTE_ALIASES[key] || "none";
+  return { attribute, name: typeof source.name === "string" && source.name.trim() ? source.name.trim() : DMX_ATTRIBUTES[attribute] };
+}
+
+// { id, name, channels: [{ attribute, name }], panRange, tiltRange, zoomMin, zoomMax } or null.
+// Channels are listed in address order; unknown attributes keep their slot as "none".
+export function normalizePersonality(raw) {
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.channels) || !raw.channels.length) return null;
+  const name = typeof raw.name === "string" && raw.name.trim() ? raw.name.trim() : "";
+  const id = slug(raw.id || name);
+  if (!id) return null;
+  const zoomMin = clamp(finiteOr(Number(raw.zoomMin), 8), 1, 120);
+  return {
+    id,
+    name: name || id,
+    channels: raw.channels.slice(0, 512).map(normalizeChannel),
+    panRange: clamp(finiteOr(Number(raw.panRange), 540), 0, 720),
+    tiltRange: clamp(finiteOr(Number(raw.tiltRange), 270), 0, 360),
+    zoomMin,
+    zoomMax: clamp(finiteOr(Number(raw.zoomMax), 60), zoomMin, 120)
+  };
+}
+
+// A personality file is an array of personalities or { "personalities": [...] }.
+export function parsePersonalityFile(text) {
+  const data = JSON.parse(String(text || "").replace(/^\uFEFF/, ""));
+  const list = Array.isArray(data) ? data : data?.personalities || [];
+  const personalities = list.map(normalizePersonality).filter(Boolean);
+  if (!personalities.length) throw new Error("No usable personalities found (each needs a name and a channels list).");
+  return { personalities, skipped: list.length - personalities.length };
+}
+
+export function findPersonality(personalities, id) {
+  return personalities.find((p) => p.id === id) || null;
+}
+
+export function patchRange(fixture, personality) {
+  return { first: fixture.dmxAddress, last: fixture.dmxAddress + personality.channels.length - 1 };
+}
+
+// Problems per fixture id: unknown personality, footprint past channel 512, or channels shared
+// with another fixture. Two fixtures patched to the same start with the same personality are a
+// deliberate double patch and are allowed.
+export function patchProblems(fixtures, personalities) {
+  const problems = new Map();
+  const add = (id, message) => problems.set(id, [...(problems.get(id) || []), message]);
+  const patched = fixtures.filter((f) => f.dmxAddress >= 1);
+  patched.forEach((f) => {
+    const personality = findPersonality(personalities, f.dmxPersonality);
+    if (!personality) {
+      add(f.id, `unknown personality "${f.dmxPersonality}"`);
+      return;
+    }
+    if (patchRange(f, personality).last > 512) add(f.id, "runs past channel 512");
+  });
+  patched.forEach((a, i) => {
+    const pa = findPersonality(personalities, a.dmxPersonality);
+    if (!pa) return;
+    patched.slice(i + 1).forEach((b) => {
+      const pb = findPersonality(personalities, b.dmxPersonality);
+      if (!pb || a.dmxUniverse !== b.dmxUniverse) return;
+      if (a.dmxAddress === b.dmxAddress && pa.id === pb.id) return;
+      const ra = patchRange(a, pa);
+      const rb = patchRange(b, pb);
+      if (ra.first > rb.last || rb.first > ra.last) return;
+      add(a.id, `overlaps ${b.name}`);
+      add(b.id, `overlaps ${a.name}`);
+    });
+  });
+  return problems;
+}
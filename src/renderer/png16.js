@@ -0,0 +1,66 @@
+// 16-bit RGB PNG writer for the tone-mapped HQ result, keeping the precision the float
+// accumulation has over an 8-bit canvas. Rows use the Sub filter and are zlib-compressed with
+// the browser's CompressionStream.
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (let i = 0; i < bytes.length; i += 1) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function chunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  out.set(new TextEncoder().encode(type), 4);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream("deflate"));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// `rgb` holds three 0-65535 sRGB-encoded values per pixel, rows from the top down.
+export async function encodePng16(width, height, rgb) {
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header.set([16, 2, 0, 0, 0], 8); // 16 bits, truecolor, deflate, adaptive filters, no interlace
+
+  const stride = width * 6;
+  const raw = new Uint8Array(height * (stride + 1));
+  const line = new Uint8Array(stride);
+  const lineView = new DataView(line.buffer);
+  for (let y = 0; y < height; y += 1) {
+    for (let i = 0; i < width * 3; i += 1) lineView.setUint16(i * 2, rgb[y * width * 3 + i]);
+    const start = y * (stride + 1);
+    raw[start] = 1; // Sub: each byte minus the same byte of the pixel to its left
+    for (let i = 0; i < stride; i += 1) raw[start + 1 + i] = (line[i] - (i >= 6 ? line[i - 6] : 0)) & 0xff;
+  }
+
+  const parts = [
+    Uint8Array.from(SIGNATURE),
+    chunk("IHDR", header),
+    chunk("sRGB", Uint8Array.from([0])),
+    chunk("IDAT", await deflate(raw)),
+    chunk("IEND", new Uint8Array(0))
+  ];
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  parts.forEach((p) => {
+    out.set(p, offset);
+    offset += p.length;
+  });
+  return out;
+}
@@ -1,11 +1,27 @@
 import * as THREE from "three";
 import { OrbitControls } from "three/addons/controls/OrbitControls.js";
 import { EXRLoader } from "three/addons/loaders/EXRLoader.js";
+import { GLTFLoader } from "three/addons/loaders/GLTFLoader.js";
+import { TDSLoader } from "three/addons/loaders/TDSLoader.js";
+import { createStratifiedSampler, emitterPoint } from "./emitters.js";
+import { toHalf } from "./exr.js";
+import { MAX_FIXTURES, fixtureGeometry, isFixtureLive } from "./fixtures.js";
+import { iesBeamSummary, iesCandela, parseIes } from "./ies.js";
+import { createSeededRandom, halton, streamSeed } from "./sampling.js";
 
 const textureLoader = new THREE.TextureLoader();
 const exrLoader = new EXRLoader();
 const BASE_TEXTURE_MAX_DIM = 2048;
 const DETAIL_TEXTURE_MAX_DIM = 1024;
+const CANDELA_TO_SCENE = 0.03;
+const HQ_MAX_SAMPLES = 4096;
+// The noise estimate needs a few samples to settle and costs a readback, so it runs every few.
+const HQ_NOISE_MIN_SAMPLES = 8;
+const HQ_NOISE_EVERY = 4;
+const HQ_NOISE_GRID = 8;
+const HQ_PREVIEW_MS = 250;
+// Larger outputs render in tiles of at most this size, stitched together afterwards.
+const HQ_TILE_SIZE = 4096;
 
 function clamp(v, min, max) {
   return Math.max(min, Math.min(max, v));
@@ -28,6 +44,10 @@ function ensureTextureMatrix(texture) {
   }
 }
 
+function solidAngle(halfAngleDeg) {
+  return 2 * Math.PI * (1 - Math.cos(THREE.MathUtils.degToRad(halfAngleDeg)));
+}
+
 function normalizeBytes(input) {
   if (input instanceof Uint8Array) return input;
   if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
@@ -35,14 +55,11 @@ function normalizeBytes(input) {
   return null;
 }
 
-function vectorFromAzEl(azimuthDeg, elevationDeg) {
-  const az = THREE.MathUtils.degToRad(azimuthDeg);
-  const el = THREE.MathUtils.degToRad(elevationDeg);
-  return new THREE.Vector3(
-    Math.sin(az) * Math.cos(el),
-    Math.sin(el),
-    Math.cos(az) * Math.cos(el)
-  ).normalize();
+function createMaskLayer(size) {
+  const canvas = document.createElement("canvas");
+  canvas.width = size;
+  canvas.height = size;
+  return canvas;
 }
 
 async function loadImageFromPath(filePath) {
@@ -144,90 +161,112 @@ function buildPreviewMaterial() {
     uniforms: {
       baseMap: { value: null },
       hasBaseMap: { value: 0 },
-      lightColor: { value: new THREE.Color("#ffd6a8") },
       ambientFill: { value: 0.02 },
-      lightGain: { value: 0.75 },
-      spotCenter: { value: new THREE.Vector2(0.5, 0.48) },
-      radius: { value: 0.36 },
-      softness: { value: 0.35 },
-      goboMap: { value: null },
-      hasGobo: { value: 0 },
-      goboScale: { value: 1.0 },
-      goboRotation: { value: 0.0 },
-      goboInvert: { value: 0.0 },
+      fixtureCount: { value: 0 },
+      lightColors: { value: Array.from({ length: MAX_FIXTURES }, () => new THREE.Color("#ffd6a8")) },
+      lightGains: { value: new Array(MAX_FIXTURES).fill(0.75) },
+      lightPositions: { value: Array.from({ length: MAX_FIXTURES }, () => new THREE.Vector3(0, 2, 3)) },
+      lightDirs: { value: Array.from({ length: MAX_FIXTURES }, () => new THREE.Vector3(0, 0, -1)) },
+      lightRights: { value: Array.from({ length: MAX_FIXTURES }, () => new THREE.Vector3(1, 0, 0)) },
+      lightUps: { value: Array.from({ length: MAX_FIXTURES }, () => new THREE.Vector3(0, 1, 0)) },
+      tanHalfAngles: { value: new Array(MAX_FIXTURES).fill(0.47) },
+      softnesses: { value: new Array(MAX_FIXTURES).fill(0.35) },
+      throwDistances: { value: new Array(MAX_FIXTURES).fill(3.2) },
+      incidences: { value: new Array(MAX_FIXTURES).fill(1) },
+      beamMasks: { value: new Array(MAX_FIXTURES).fill(null) },
+      hasMasks: { value: new Array(MAX_FIXTURES).fill(0) },
+      photometricMasks: { value: new Array(MAX_FIXTURES).fill(0) },
       hazeEnabled: { value: 1.0 },
       hazeDensity: { value: 0.0 },
       hazeHeight: { value: 0.8 },
       hazeExtinction: { value: 0.0 },
-      throwDistance: { value: 3.2 },
       hazeColor: { value: new THREE.Color("#c9d3df") },
       wallHeight: { value: 2.4 }
     },
     vertexShader: `
       varying vec2 vUv;
+      varying vec3 vWorldPos;
       void main() {
         vUv = uv;
+        vWorldPos = (modelMatrix * vec4(position, 1.0)).xyz;
         gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
       }
     `,
     fragmentShader: `
+      #define MAX_FIXTURES ${MAX_FIXTURES}
       varying vec2 vUv;
+      varying vec3 vWorldPos;
       uniform sampler2D baseMap;
       uniform float hasBaseMap;
-      uniform vec3 lightColor;
       uniform float ambientFill;
-      uniform float lightGain;
-      uniform vec2 spotCenter;
-      uniform float radius;
-      uniform float softness;
-      uniform sampler2D goboMap;
-      uniform float hasGobo;
-      uniform float goboScale;
-      uniform float goboRotation;
-      uniform float goboInvert;
+      uniform int fixtureCount;
+      uniform vec3 lightColors[MAX_FIXTURES];
+      uniform float lightGains[MAX_FIXTURES];
+      uniform vec3 lightPositions[MAX_FIXTURES];
+      uniform vec3 lightDirs[MAX_FIXTURES];
+      uniform vec3 lightRights[MAX_FIXTURES];
+      uniform vec3 lightUps[MAX_FIXTURES];
+      uniform float tanHalfAngles[MAX_FIXTURES];
+      uniform float softnesses[MAX_FIXTURES];
+      uniform float throwDistances[MAX_FIXTURES];
+      uniform float incidences[MAX_FIXTURES];
+      uniform sampler2D beamMasks[MAX_FIXTURES];
+      uniform float hasMasks[MAX_FIXTURES];
+      uniform float photometricMasks[MAX_FIXTURES];
       uniform float hazeEnabled;
       uniform float hazeDensity;
       uniform float hazeHeight;
       uniform float hazeExtinction;
-      uniform float throwDistance;
       uniform vec3 hazeColor;
       uniform float wallHeight;
 
-      vec2 rotate2D(vec2 v, float a) {
-        float c = cos(a);
-        float s = sin(a);
-        return vec2(c * v.x - s * v.y, s * v.x + c * v.y);
-      }
-
       void main() {
         vec3 base = vec3(0.72, 0.72, 0.72);
         if (hasBaseMap > 0.5) {
           base = texture2D(baseMap, vUv).rgb;
         }
 
-        vec2 rel = vUv - spotCenter;
-        float d = length(rel);
-        float feather = max(0.001, softness * radius);
-        float spot = 1.0 - smoothstep(radius - feather, radius, d);
-
-        if (hasGobo > 0.5) {
-          vec2 guv = rotate2D((vUv - spotCenter) / max(0.001, goboScale), goboRotation) + vec2(0.5);
-          float g = texture2D(goboMap, guv).r;
-          if (goboInvert > 0.5) g = 1.0 - g;
-          spot *= g;
-        }
-
         float wallMeters = max(0.001, wallHeight);
         float localHeight = vUv.y * wallMeters;
         float hazeBand = 1.0 - smoothstep(hazeHeight, hazeHeight + 0.9, localHeight);
-        float pathLen = throwDistance * hazeBand;
-        float transmittance = exp(-hazeEnabled * hazeExtinction * pathLen);
-        vec3 direct = (spot * lightGain) * lightColor * transmittance;
-        vec3 fogLitTint = mix(hazeColor, lightColor, 0.7);
-        vec3 inScatter = fogLitTint * (1.0 - transmittance) * (spot * hazeDensity * 0.45);
+        vec3 direct = vec3(0.0);
+        vec3 inScatter = vec3(0.0);
+        float spotSum = 0.0;
+
+        // Sampler arrays need constant indices, so the per-fixture loop is unrolled by three.js.
+        #pragma unroll_loop_start
+        for ( int i = 0; i < ${MAX_FIXTURES}; i ++ ) {
+          vec3 toFrag = vWorldPos - lightPositions[ i ];
+          float along = dot(toFrag, lightDirs[ i ]);
+          if (UNROLLED_LOOP_INDEX < fixtureCount && along > 0.001) {
+            // Project into the fixture's frame the same way the SpotLight shadow camera does,
+            // so the footprint lands on the real focus point and stretches at oblique angles.
+            vec2 proj = vec2(dot(toFrag, lightRights[ i ]), dot(toFrag, lightUps[ i ])) / (along * tanHalfAngles[ i ]);
+            float d = length(proj);
+            float feather = max(0.001, softnesses[ i ]);
+            float spot = 1.0 - smoothstep(1.0 - feather, 1.0, d);
+            if (hasMasks[ i ] > 0.5) {
+              // The mask spans the whole cone, matching how spot.map spans the HQ projection.
+              float g = texture2D(beamMasks[ i ], proj * 0.5 + vec2(0.5)).r;
+              spot = photometricMasks[ i ] > 0.5 ? g * step(d, 1.0) : spot * g;
+            }
+            // lightGains is calibrated at the focus point; fall off by distance and angle away from it.
+            float dist = max(length(toFrag), 0.001);
+            float cosIn = max(-toFrag.z / dist, 0.0);
+            float falloff = clamp((throwDistances[ i ] * throwDistances[ i ]) / (dist * dist) * cosIn / incidences[ i ], 0.0, 4.0);
+            float pathLen = throwDistances[ i ] * hazeBand;
+            float transmittance = exp(-hazeEnabled * hazeExtinction * pathLen);
+            direct += (spot * falloff * lightGains[ i ]) * lightColors[ i ] * transmittance;
+            vec3 fogLitTint = mix(hazeColor, lightColors[ i ], 0.7);
+            inScatter += fogLitTint * (1.0 - transmittance) * (spot * hazeDensity * 0.45);
+            spotSum += spot;
+          }
+        }
+        #pragma unroll_loop_end
+
         vec3 lit = base * (ambientFill + direct) + inScatter;
         float band = hazeBand;
-        float hazeAmt = clamp(hazeEnabled * hazeDensity * (0.12 + 0.20 * spot) * band, 0.0, 1.0);
+        float hazeAmt = clamp(hazeEnabled * hazeDensity * (0.12 + 0.20 * min(spotSum, 1.0)) * band, 0.0, 1.0);
         vec3 hazed = mix(lit, hazeColor, hazeAmt);
         gl_FragColor = vec4(hazed, 1.0);
       }
@@ -246,7 +285,6 @@ function buildHazeVolumeMaterial() {
       hazeDensity: { value: 0.35 },
       hazeHeight: { value: 1.2 },
       hazeColor: { value: new THREE.Color("#c9d3df") },
-      lightColor: { value: new THREE.Color("#ffd6a8") },
       volumeWidth: { value: 3.8 },
       volumeHeight: { value: 2.4 },
       volumeDepth: { value: 1.8 },
@@ -255,17 +293,19 @@ function buildHazeVolumeMaterial() {
       time: { value: 0.0 },
       stepCount: { value: 22 },
       shadowSampleCount: { value: 2 },
-      lightPos: { value: new THREE.Vector3(0, 1.2, 3.2) },
-      lightDir: { value: new THREE.Vector3(0, -0.1, -1).normalize() },
-      beamCos: { value: Math.cos(THREE.MathUtils.degToRad(22)) },
-      beamSoftness: { value: 0.08 },
+      lightCount: { value: 0 },
+      lightColors: { value: Array.from({ length: MAX_FIXTURES }, () => new THREE.Color("#ffd6a8")) },
+      lightPositions: { value: Array.from({ length: MAX_FIXTURES }, () => new THREE.Vector3(0, 1.2, 3.2)) },
+      lightDirs: { value: Array.from({ length: MAX_FIXTURES }, () => new THREE.Vector3(0, -0.1, -1).normalize()) },
+      beamCos: { value: new Array(MAX_FIXTURES).fill(Math.cos(THREE.MathUtils.degToRad(22))) },
+      beamSoftness: { value: new Array(MAX_FIXTURES).fill(0.08) },
       invModelMatrix: { value: new THREE.Matrix4() },
       hazeModelMatrix: { value: new THREE.Matrix4() },
-      shadowMap: { value: null },
-      shadowMatrix: { value: new THREE.Matrix4() },
+      shadowMaps: { value: new Array(MAX_FIXTURES).fill(null) },
+      shadowMatrices: { value: Array.from({ length: MAX_FIXTURES }, () => new THREE.Matrix4()) },
       shadowMapTexel: { value: new THREE.Vector2(1 / 1024, 1 / 1024) },
       shadowBias: { value: 0.0006 },
-      shadowEnabled: { value: 0.0 }
+      shadowEnabled: { value: new Array(MAX_FIXTURES).fill(0.0) }
     },
     vertexShader: `
       varying vec3 vWorldPos;
@@ -276,12 +316,12 @@ function buildHazeVolumeMaterial() {
       }
     `,
     fragmentShader: `
+      #define MAX_FIXTURES ${MAX_FIXTURES}
       varying vec3 vWorldPos;
       uniform float hazeEnabled;
       uniform float hazeDensity;
       uniform float hazeHeight;
       uniform vec3 hazeColor;
-      uniform vec3 lightColor;
       uniform float volumeWidth;
       uniform float volumeHeight;
       uniform float volumeDepth;
@@ -290,15 +330,17 @@ function buildHazeVolumeMaterial() {
       uniform float time;
       uniform float stepCount;
       uniform float shadowSampleCount;
-      uniform sampler2D shadowMap;
-      uniform mat4 shadowMatrix;
+      uniform int lightCount;
+      uniform vec3 lightColors[MAX_FIXTURES];
+      uniform vec3 lightPositions[MAX_FIXTURES];
+      uniform vec3 lightDirs[MAX_FIXTURES];
+      uniform float beamCos[MAX_FIXTURES];
+      uniform float beamSoftness[MAX_FIXTURES];
+      uniform sampler2D shadowMaps[MAX_FIXTURES];
+      uniform mat4 shadowMatrices[MAX_FIXTURES];
       uniform vec2 shadowMapTexel;
       uniform float shadowBias;
-      uniform float shadowEnabled;
-      uniform vec3 lightPos;
-      uniform vec3 lightDir;
-      uniform float beamCos;
-      uniform float beamSoftness;
+      uniform float shadowEnabled[MAX_FIXTURES];
       uniform mat4 invModelMatrix;
       uniform mat4 hazeModelMatrix;
 
@@ -346,8 +388,8 @@ function buildHazeVolumeMaterial() {
         return (1.0 - g2) / (12.56637 * denom);
       }
 
-      float shadowVisibility(vec3 worldPos) {
-        if (shadowEnabled < 0.5) return 1.0;
+      float shadowVisibility(sampler2D shadowMap, mat4 shadowMatrix, float enabled, vec3 worldPos) {
+        if (enabled < 0.5) return 1.0;
         vec4 shadowCoord = shadowMatrix * vec4(worldPos, 1.0);
         vec3 proj = shadowCoord.xyz / max(shadowCoord.w, 0.0001);
         if (proj.x < 0.0 || proj.x > 1.0 || proj.y < 0.0 || proj.y > 1.0 || proj.z > 1.0) {
@@ -423,31 +465,41 @@ function buildHazeVolumeMaterial() {
           float band = 1.0 - smoothstep(hazeHeight, hazeHeight + 0.9, worldY);
           if (band <= 0.001) continue;
 
-          vec3 lightToSample = pWorld - lightPos;
-          float d = max(length(lightToSample), 0.001);
-          vec3 lightRay = lightToSample / d;
-          float coneRaw = smoothstep(beamCos - beamSoftness, beamCos + beamSoftness, dot(lightRay, lightDir));
-          float cone = pow(coneRaw, 1.05);
-          float distAtten = 1.0 / (1.0 + 0.22 * d * d);
           vec3 drift = vec3(0.0, time * 0.035, time * 0.02);
           float n = fbm(pWorld * vec3(1.1, 0.85, 1.0) + drift);
-          float coneDensity = mix(0.28, 1.0, cone);
-          float densityField = band * hazeDensity * coneDensity * edgeMask * mix(0.42, 1.25, n);
-          float sigmaS = densityField * 1.35;
-          float sigmaT = densityField * 1.55;
+          float baseDensity = band * hazeDensity * edgeMask * mix(0.42, 1.25, n);
           vec3 viewDir = normalize(cameraPosition - pWorld);
-          float mu = dot(viewDir, -lightRay);
-          float phaseAniso = phaseHG(phaseG, mu);
           float phaseIso = 0.0795775;
-          float phase = mix(phaseIso, phaseAniso, 0.3) + phaseIso * 0.85;
-          float sideLift = 0.82 + 0.35 * (1.0 - abs(mu));
-          phase *= sideLift;
-          float shadowVis = shadowVisibility(pWorld);
-          float shadowWeight = mix(1.0, shadowVis, 0.2);
-          float mediumShadow = exp(-densityField * d * 0.75);
-          float beamLit = (0.12 + cone * 4.2) * distAtten;
-          vec3 scatter = lightColor * (beamLit * phase * sigmaS * mediumShadow * shadowWeight * hazeEnabled * 38.0);
-          scatter += hazeColor * (sigmaS * 0.014 * hazeEnabled * (0.35 + 0.65 * cone));
+          float coneMax = 0.0;
+          vec3 scatter = vec3(0.0);
+
+          #pragma unroll_loop_start
+          for ( int i = 0; i < ${MAX_FIXTURES}; i ++ ) {
+            if (UNROLLED_LOOP_INDEX < lightCount) {
+              vec3 lightToSample = pWorld - lightPositions[ i ];
+              float d = max(length(lightToSample), 0.001);
+              vec3 lightRay = lightToSample / d;
+              float coneRaw = smoothstep(beamCos[ i ] - beamSoftness[ i ], beamCos[ i ] + beamSoftness[ i ], dot(lightRay, lightDirs[ i ]));
+              float cone = pow(coneRaw, 1.05);
+              float distAtten = 1.0 / (1.0 + 0.22 * d * d);
+              float lightDensity = baseDensity * mix(0.28, 1.0, cone);
+              float mu = dot(viewDir, -lightRay);
+              float phase = mix(phaseIso, phaseHG(phaseG, mu), 0.3) + phaseIso * 0.85;
+              phase *= 0.82 + 0.35 * (1.0 - abs(mu));
+              float shadowVis = shadowVisibility(shadowMaps[ i ], shadowMatrices[ i ], shadowEnabled[ i ], pWorld);
+              float shadowWeight = mix(1.0, shadowVis, 0.2);
+              float mediumShadow = exp(-lightDensity * d * 0.75);
+              float beamLit = (0.12 + cone * 4.2) * distAtten;
+              scatter += lightColors[ i ] * (beamLit * phase * lightDensity * 1.35 * mediumShadow * shadowWeight * hazeEnabled * 38.0);
+              coneMax = max(coneMax, cone);
+            }
+          }
+          #pragma unroll_loop_end
+
+          float densityField = baseDensity * mix(0.28, 1.0, coneMax);
+          float sigmaS = densityField * 1.35;
+          float sigmaT = densityField * 1.55;
+          scatter += hazeColor * (sigmaS * 0.014 * hazeEnabled * (0.35 + 0.65 * coneMax));
           accum += trans * scatter * dt;
           trans *= exp(-sigmaT * dt * hazeEnabled * 3.6);
           if (trans < 0.02) break;
@@ -512,18 +564,117 @@ function applyHazeToStandardMaterial(material) {
   };
 }
 
+// HQ samples are linear light (three skips tone mapping when drawing into a render target). They
+// are folded into a running mean in float targets whose alpha keeps the mean squared luminance
+// for the noise estimate, and the display pass tone-maps the mean once for the screen.
+// The haze volume is ray-marched for display, into a target that holds its color premultiplied
+// by its coverage; `withHaze` decodes that color from sRGB and lays it into the linear mean before
+// any tone mapping, so the linear output carries the same haze as the tone-mapped one.
+function buildHqPasses() {
+  const withHaze = `
+    uniform sampler2D hazeMap;
+    vec3 withHaze(vec3 light) {
+      vec4 haze = texture2D(hazeMap, vUv);
+      if (haze.a <= 0.0) return light;
+      vec3 c = clamp(haze.rgb / haze.a, 0.0, 1.0);
+      vec3 decoded = mix(c / 12.92, pow((c + 0.055) / 1.055, vec3(2.4)), step(vec3(0.04045), c));
+      return light * (1.0 - haze.a) + decoded * haze.a;
+    }
+  `;
+  const vertexShader = `
+    varying vec2 vUv;
+    void main() {
+      vUv = uv;
+      gl_Position = vec4(position.xy, 0.0, 1.0);
+    }
+  `;
+  const pass = (uniforms, fragmentShader, toneMapped = true) => {
+    const material = new THREE.ShaderMaterial({ uniforms, vertexShader, fragmentShader, toneMapped, depthTest: false, depthWrite: false });
+    const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), material);
+    quad.frustumCulled = false;
+    const scene = new THREE.Scene();
+    scene.add(quad);
+    return { scene, uniforms };
+  };
+  return {
+    camera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1),
+    accumulate: pass(
+      { sampleMap: { value: null }, previous: { value: null }, weight: { value: 1 } },
+      `
+      uniform sampler2D sampleMap;
+      uniform sampler2D previous;
+      uniform float weight;
+      varying vec2 vUv;
+      void main() {
+        vec3 c = texture2D(sampleMap, vUv).rgb;
+        float l = dot(c, vec3(0.2126, 0.7152, 0.0722));
+        gl_FragColor = mix(texture2D(previous, vUv), vec4(c, l * l), weight);
+      }
+      `
+    ),
+    display: pass(
+      { map: { value: null }, hazeMap: { value: null } },
+      `
+      uniform sampler2D map;
+      varying vec2 vUv;
+      ${withHaze}
+      void main() {
+        gl_FragColor = vec4(withHaze(texture2D(map, vUv).rgb), 1.0);
+        #include <tonemapping_fragment>
+        #include <colorspace_fragment>
+      }
+      `
+    ),
+    // Standard error of the mean luminance and the mean itself, on a coarse grid of pixels.
+    noise: pass(
+      { map: { value: null }, samples: { value: 1 } },
+      `
+      uniform sampler2D map;
+      uniform float samples;
+      varying vec2 vUv;
+      void main() {
+        vec4 a = texture2D(map, vUv);
+        float l = dot(a.rgb, vec3(0.2126, 0.7152, 0.0722));
+        gl_FragColor = vec4(sqrt(max(a.a - l * l, 0.0) / samples), l, 0.0, 1.0);
+      }
+      `
+    ),
+    // The linear mean with its haze, for EXR and 16-bit PNG output.
+    compose: pass(
+      { map: { value: null }, hazeMap: { value: null } },
+      `
+      uniform sampler2D map;
+      varying vec2 vUv;
+      ${withHaze}
+      void main() {
+        gl_FragColor = vec4(withHaze(texture2D(map, vUv).rgb), 1.0);
+      }
+      `,
+      false
+    ),
+    // Holds the haze volume while HQ renders it into its own target.
+    hazeOverlay: new THREE.Scene()
+  };
+}
+
 export class LightingRenderer {
   constructor(canvas, callbacks) {
     this.canvas = canvas;
     this.onStatus = callbacks.onStatus;
     this.onProgress = callbacks.onProgress;
     this.onFps = callbacks.onFps;
+    this.onEffectsFrame = callbacks.onEffectsFrame;
     this.cancelRender = false;
     this.lastRenderBytes = null;
+    this.lastRenderFloat = null;
     this.frameRequested = false;
     this.animationHandle = null;
     this.renderPaused = false;
     this.hazeAnimating = false;
+    this.goboSpinning = false;
+    // FX clock in seconds; it only advances while an effect is running.
+    this.effectsRunning = false;
+    this.effectsTimeSec = 0;
     this.lastFrameTimeMs = performance.now();
     this.fpsEnabled = false;
     this.frameCounter = 0;
@@ -534,15 +685,10 @@ export class LightingRenderer {
       roughnessTexture: null,
       metalnessTexture: null,
       aoTexture: null,
-      displacementTexture: null,
-      goboImage: null,
-      goboTexture: null
+      displacementTexture: null
     };
-    this.goboWorkCanvas = document.createElement("canvas");
-    this.goboWorkCanvas.width = 1024;
-    this.goboWorkCanvas.height = 1024;
-    this.goboWorkCtx = this.goboWorkCanvas.getContext("2d");
-    this.lastGoboKey = "";
+    this.fixtureRigs = new Map();
+    this.liveRigs = [];
     this.textureLimits = {
       base: BASE_TEXTURE_MAX_DIM,
       detail: DETAIL_TEXTURE_MAX_DIM
@@ -580,29 +726,6 @@ export class LightingRenderer {
     this.houseLight = new THREE.AmbientLight(0xffffff, 0.0);
     this.scene.add(this.houseLight);
 
-    this.spot = new THREE.SpotLight(0xffffff, 1000, 0, THREE.MathUtils.degToRad(42), 0.35, 2.0);
-    this.spot.castShadow = true;
-    this.spot.position.set(0, 1.2, 3.2);
-    this.spot.shadow.mapSize.set(1024, 1024);
-    this.spot.shadow.bias = -0.0001;
-    this.spot.shadow.radius = 1;
-    this.scene.add(this.spot);
-    this.scene.add(this.spot.target);
-
-    this.lightGizmoGroup = new THREE.Group();
-    const bulb = new THREE.Mesh(
-      new THREE.SphereGeometry(0.045, 16, 16),
-      new THREE.MeshBasicMaterial({ color: 0xffd8aa })
-    );
-    this.lightConeGizmo = new THREE.Mesh(
-      new THREE.ConeGeometry(0.06, 0.22, 18, 1, true),
-      new THREE.MeshBasicMaterial({ color: 0xffb35c, transparent: true, opacity: 0.8, wireframe: true })
-    );
-    this.lightConeGizmo.position.y = 0.14;
-    this.lightGizmoGroup.add(bulb);
-    this.lightGizmoGroup.add(this.lightConeGizmo);
-    this.scene.add(this.lightGizmoGroup);
-
     this.previewMaterial = buildPreviewMaterial();
     this.hazeVolumeMaterial = buildHazeVolumeMaterial();
     this.hqMaterial = new THREE.MeshStandardMaterial({
@@ -625,6 +748,7 @@ export class LightingRenderer {
     this.hazeVolume.position.set(0, 1.0, 0.9);
     this.hazeVolume.renderOrder = 15;
     this.scene.add(this.hazeVolume);
+    this.hqPasses = buildHqPasses();
 
     this.floor = new THREE.Mesh(
       new THREE.PlaneGeometry(12, 12),
@@ -640,6 +764,12 @@ export class LightingRenderer {
     this.backdrop.receiveShadow = true;
     this.scene.add(this.backdrop);
 
+    // Scenery imported from an MVR scene shares one neutral material so it reads as set
+    // dressing around the wall rather than competing with the texture under test.
+    this.sceneryMaterial = new THREE.MeshStandardMaterial({ color: 0x5d6068, roughness: 0.85, metalness: 0.05 });
+    this.scenery = null;
+    this.sceneryToken = 0;
+
     this.resizeObserver = new ResizeObserver(() => this.resize());
     this.resizeObserver.observe(this.canvas.parentElement);
     this.resize();
@@ -657,7 +787,16 @@ export class LightingRenderer {
   }
 
   shouldAnimateRealtime() {
-    return this.hazeAnimating && !this.renderPaused;
+    return (this.hazeAnimating || this.goboSpinning || this.effectsRunning) && !this.renderPaused;
+  }
+
+  setEffectsRunning(running) {
+    this.effectsRunning = Boolean(running);
+    if (this.effectsRunning) this.requestRender();
+  }
+
+  getEffectsTime() {
+    return this.effectsTimeSec;
   }
 
   setFpsEnabled(enabled) {
@@ -680,10 +819,17 @@ export class LightingRenderer {
     if (this.renderPaused) return;
     const dtSec = Math.max(0, (nowMs - this.lastFrameTimeMs) / 1000);
     this.lastFrameTimeMs = nowMs;
-    if (this.shouldAnimateRealtime()) {
+    if (this.hazeAnimating) {
       const t = this.hazeVolumeMaterial.uniforms.time.value + dtSec;
       this.hazeVolumeMaterial.uniforms.time.value = t;
     }
+    // Gobo wheels turn every frame, straight on the mask texture.
+    this.goboSpinning = this.spinGobos(dtSec);
+    // Effects hand the new time to the UI, which lays them over the rig and applies the lighting.
+    if (this.effectsRunning) {
+      this.effectsTimeSec += dtSec;
+      if (typeof this.onEffectsFrame === "function") this.onEffectsFrame(this.effectsTimeSec);
+    }
     this.controls.update();
     this.renderer.render(this.scene, this.camera);
     if (this.fpsEnabled && typeof this.onFps === "function") {
@@ -868,106 +1014,393 @@ export class LightingRenderer {
     this.requestRender();
   }
 
-  disposeProcessedGobo() {
-    if (this.current.goboTexture) {
-      this.current.goboTexture.dispose();
-      this.current.goboTexture = null;
+  createFixtureRig() {
+    const spot = new THREE.SpotLight(0xffffff, 1000, 0, THREE.MathUtils.degToRad(42), 0.35, 2.0);
+    spot.castShadow = true;
+    spot.position.set(0, 1.2, 3.2);
+    spot.shadow.mapSize.set(1024, 1024);
+    spot.shadow.bias = -0.0001;
+    spot.shadow.radius = 1;
+    this.scene.add(spot);
+    this.scene.add(spot.target);
+
+    const gizmoGroup = new THREE.Group();
+    const bulb = new THREE.Mesh(
+      new THREE.SphereGeometry(0.045, 16, 16),
+      new THREE.MeshBasicMaterial({ color: 0xffd8aa })
+    );
+    const coneGizmo = new THREE.Mesh(
+      new THREE.ConeGeometry(0.06, 0.22, 18, 1, true),
+      new THREE.MeshBasicMaterial({ color: 0xffb35c, transparent: true, opacity: 0.8, wireframe: true })
+    );
+    coneGizmo.position.y = 0.14;
+    gizmoGroup.add(bulb);
+    gizmoGroup.add(coneGizmo);
+    this.scene.add(gizmoGroup);
+
+    return {
+      spot,
+      gizmoGroup,
+      coneGizmo,
+      goboImage: null,
+      goboState: null,
+      ies: null,
+      maskTexture: null,
+      maskCanvas: null,
+      maskCtx: null,
+      goboLayer: null,
+      gateLayer: null,
+      goboSpinAngle: 0,
+      lastMaskKey: ""
+    };
+  }
+
+  ensureFixtureRig(fixtureId) {
+    let rig = this.fixtureRigs.get(fixtureId);
+    if (!rig) {
+      rig = this.createFixtureRig();
+      this.fixtureRigs.set(fixtureId, rig);
     }
+    return rig;
   }
 
-  async loadGoboImage(filePath, goboState) {
-    this.current.goboImage = await loadImageFromPath(filePath);
-    this.updateGoboTexture(goboState);
+  disposeFixtureRig(fixtureId) {
+    const rig = this.fixtureRigs.get(fixtureId);
+    if (!rig) return;
+    this.disposeBeamMask(rig);
+    this.scene.remove(rig.spot);
+    this.scene.remove(rig.spot.target);
+    if (rig.spot.shadow && rig.spot.shadow.map) rig.spot.shadow.map.dispose();
+    rig.spot.dispose();
+    this.scene.remove(rig.gizmoGroup);
+    rig.gizmoGroup.traverse((obj) => {
+      if (obj.geometry) obj.geometry.dispose();
+      if (obj.material) obj.material.dispose();
+    });
+    this.fixtureRigs.delete(fixtureId);
+  }
+
+  syncFixtureRigs(fixtures) {
+    const keep = new Set(fixtures.map((f) => f.id));
+    Array.from(this.fixtureRigs.keys()).forEach((id) => {
+      if (!keep.has(id)) this.disposeFixtureRig(id);
+    });
+  }
+
+  disposeBeamMask(rig) {
+    if (rig.maskTexture) {
+      rig.maskTexture.dispose();
+      rig.maskTexture = null;
+    }
+  }
+
+  async loadGoboImage(fixtureId, filePath, goboState) {
+    const rig = this.ensureFixtureRig(fixtureId);
+    rig.goboImage = await loadImageFromPath(filePath);
+    this.updateGoboTexture(fixtureId, goboState);
+  }
+
+  clearGobo(fixtureId) {
+    const rig = this.fixtureRigs.get(fixtureId);
+    if (!rig) return;
+    rig.goboImage = null;
+    this.rebuildBeamMask(rig);
+  }
+
+  // Also carries the framing shutters and iris, which sit in the same gate as the gobo.
+  updateGoboTexture(fixtureId, goboState) {
+    const rig = this.ensureFixtureRig(fixtureId);
+    rig.goboState = goboState;
+    this.rebuildBeamMask(rig);
   }
 
-  clearGobo() {
-    this.current.goboImage = null;
-    this.lastGoboKey = "";
-    this.disposeProcessedGobo();
-    this.previewMaterial.uniforms.hasGobo.value = 0;
-    this.previewMaterial.uniforms.goboMap.value = null;
-    this.spot.map = null;
+  // Wheel speed in degrees per second; the mask is turned in animate() without rebuilding it.
+  setGoboSpin(fixtureId, spin) {
+    const rig = this.fixtureRigs.get(fixtureId);
+    if (!rig?.goboState) return;
+    rig.goboState = { ...rig.goboState, spin };
     this.requestRender();
   }
 
-  updateGoboTexture(goboState) {
-    if (!this.current.goboImage) {
-      this.clearGobo();
+  async loadIesProfile(fixtureId, filePath) {
+    const res = await window.appApi.readBinaryFile(filePath);
+    if (!res.ok) throw new Error(res.message || "Could not load IES file.");
+    const bytes = normalizeBytes(res.bytes);
+    if (!bytes) throw new Error("Could not decode IES bytes.");
+    const data = parseIes(new TextDecoder("latin1").decode(bytes));
+    const summary = iesBeamSummary(data);
+    const rig = this.ensureFixtureRig(fixtureId);
+    rig.ies = {
+      key: filePath,
+      data,
+      summary,
+      coneAngle: clamp(summary.cutoffAngle * 1.08, 2, 85)
+    };
+    this.rebuildBeamMask(rig);
+    return summary;
+  }
+
+  clearIesProfile(fixtureId) {
+    const rig = this.fixtureRigs.get(fixtureId);
+    if (!rig || !rig.ies) return;
+    rig.ies = null;
+    this.rebuildBeamMask(rig);
+  }
+
+  // Multiplies a 0..1 field into the mask. valueAt gets mask coordinates in -1..1, +y up.
+  multiplyMaskField(ctx, size, valueAt) {
+    const res = 256;
+    if (!this.maskWorkCanvas) {
+      this.maskWorkCanvas = document.createElement("canvas");
+      this.maskWorkCanvas.width = res;
+      this.maskWorkCanvas.height = res;
+    }
+    const workCtx = this.maskWorkCanvas.getContext("2d");
+    const image = workCtx.createImageData(res, res);
+    for (let y = 0; y < res; y += 1) {
+      for (let x = 0; x < res; x += 1) {
+        const nx = ((x + 0.5) / res) * 2 - 1;
+        const ny = 1 - ((y + 0.5) / res) * 2;
+        const v = clamp(valueAt(nx, ny), 0, 1);
+        const o = (y * res + x) * 4;
+        image.data[o] = image.data[o + 1] = image.data[o + 2] = Math.round(v * 255);
+        image.data[o + 3] = 255;
+      }
+    }
+    workCtx.putImageData(image, 0, 0);
+    ctx.globalCompositeOperation = "multiply";
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(this.maskWorkCanvas, 0, 0, size, size);
+    ctx.globalCompositeOperation = "source-over";
+  }
+
+  drawIesDistribution(ctx, size, ies) {
+    // spot.map spans tan(coneAngle) at its edge, so each texel maps back to an off-axis angle.
+    const tanCone = Math.tan(THREE.MathUtils.degToRad(ies.coneAngle));
+    const peak = ies.data.peakCandela;
+    this.multiplyMaskField(ctx, size, (nx, ny) => {
+      const r = Math.hypot(nx, ny);
+      if (r > 1) return 0;
+      const theta = THREE.MathUtils.radToDeg(Math.atan(r * tanCone));
+      const phi = THREE.MathUtils.radToDeg(Math.atan2(ny, nx));
+      return iesCandela(ies.data, theta, phi) / peak;
+    });
+  }
+
+  // Fresnel/PAR field spread: 50% at the beam angle and 10% at the field edge, with the field
+  // squashed into an oval for PARs. r is measured in field radii along the oval's axes.
+  drawWashDistribution(ctx, size, wash) {
+    const beamRatio = clamp(finiteOr(wash.beamRatio, 0.7), 0.2, 0.95);
+    const exponent = Math.log(Math.log(10) / Math.log(2)) / Math.log(1 / beamRatio);
+    const ratio = clamp(finiteOr(wash.ovalRatio, 1), 1, 3);
+    const rot = THREE.MathUtils.degToRad(clamp(finiteOr(wash.ovalRotation, 0), -90, 90));
+    const cos = Math.cos(rot);
+    const sin = Math.sin(rot);
+    this.multiplyMaskField(ctx, size, (nx, ny) => {
+      const u = nx * cos + ny * sin;
+      const v = -nx * sin + ny * cos;
+      const r = Math.hypot(u, v * ratio);
+      if (r >= 1) return 0;
+      const edge = r > 0.9 ? 1 - (r - 0.9) / 0.1 : 1;
+      return Math.pow(2, -Math.pow(r / beamRatio, exponent)) * edge;
+    });
+  }
+
+  // Shutter blades are drawn in mask space: the canvas spans the field diameter, top is beam-up.
+  drawShutters(ctx, size, shutters, rotation = 0) {
+    const half = size * 0.5;
+    ctx.fillStyle = "black";
+    shutters.forEach((blade, index) => {
+      const depth = clamp(finiteOr(blade.depth, 0), 0, 100) / 100;
+      if (depth <= 0) return;
+      const edge = half * (1 - 2 * depth);
+      ctx.save();
+      ctx.translate(half, half);
+      // Sides run top, right, bottom, left, so each blade is the top one turned by 90°.
+      ctx.rotate(THREE.MathUtils.degToRad(rotation + index * 90 + clamp(finiteOr(blade.angle, 0), -45, 45)));
+      ctx.fillRect(-size * 2, -size * 2, size * 4, size * 2 - edge);
+      ctx.restore();
+    });
+  }
+
+  // Gobo, photometric distribution, shutters and iris share one projected mask, used as
+  // spot.map in HQ and sampled across the footprint by the preview shader.
+  rebuildBeamMask(rig) {
+    const goboState = rig.goboState || { scale: 1, rotation: 0, focus: 0, invert: false };
+    const shutters = Array.isArray(goboState.shutters) ? goboState.shutters : [];
+    const iris = clamp(finiteOr(goboState.iris, 1), 0.05, 1);
+    const barnDoors = Array.isArray(goboState.barnDoors) ? goboState.barnDoors : [];
+    const wash = goboState.wash || null;
+    const shaped = iris < 1 || [...shutters, ...barnDoors].some((blade) => finiteOr(blade.depth, 0) > 0);
+    // DMX can pull a loaded gobo out of the beam without unloading it.
+    const goboImage = goboState.goboOut ? null : rig.goboImage;
+    if (!goboImage && !rig.ies && !shaped && !wash) {
+      rig.lastMaskKey = "";
+      rig.goboLayer = null;
+      rig.gateLayer = null;
+      this.disposeBeamMask(rig);
+      rig.spot.map = null;
+      this.refreshMaskUniforms();
+      this.requestRender();
       return;
     }
-    const canvas = this.goboWorkCanvas;
-    const ctx = this.goboWorkCtx;
+    if (!rig.maskCanvas) {
+      rig.maskCanvas = document.createElement("canvas");
+      rig.maskCanvas.width = 1024;
+      rig.maskCanvas.height = 1024;
+      rig.maskCtx = rig.maskCanvas.getContext("2d");
+    }
+    const canvas = rig.maskCanvas;
+    const ctx = rig.maskCtx;
     if (!ctx) return;
     const key = [
+      goboImage ? goboImage.src : "open",
       clamp(goboState.scale, 0.3, 3.0).toFixed(3),
       clamp(goboState.rotation, -180, 180).toFixed(2),
       clamp(goboState.focus, 0, 8).toFixed(2),
-      goboState.invert ? "1" : "0"
+      goboState.invert ? "1" : "0",
+      rig.ies ? rig.ies.key : "no-ies",
+      shutters.map((blade) => `${finiteOr(blade.depth, 0).toFixed(1)}/${finiteOr(blade.angle, 0).toFixed(1)}`).join(","),
+      iris.toFixed(3),
+      barnDoors.map((leaf) => finiteOr(leaf.depth, 0).toFixed(1)).join(","),
+      finiteOr(goboState.barnDoorRotation, 0).toFixed(1),
+      wash ? `${wash.beamRatio.toFixed(3)}/${wash.ovalRatio.toFixed(2)}/${wash.ovalRotation.toFixed(1)}` : "no-wash"
     ].join("|");
-    if (key === this.lastGoboKey && this.current.goboTexture) {
+    if (key === rig.lastMaskKey && rig.maskTexture) {
       this.requestRender();
       return;
     }
-    this.lastGoboKey = key;
-
-    ctx.fillStyle = "black";
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    ctx.filter = `blur(${clamp(goboState.focus, 0, 8)}px)`;
-    ctx.save();
-    ctx.translate(canvas.width * 0.5, canvas.height * 0.5);
-    ctx.rotate(THREE.MathUtils.degToRad(clamp(goboState.rotation, -180, 180)));
-    const zoom = clamp(goboState.scale, 0.3, 3.0);
-    const drawW = canvas.width / zoom;
-    const drawH = canvas.height / zoom;
-    ctx.drawImage(this.current.goboImage, -drawW * 0.5, -drawH * 0.5, drawW, drawH);
-    ctx.restore();
-    ctx.filter = "none";
-
-    if (goboState.invert) {
-      ctx.globalCompositeOperation = "difference";
-      ctx.fillStyle = "white";
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
-      ctx.globalCompositeOperation = "source-over";
+    rig.lastMaskKey = key;
+    const size = canvas.width;
+    const focusBlur = `blur(${clamp(goboState.focus, 0, 8)}px)`;
+
+    // The gobo and the rest of the gate go on separate layers, so a spinning gobo wheel only
+    // has to be composited again each frame (see composeBeamMask).
+    if (goboImage) {
+      if (!rig.goboLayer) rig.goboLayer = createMaskLayer(size);
+      const gobo = rig.goboLayer.getContext("2d");
+      gobo.fillStyle = "black";
+      gobo.fillRect(0, 0, size, size);
+      gobo.filter = focusBlur;
+      const zoom = clamp(goboState.scale, 0.3, 3.0);
+      gobo.drawImage(goboImage, (size - size / zoom) * 0.5, (size - size / zoom) * 0.5, size / zoom, size / zoom);
+      gobo.filter = "none";
+      if (goboState.invert) {
+        gobo.globalCompositeOperation = "difference";
+        gobo.fillStyle = "white";
+        gobo.fillRect(0, 0, size, size);
+        gobo.globalCompositeOperation = "source-over";
+      }
+    } else {
+      rig.goboLayer = null;
     }
 
-    // Force a circular projection footprint so gobos do not appear as a square card.
-    const cx = canvas.width * 0.5;
-    const cy = canvas.height * 0.5;
-    const rOuter = canvas.width * 0.5;
-    const rInner = rOuter * 0.96;
-    const edge = ctx.createRadialGradient(cx, cy, rInner, cx, cy, rOuter);
-    edge.addColorStop(0, "rgba(255,255,255,1)");
-    edge.addColorStop(1, "rgba(255,255,255,0)");
-    ctx.globalCompositeOperation = "destination-in";
-    ctx.fillStyle = edge;
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-    ctx.globalCompositeOperation = "source-over";
-
-    this.disposeProcessedGobo();
+    if (!rig.gateLayer) rig.gateLayer = createMaskLayer(size);
+    const gate = rig.gateLayer.getContext("2d");
+    gate.fillStyle = "white";
+    gate.fillRect(0, 0, size, size);
+    if (rig.ies) this.drawIesDistribution(gate, size, rig.ies);
+    else if (wash) this.drawWashDistribution(gate, size, wash);
+
+    // Shutters sit in the gate with the gobo, so the lens focus blurs them the same way.
+    gate.filter = focusBlur;
+    this.drawShutters(gate, size, shutters);
+    // Barn doors hang in front of the lens, far out of focus, so their cuts are always soft.
+    gate.filter = `blur(${Math.round(size * 0.03 + clamp(goboState.focus, 0, 8) * 2)}px)`;
+    this.drawShutters(gate, size, barnDoors, clamp(finiteOr(goboState.barnDoorRotation, 0), -180, 180));
+    gate.filter = "none";
+
+    this.composeBeamMask(rig);
+    this.disposeBeamMask(rig);
     const tex = new THREE.CanvasTexture(canvas);
     tex.colorSpace = THREE.NoColorSpace;
     tex.wrapS = THREE.ClampToEdgeWrapping;
     tex.wrapT = THREE.ClampToEdgeWrapping;
     tex.needsUpdate = true;
 
-    this.current.goboTexture = tex;
-    this.spot.map = tex;
-    if (this.spot.shadow) this.spot.shadow.needsUpdate = true;
+    rig.maskTexture = tex;
+    rig.spot.map = tex;
+    if (rig.spot.shadow) rig.spot.shadow.needsUpdate = true;
     if (this.renderer && this.renderer.shadowMap) this.renderer.shadowMap.needsUpdate = true;
-    this.previewMaterial.uniforms.hasGobo.value = 1;
-    this.previewMaterial.uniforms.goboMap.value = tex;
-    this.previewMaterial.uniforms.goboScale.value = 1.0;
-    this.previewMaterial.uniforms.goboRotation.value = 0.0;
-    this.previewMaterial.uniforms.goboInvert.value = goboState.invert ? 1 : 0;
+    this.refreshMaskUniforms();
     this.requestRender();
   }
 
+  // Gobo layer (turned by its rotation plus the wheel's spin so far) times the gate layer, cut
+  // to a circular footprint so gobos do not appear as a square card; the iris closes that
+  // circle down.
+  composeBeamMask(rig) {
+    const ctx = rig.maskCtx;
+    const size = rig.maskCanvas.width;
+    const goboState = rig.goboState || {};
+    const focus = clamp(finiteOr(goboState.focus, 0), 0, 8);
+    ctx.globalCompositeOperation = "source-over";
+    if (rig.goboLayer) {
+      ctx.fillStyle = "black";
+      ctx.fillRect(0, 0, size, size);
+      ctx.save();
+      ctx.translate(size * 0.5, size * 0.5);
+      ctx.rotate(THREE.MathUtils.degToRad(clamp(finiteOr(goboState.rotation, 0), -180, 180) + rig.goboSpinAngle));
+      ctx.drawImage(rig.goboLayer, -size * 0.5, -size * 0.5);
+      ctx.restore();
+      ctx.globalCompositeOperation = "multiply";
+    }
+    ctx.drawImage(rig.gateLayer, 0, 0);
+
+    const center = size * 0.5;
+    const rOuter = size * 0.5 * clamp(finiteOr(goboState.iris, 1), 0.05, 1);
+    const rInner = Math.max(0, rOuter - size * 0.02 - focus * 2);
+    const edge = ctx.createRadialGradient(center, center, rInner, center, center, rOuter);
+    edge.addColorStop(0, "rgba(255,255,255,1)");
+    edge.addColorStop(1, "rgba(255,255,255,0)");
+    ctx.globalCompositeOperation = "destination-in";
+    ctx.fillStyle = edge;
+    ctx.fillRect(0, 0, size, size);
+    ctx.globalCompositeOperation = "source-over";
+  }
+
+  // Advances every spinning gobo wheel by dtSec. Returns whether any is turning.
+  spinGobos(dtSec) {
+    let spinning = false;
+    this.fixtureRigs.forEach((rig) => {
+      const spin = finiteOr(rig.goboState?.spin, 0);
+      if (!spin || !rig.goboLayer || !rig.maskTexture) return;
+      spinning = true;
+      rig.goboSpinAngle = (rig.goboSpinAngle + spin * dtSec) % 360;
+      this.composeBeamMask(rig);
+      rig.maskTexture.needsUpdate = true;
+    });
+    return spinning;
+  }
+
+  // Sets every spinning gobo wheel to its angle `timeSec` into the spin, so a rendered frame
+  // shows the gobo where its time puts it rather than where the preview clock left it.
+  setGoboSpinTime(timeSec) {
+    this.fixtureRigs.forEach((rig) => {
+      const spin = finiteOr(rig.goboState?.spin, 0);
+      if (!spin || !rig.goboLayer || !rig.maskTexture) return;
+      rig.goboSpinAngle = (spin * timeSec) % 360;
+      this.composeBeamMask(rig);
+      rig.maskTexture.needsUpdate = true;
+    });
+  }
+
+  getEffectiveLux(fixtureId) {
+    const rig = this.fixtureRigs.get(fixtureId);
+    return rig && Number.isFinite(rig.effectiveLux) ? rig.effectiveLux : null;
+  }
+
+  refreshMaskUniforms() {
+    const uniforms = this.previewMaterial.uniforms;
+    (this.liveRigs || []).forEach((rig, slot) => {
+      uniforms.hasMasks.value[slot] = rig.maskTexture ? 1 : 0;
+      uniforms.beamMasks.value[slot] = rig.maskTexture;
+      uniforms.photometricMasks.value[slot] = rig.maskTexture && rig.ies ? 1 : 0;
+    });
+  }
+
   applyLightingState(state) {
-    const azimuth = finiteOr(state.azimuth, 0);
-    const elevation = finiteOr(state.elevation, 18);
-    const throwDistance = clamp(finiteOr(state.throwDistance, 3.2), 1.2, 8.0);
-    const beamAngle = clamp(finiteOr(state.beamAngle, 44), 10, 80);
-    const softness = clamp(finiteOr(state.softness, 0.35), 0, 1);
+    const fixtures = Array.isArray(state.fixtures) ? state.fixtures.slice(0, MAX_FIXTURES) : [];
     const ambientFill = clamp(finiteOr(state.ambientFill, 2), 0, 10);
     const hazeEnabled = state.hazeEnabled === false ? 0 : 1;
     const hazeDensity = clamp(finiteOr(state.hazeDensity, 0), 0, 1);
@@ -976,96 +1409,147 @@ export class LightingRenderer {
     const hazeStepCount = hazeQuality === "Low" ? 14 : hazeQuality === "High" ? 32 : 22;
     const hazeShadowSamples = hazeQuality === "Low" ? 1 : hazeQuality === "High" ? 4 : 2;
     const hazeExtinction = hazeDensity * 0.95;
-    const lux = clamp(finiteOr(state.lux, 900), 1, 4000);
-    const lightHex = state.finalLightColorHex || "#ffd6a8";
     const houseLightColor = state.houseLightColorHex || "#ffffff";
     const houseLightIntensity = clamp(finiteOr(state.houseLightIntensity, 0), 0, 5);
 
-    const dir = vectorFromAzEl(azimuth, elevation);
-    const targetPos = new THREE.Vector3(0, 1.0, 0);
-    const lightPos = targetPos.clone().add(dir.multiplyScalar(throwDistance));
-    this.spot.position.copy(lightPos);
-    this.spot.target.position.copy(targetPos);
-    this.spot.target.updateMatrixWorld();
-    if (this.spot.shadow && typeof this.spot.shadow.updateMatrices === "function") {
-      this.spot.shadow.updateMatrices(this.spot);
-    }
-
-    const normal = new THREE.Vector3(0, 0, 1);
-    const towardLight = lightPos.clone().sub(targetPos).normalize();
-    const incidence = Math.max(normal.dot(towardLight), 0.15);
-    const candela = (lux * throwDistance * throwDistance) / incidence;
-    // Practical calibration for this scene scale/material set to avoid over-bright output.
-    const calibrated = candela * 0.03;
-    this.spot.intensity = clamp(calibrated, 0.01, 12000);
-
-    this.spot.penumbra = softness;
-    this.spot.angle = THREE.MathUtils.degToRad(beamAngle);
-    this.spot.distance = 0;
-    this.spot.decay = 2;
-    this.spot.color.set(lightHex);
+    this.syncFixtureRigs(fixtures);
     this.ambient.intensity = clamp(ambientFill / 100, 0, 0.1);
     this.houseLight.color.set(houseLightColor);
     this.houseLight.intensity = houseLightIntensity;
 
-    this.lightGizmoGroup.position.copy(lightPos);
-    const lookQ = new THREE.Quaternion().setFromUnitVectors(
-      new THREE.Vector3(0, 1, 0),
-      targetPos.clone().sub(lightPos).normalize()
-    );
-    this.lightGizmoGroup.quaternion.copy(lookQ);
-    const beamFactor = clamp(beamAngle / 80, 0.15, 1.0);
-    this.lightConeGizmo.scale.set(beamFactor, 0.8, beamFactor);
-    this.lightConeGizmo.material.color.set(lightHex);
-
-    this.previewMaterial.uniforms.lightColor.value.set(lightHex);
-    this.previewMaterial.uniforms.ambientFill.value = clamp(ambientFill / 100, 0, 0.1);
-    this.previewMaterial.uniforms.lightGain.value = clamp(lux / 1200, 0.12, 3.5);
-    this.previewMaterial.uniforms.softness.value = softness;
-    this.previewMaterial.uniforms.radius.value = clamp(
-      0.16 + (beamAngle / 80) * 0.26 + throwDistance * 0.02,
-      0.18,
-      0.56
-    );
-    this.previewMaterial.uniforms.spotCenter.value.set(
-      clamp(0.5 + (azimuth / 85) * 0.28, 0.12, 0.88),
-      clamp(0.5 - (elevation / 70) * 0.28, 0.12, 0.88)
-    );
-    this.previewMaterial.uniforms.hazeEnabled.value = hazeEnabled;
-    this.previewMaterial.uniforms.hazeDensity.value = hazeDensity;
-    this.previewMaterial.uniforms.hazeHeight.value = hazeHeight;
-    this.previewMaterial.uniforms.hazeExtinction.value = hazeExtinction;
-    this.previewMaterial.uniforms.throwDistance.value = throwDistance;
-
-    const beamCos = Math.cos(THREE.MathUtils.degToRad(beamAngle));
-    const beamSoftness = THREE.MathUtils.lerp(0.03, 0.16, softness);
-    const lightDir = targetPos.clone().sub(lightPos).normalize();
+    const preview = this.previewMaterial.uniforms;
+    const haze = this.hazeVolumeMaterial.uniforms;
+    this.liveRigs = [];
+    let throwSum = 0;
+
+    fixtures.forEach((fixture) => {
+      const rig = this.ensureFixtureRig(fixture.id);
+      const live = isFixtureLive(fixture, fixtures);
+      const geometry = fixtureGeometry(fixture);
+      const { throwDistance } = geometry;
+      // Off the wall the throw runs to the aim point along the beam, met square on.
+      const incidence = geometry.onWall ? geometry.incidence : 1;
+      const ies = rig.ies;
+      // beamAngle is the full field angle from the data sheet; SpotLight.angle wants the half angle.
+      const lensHalfAngle = ies ? ies.coneAngle : clamp(finiteOr(fixture.beamAngle, 50), 4, 100) * 0.5;
+      // Fresnel and PAR fields fall off inside the beam mask; the cone edge only trims the last 10%.
+      const washLens = fixture.lensType === "fresnel" || fixture.lensType === "par";
+      const lensSoftness = ies ? 0.02 : washLens ? 0.12 : clamp(finiteOr(fixture.softness, 0.35), 0, 1);
+      // Frost in the gel frame adds its spread in quadrature and eats into the edge hardness.
+      const diffusionSpread = clamp(finiteOr(fixture.diffusionSpread, 0), 0, 120);
+      const diffusionSoften = clamp(finiteOr(fixture.diffusionSoften, 0), 0, 1);
+      const halfAngle = Math.min(Math.hypot(lensHalfAngle * 2, diffusionSpread) * 0.5, 85);
+      const softness = 1 - (1 - lensSoftness) * (1 - diffusionSoften);
+      const lightHex = fixture.finalLightColorHex || "#ffd6a8";
+      // Spectral result in linear sRGB; luminance already carries the gel's transmission loss.
+      const lightRgb = Array.isArray(fixture.finalLightRgb) ? fixture.finalLightRgb : null;
+      const setLightColor = (color) => (lightRgb ? color.setRGB(lightRgb[0], lightRgb[1], lightRgb[2]) : color.set(lightHex));
+      const spot = rig.spot;
+
+      const targetPos = new THREE.Vector3(geometry.focus.x, geometry.focus.y, geometry.focus.z);
+      const lightPos = new THREE.Vector3(geometry.position.x, geometry.position.y, geometry.position.z);
+      spot.position.copy(lightPos);
+      spot.target.position.copy(targetPos);
+      spot.target.updateMatrixWorld();
+      if (spot.shadow && typeof spot.shadow.updateMatrices === "function") {
+        spot.shadow.updateMatrices(spot);
+      }
+
+      let axialCandela = 0;
+      if (ies && fixture.iesUseOutput) axialCandela = ies.summary.axialCandela;
+      else if (!ies && finiteOr(fixture.profileCandela, 0) > 0) axialCandela = fixture.profileCandela;
+      const lux = axialCandela > 0
+        ? clamp((axialCandela * incidence) / (throwDistance * throwDistance), 1, 20000)
+        : clamp(finiteOr(fixture.lux, 900), 1, 20000);
+      let candela = (lux * throwDistance * throwDistance) / incidence;
+      // The photometric mask is normalized to peak candela; restore the on-axis level.
+      if (ies) candela *= ies.data.peakCandela / Math.max(ies.summary.axialCandela, 1e-6);
+      // The same flux spread over a wider cone leaves less on axis.
+      candela *= solidAngle(lensHalfAngle) / solidAngle(halfAngle);
+      // lux is the full-level figure; the dimmer curve's output scales what actually leaves the lens.
+      const dimmerOutput = clamp(finiteOr(fixture.dimmerOutput, 1), 0, 1);
+      candela *= dimmerOutput;
+      // Practical calibration for this scene scale/material set to avoid over-bright output.
+      const calibrated = candela * CANDELA_TO_SCENE;
+      spot.intensity = clamp(calibrated, 0, 100000);
+      rig.effectiveLux = lux;
+
+      spot.penumbra = softness;
+      spot.angle = THREE.MathUtils.degToRad(halfAngle);
+      spot.distance = 0;
+      spot.decay = 2;
+      setLightColor(spot.color);
+      spot.visible = live && dimmerOutput > 0;
+
+      const beamDir = targetPos.clone().sub(lightPos).normalize();
+      rig.gizmoGroup.position.copy(lightPos);
+      const lookQ = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), beamDir);
+      rig.gizmoGroup.quaternion.copy(lookQ);
+      const beamFactor = clamp(halfAngle / 40, 0.15, 1.0);
+      rig.coneGizmo.scale.set(beamFactor, 0.8, beamFactor);
+      rig.coneGizmo.material.color.set(live ? lightHex : "#3a4150");
+
+      if (!live) return;
+      const slot = this.liveRigs.length;
+      this.liveRigs.push(rig);
+      throwSum += throwDistance;
+
+      setLightColor(preview.lightColors.value[slot]);
+      preview.lightGains.value[slot] = clamp(lux / 1200, 0.12, 3.5) * dimmerOutput;
+      preview.softnesses.value[slot] = softness;
+      // Same basis Object3D.lookAt gives the shadow camera, so preview and spot.map agree.
+      const right = new THREE.Vector3().crossVectors(beamDir, new THREE.Vector3(0, 1, 0));
+      if (right.lengthSq() < 1e-8) right.set(1, 0, 0);
+      right.normalize();
+      preview.lightPositions.value[slot].copy(lightPos);
+      preview.lightDirs.value[slot].copy(beamDir);
+      preview.lightRights.value[slot].copy(right);
+      preview.lightUps.value[slot].crossVectors(right, beamDir).normalize();
+      preview.tanHalfAngles.value[slot] = Math.tan(THREE.MathUtils.degToRad(halfAngle));
+      preview.throwDistances.value[slot] = throwDistance;
+      preview.incidences.value[slot] = incidence;
+
+      setLightColor(haze.lightColors.value[slot]).multiplyScalar(dimmerOutput);
+      haze.lightPositions.value[slot].copy(lightPos);
+      haze.lightDirs.value[slot].copy(beamDir);
+      const hazeBeamAngle = ies ? ies.summary.fieldAngle * 0.5 * (halfAngle / lensHalfAngle) : halfAngle;
+      haze.beamCos.value[slot] = Math.cos(THREE.MathUtils.degToRad(hazeBeamAngle));
+      haze.beamSoftness.value[slot] = ies ? 0.1 : THREE.MathUtils.lerp(0.03, 0.16, softness);
+      if (spot.shadow && spot.shadow.matrix) {
+        haze.shadowMatrices.value[slot].copy(spot.shadow.matrix);
+      }
+      if (spot.shadow && spot.shadow.map && spot.shadow.map.texture) {
+        haze.shadowMaps.value[slot] = spot.shadow.map.texture;
+        const size = spot.shadow.mapSize;
+        haze.shadowMapTexel.value.set(1 / Math.max(size.x, 1), 1 / Math.max(size.y, 1));
+        haze.shadowEnabled.value[slot] = 1.0;
+      } else {
+        haze.shadowMaps.value[slot] = null;
+        haze.shadowEnabled.value[slot] = 0.0;
+      }
+    });
+
+    const liveCount = this.liveRigs.length;
+    const throwDistance = liveCount ? throwSum / liveCount : 3.2;
+    preview.fixtureCount.value = liveCount;
+    preview.ambientFill.value = clamp(ambientFill / 100, 0, 0.1);
+    preview.hazeEnabled.value = hazeEnabled;
+    preview.hazeDensity.value = hazeDensity;
+    preview.hazeHeight.value = hazeHeight;
+    preview.hazeExtinction.value = hazeExtinction;
+    this.refreshMaskUniforms();
+
     const phaseG = THREE.MathUtils.lerp(0.32, 0.5, clamp(hazeDensity, 0, 1));
-    this.hazeVolumeMaterial.uniforms.hazeEnabled.value = hazeEnabled;
-    this.hazeVolumeMaterial.uniforms.hazeDensity.value = hazeDensity;
-    this.hazeVolumeMaterial.uniforms.hazeHeight.value = hazeHeight;
-    this.hazeVolumeMaterial.uniforms.phaseG.value = phaseG;
-    this.hazeVolumeMaterial.uniforms.stepCount.value = hazeStepCount;
-    this.hazeVolumeMaterial.uniforms.shadowSampleCount.value = hazeShadowSamples;
-    this.hazeVolumeMaterial.uniforms.lightColor.value.set(lightHex);
-    this.hazeVolumeMaterial.uniforms.lightPos.value.copy(lightPos);
-    this.hazeVolumeMaterial.uniforms.lightDir.value.copy(lightDir);
-    this.hazeVolumeMaterial.uniforms.beamCos.value = beamCos;
-    this.hazeVolumeMaterial.uniforms.beamSoftness.value = beamSoftness;
+    haze.lightCount.value = liveCount;
+    haze.hazeEnabled.value = hazeEnabled;
+    haze.hazeDensity.value = hazeDensity;
+    haze.hazeHeight.value = hazeHeight;
+    haze.phaseG.value = phaseG;
+    haze.stepCount.value = hazeStepCount;
+    haze.shadowSampleCount.value = hazeShadowSamples;
     this.hazeVolume.updateMatrixWorld(true);
-    this.hazeVolumeMaterial.uniforms.hazeModelMatrix.value.copy(this.hazeVolume.matrixWorld);
-    this.hazeVolumeMaterial.uniforms.invModelMatrix.value.copy(this.hazeVolume.matrixWorld).invert();
-    if (this.spot.shadow && this.spot.shadow.matrix) {
-      this.hazeVolumeMaterial.uniforms.shadowMatrix.value.copy(this.spot.shadow.matrix);
-    }
-    if (this.spot.shadow && this.spot.shadow.map && this.spot.shadow.map.texture) {
-      this.hazeVolumeMaterial.uniforms.shadowMap.value = this.spot.shadow.map.texture;
-      const size = this.spot.shadow.mapSize;
-      this.hazeVolumeMaterial.uniforms.shadowMapTexel.value.set(1 / Math.max(size.x, 1), 1 / Math.max(size.y, 1));
-      this.hazeVolumeMaterial.uniforms.shadowEnabled.value = 1.0;
-    } else {
-      this.hazeVolumeMaterial.uniforms.shadowEnabled.value = 0.0;
-    }
+    haze.hazeModelMatrix.value.copy(this.hazeVolume.matrixWorld);
+    haze.invModelMatrix.value.copy(this.hazeVolume.matrixWorld).invert();
 
     this.hqMaterial.userData.hazeEnabled = hazeEnabled;
     this.hqMaterial.userData.hazeDensity = hazeDensity;
@@ -1095,21 +1579,30 @@ export class LightingRenderer {
     return this.lastRenderBytes;
   }
 
+  // { width, height, exposure, linear } from the last HQ still, or null after a fallback render
+  // or a render without float output. 16-bit PNGs are tone-mapped from `linear` at `exposure`.
+  getLastRenderFloat() {
+    return this.lastRenderFloat;
+  }
+
   async renderHighQualityFallback(state, width, height) {
     const accum = document.createElement("canvas");
     accum.width = width;
     accum.height = height;
     const accumCtx = accum.getContext("2d");
     if (!accumCtx) throw new Error("Fallback render canvas unavailable.");
-    const oldSpotMap = this.spot.map;
-    const oldCast = this.spot.castShadow;
+    const rigs = Array.from(this.fixtureRigs.values());
+    const oldSpotMaps = rigs.map((rig) => rig.spot.map);
+    const oldCasts = rigs.map((rig) => rig.spot.castShadow);
     const oldShadowEnabled = this.renderer.shadowMap.enabled;
     const oldShadowType = this.renderer.shadowMap.type;
     const oldMaterial = this.wall.material;
     const oldReceiveShadow = this.wall.receiveShadow;
     try {
-      this.spot.map = null;
-      this.spot.castShadow = true;
+      rigs.forEach((rig) => {
+        rig.spot.map = null;
+        rig.spot.castShadow = true;
+      });
       this.renderer.shadowMap.enabled = true;
       this.renderer.shadowMap.type = THREE.BasicShadowMap;
       this.wall.material = this.previewMaterial;
@@ -1118,10 +1611,13 @@ export class LightingRenderer {
       this.renderer.render(this.scene, this.camera);
       accumCtx.drawImage(this.renderer.domElement, 0, 0, width, height);
       this.lastRenderBytes = await this.canvasToPngBytes(accum);
+      this.lastRenderFloat = null;
       return { ok: true, fallback: true };
     } finally {
-      this.spot.map = oldSpotMap;
-      this.spot.castShadow = oldCast;
+      rigs.forEach((rig, i) => {
+        rig.spot.map = oldSpotMaps[i];
+        rig.spot.castShadow = oldCasts[i];
+      });
       this.renderer.shadowMap.enabled = oldShadowEnabled;
       this.renderer.shadowMap.type = oldShadowType;
       this.wall.material = oldMaterial;
@@ -1129,6 +1625,67 @@ export class LightingRenderer {
     }
   }
 
+  async parseSceneryModel(model) {
+    const buffer = model.bytes.buffer.slice(model.bytes.byteOffset, model.bytes.byteOffset + model.bytes.byteLength);
+    if (model.ext === "glb") return (await new GLTFLoader().parseAsync(buffer, "")).scene;
+    return new TDSLoader().parse(buffer, "");
+  }
+
+  clearScenery() {
+    this.sceneryToken += 1;
+    if (!this.scenery) return;
+    this.scene.remove(this.scenery);
+    const geometries = new Set();
+    this.scenery.traverse((obj) => {
+      if (obj.geometry) geometries.add(obj.geometry);
+    });
+    geometries.forEach((geometry) => geometry.dispose());
+    this.scenery = null;
+    this.requestRender();
+  }
+
+  // MVR scenery parts ({ fileName, matrix } from mvr.js) with their model files by lower-case
+  // name. Parts whose model is missing or unreadable stand in as a 40 cm block in MVR's
+  // millimeters. Resolves to the number of parts drawn from a model.
+  async setScenery(parts, models) {
+    this.clearScenery();
+    const token = this.sceneryToken;
+    const group = new THREE.Group();
+    const loaded = new Map();
+    let modeled = 0;
+    for (const part of parts) {
+      const key = part.fileName.toLowerCase();
+      if (models.has(key) && !loaded.has(key)) {
+        try {
+          loaded.set(key, await this.parseSceneryModel(models.get(key)));
+        } catch {
+          loaded.set(key, null);
+        }
+        if (token !== this.sceneryToken) return 0;
+      }
+      let object = loaded.get(key)?.clone() || null;
+      if (object) {
+        modeled += 1;
+      } else {
+        object = new THREE.Mesh(new THREE.BoxGeometry(400, 400, 400).translate(0, 0, 200));
+      }
+      object.traverse((node) => {
+        if (!node.isMesh) return;
+        node.material = this.sceneryMaterial;
+        node.castShadow = true;
+        node.receiveShadow = true;
+      });
+      object.matrixAutoUpdate = false;
+      object.matrix.fromArray(part.matrix);
+      object.name = part.name;
+      group.add(object);
+    }
+    this.scenery = group;
+    this.scene.add(group);
+    this.requestRender();
+    return modeled;
+  }
+
   resetModel() {
     this.scene.remove(this.wall);
     this.wall.geometry.dispose();
@@ -1157,8 +1714,109 @@ export class LightingRenderer {
     this.requestRender();
   }
 
-  async renderHighQuality(state, width, height) {
-    if (this.cancelRender === false && this.onProgress) this.onProgress(0);
+  // Ray-marches the haze volume into `target` over transparent black, premultiplied by coverage.
+  renderHaze(target) {
+    const oldClearColor = this.renderer.getClearColor(new THREE.Color());
+    const oldClearAlpha = this.renderer.getClearAlpha();
+    this.renderer.setClearColor(0x000000, 0);
+    this.renderer.setRenderTarget(target);
+    this.renderer.render(this.hqPasses.hazeOverlay, this.camera);
+    this.renderer.setRenderTarget(null);
+    this.renderer.setClearColor(oldClearColor, oldClearAlpha);
+  }
+
+  // Draws the running mean with its haze tone-mapped to the canvas; `hazeTarget` is left
+  // holding that haze.
+  presentAccumulation(texture, hazeTarget) {
+    const passes = this.hqPasses;
+    this.renderHaze(hazeTarget);
+    passes.display.uniforms.map.value = texture;
+    passes.display.uniforms.hazeMap.value = hazeTarget.texture;
+    this.renderer.setRenderTarget(null);
+    this.renderer.render(passes.display.scene, passes.camera);
+  }
+
+  // Writes one tile into `output.linear` at `left`, `top`: the mean in `meanTarget` with the haze
+  // presentAccumulation left in `hazeTarget`, composed in `linearTarget`, as half floats, RGB from
+  // the top row down. Read back a strip at a time to keep the float buffer small.
+  readFloatOutput(meanTarget, hazeTarget, linearTarget, output, left, top) {
+    const { width, height } = meanTarget;
+    const compose = this.hqPasses.compose;
+    compose.uniforms.map.value = meanTarget.texture;
+    compose.uniforms.hazeMap.value = hazeTarget.texture;
+    this.renderer.setRenderTarget(linearTarget);
+    this.renderer.render(compose.scene, this.hqPasses.camera);
+    this.renderer.setRenderTarget(null);
+
+    const rows = 64;
+    const strip = new Float32Array(width * rows * 4);
+    for (let y0 = 0; y0 < height; y0 += rows) {
+      const count = Math.min(rows, height - y0);
+      this.renderer.readRenderTargetPixels(linearTarget, 0, y0, width, count, strip);
+      for (let y = 0; y < count; y += 1) {
+        const row = ((top + height - 1 - y0 - y) * output.width + left) * 3;
+        for (let x = 0; x < width; x += 1) {
+          const i = (y * width + x) * 4;
+          const o = row + x * 3;
+          output.linear[o] = toHalf(strip[i]);
+          output.linear[o + 1] = toHalf(strip[i + 1]);
+          output.linear[o + 2] = toHalf(strip[i + 2]);
+        }
+      }
+    }
+  }
+
+  // Output rectangles no larger than the GPU can draw in one go, left to right and top down.
+  hqTiles(width, height) {
+    const gl = this.renderer.getContext();
+    const limit = Math.min(HQ_TILE_SIZE, this.renderer.capabilities.maxTextureSize, gl.getParameter(gl.MAX_RENDERBUFFER_SIZE));
+    const tiles = [];
+    for (let top = 0; top < height; top += limit) {
+      for (let left = 0; left < width; left += limit) {
+        tiles.push({ left, top, width: Math.min(limit, width - left), height: Math.min(limit, height - top) });
+      }
+    }
+    return tiles;
+  }
+
+  // Mean relative noise in percent: the lit pixels' standard error over their luminance.
+  measureNoise(texture, samples, target) {
+    const passes = this.hqPasses;
+    passes.noise.uniforms.map.value = texture;
+    passes.noise.uniforms.samples.value = samples;
+    this.renderer.setRenderTarget(target);
+    this.renderer.render(passes.noise.scene, passes.camera);
+    this.renderer.setRenderTarget(null);
+    const pixels = new Float32Array(target.width * target.height * 4);
+    this.renderer.readRenderTargetPixels(target, 0, 0, target.width, target.height, pixels);
+    let error = 0;
+    let luminance = 0;
+    for (let i = 0; i < pixels.length; i += 4) {
+      if (pixels[i + 1] <= 1e-4) continue;
+      error += pixels[i];
+      luminance += pixels[i + 1];
+    }
+    return luminance > 0 ? (error / luminance) * 100 : 0;
+  }
+
+  // `options.mode` is "samples" (render `options.samples`), "noise" (until the noise estimate
+  // drops under `options.noiseTarget` percent) or "unlimited", where cancel stops and keeps
+  // what has converged so far. `options.onProgress` replaces the progress callback, e.g. to
+  // report one frame of a sequence; unlimited renders report null. Every random choice comes
+  // from `options.seed` and the haze holds still, so the same state and seed render the same
+  // image. `options.floatOutput` also keeps the linear result as half floats for EXR and 16-bit
+  // PNG export.
+  async renderHighQuality(state, width, height, options = {}) {
+    const onProgress = options.onProgress || this.onProgress;
+    const tiles = this.hqTiles(width, height);
+    // A tile has to finish before the next starts, so tiled renders cannot run until stopped.
+    const requestedMode = ["samples", "noise", "unlimited"].includes(options.mode) ? options.mode : "samples";
+    const mode = requestedMode === "unlimited" && tiles.length > 1 ? "samples" : requestedMode;
+    const sampleCount = Math.round(clamp(finiteOr(Number(options.samples), 16), 1, HQ_MAX_SAMPLES));
+    const noiseGoal = clamp(finiteOr(Number(options.noiseTarget), 1), 0.05, 50);
+    const seed = Math.round(clamp(finiteOr(Number(options.seed), 1), 0, 0xffffffff));
+    if (this.cancelRender === false && onProgress) onProgress(mode === "unlimited" ? null : 0);
+    if (mode !== requestedMode) this.onStatus(`Rendering ${tiles.length} tiles of ${sampleCount} samples; until stopped needs an output that fits in one tile.`);
     this.cancelRender = false;
     this.setControlsLocked(true);
 
@@ -1168,11 +1826,39 @@ export class LightingRenderer {
     const oldShadowEnabled = this.renderer.shadowMap.enabled;
     const oldShadowType = this.renderer.shadowMap.type;
     const oldMaterial = this.wall.material;
-    const oldSpotCastShadow = this.spot.castShadow;
-    const oldMapSize = this.spot.shadow.mapSize.clone();
-    const oldRadius = this.spot.shadow.radius;
-    const originalLightPos = this.spot.position.clone();
+    const oldAspect = this.camera.aspect;
+    this.applyLightingState(state);
+    // The preview is paused for the whole render, so the wheels hold this angle throughout.
+    if (Number.isFinite(options.goboTime)) this.setGoboSpinTime(options.goboTime);
+    const rigs = Array.from(this.fixtureRigs.values());
+    const saved = rigs.map((rig) => ({
+      castShadow: rig.spot.castShadow,
+      mapSize: rig.spot.shadow.mapSize.clone(),
+      radius: rig.spot.shadow.radius,
+      position: rig.spot.position.clone()
+    }));
+    // Each pass moves every light to a point on its emitter face, which faces along the beam
+    // with its width horizontal; the penumbra comes from the spread of those points.
+    const emitters = Array.from(this.fixtureRigs.keys()).map((id, k) => {
+      const fixture = (state.fixtures || []).find((f) => f.id === id);
+      const spot = rigs[k].spot;
+      const dir = spot.target.position.clone().sub(spot.position).normalize();
+      const across = new THREE.Vector3().crossVectors(dir, new THREE.Vector3(0, 1, 0));
+      if (across.lengthSq() < 1e-6) across.set(1, 0, 0);
+      across.normalize();
+      const up = new THREE.Vector3().crossVectors(across, dir).normalize();
+      return { id, fixture, across, up };
+    });
+    const strata = mode === "samples" ? sampleCount : 64;
+    // Camera jitter walks a Halton sequence, shifted by the seed.
+    const cameraRandom = createSeededRandom(streamSeed(seed, "camera"));
+    const cameraShift = [cameraRandom(), cameraRandom()];
+    const hazeTime = this.hazeVolumeMaterial.uniforms.time;
+    const oldHazeTime = hazeTime.value;
     let canceled = false;
+    let samples = 0;
+    let noise = null;
+    const targets = [];
     this.renderPaused = true;
     if (this.animationHandle) {
       cancelAnimationFrame(this.animationHandle);
@@ -1180,59 +1866,137 @@ export class LightingRenderer {
     }
 
     try {
+      if (!this.renderer.extensions.has("EXT_color_buffer_float")) throw new Error("Float render targets are unavailable.");
       this.wall.material = this.hqMaterial;
       this.wall.receiveShadow = true;
-      this.spot.castShadow = true;
       this.renderer.shadowMap.enabled = true;
       this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-      this.spot.shadow.mapSize.set(2048, 2048);
-      this.spot.shadow.radius = 6;
-      this.spot.shadow.needsUpdate = true;
+      rigs.forEach((rig) => {
+        rig.spot.castShadow = true;
+        rig.spot.shadow.mapSize.set(2048, 2048);
+        rig.spot.shadow.radius = 1;
+        rig.spot.shadow.needsUpdate = true;
+        ensureTextureMatrix(rig.spot.map);
+      });
       this.renderer.setPixelRatio(1);
-      this.renderer.setSize(width, height, false);
+      // The output's own aspect ratio, at the preview's vertical field of view.
+      this.camera.aspect = width / height;
+      this.camera.updateProjectionMatrix();
       ensureTextureMatrix(this.hqMaterial.map);
       ensureTextureMatrix(this.hqMaterial.normalMap);
-      ensureTextureMatrix(this.spot.map);
       this.applyLightingState(state);
+      this.hqPasses.hazeOverlay.add(this.hazeVolume);
+      hazeTime.value = 0;
+
+      const floatTarget = (w, h, type, depthBuffer) => {
+        const target = new THREE.WebGLRenderTarget(w, h, {
+          type,
+          minFilter: THREE.NearestFilter,
+          magFilter: THREE.NearestFilter,
+          depthBuffer
+        });
+        targets.push(target);
+        return target;
+      };
+      const accumulate = this.hqPasses.accumulate.uniforms;
+      // Tiles are stitched into the 2D canvas (and the float buffers) as each one finishes.
+      const still = document.createElement("canvas");
+      still.width = width;
+      still.height = height;
+      const stillCtx = still.getContext("2d");
+      if (!stillCtx) throw new Error("Render canvas unavailable.");
+      const floatOutput = options.floatOutput
+        ? { width, height, exposure: this.renderer.toneMappingExposure, linear: new Uint16Array(width * height * 3) }
+        : null;
+
+      for (let t = 0; t < tiles.length && !canceled; t += 1) {
+        const tile = tiles[t];
+        const tileTargets = [
+          floatTarget(tile.width, tile.height, THREE.HalfFloatType, true),
+          floatTarget(tile.width, tile.height, THREE.FloatType, false),
+          floatTarget(tile.width, tile.height, THREE.FloatType, false),
+          floatTarget(Math.ceil(tile.width / HQ_NOISE_GRID), Math.ceil(tile.height / HQ_NOISE_GRID), THREE.FloatType, false),
+          floatTarget(tile.width, tile.height, THREE.HalfFloatType, false)
+        ];
+        const [sampleTarget, , , noiseTarget, hazeTarget] = tileTargets;
+        let [, read, write] = tileTargets;
+        this.renderer.setSize(tile.width, tile.height, false);
+        // Every tile replays the same emitter samples, so no seams show between them.
+        const samplers = emitters.map(({ id }) => createStratifiedSampler(strata, createSeededRandom(streamSeed(seed, id))));
+        let tileSamples = 0;
+        let tileNoise = null;
+        let lastPreview = performance.now();
+        const reportProgress = (fraction) => {
+          if (onProgress && mode !== "unlimited") onProgress(Math.round(((t + fraction) / tiles.length) * 100));
+        };
+
+        while (!this.cancelRender) {
+          if (mode === "samples" && tileSamples >= sampleCount) break;
+          if (mode === "noise" && (tileSamples >= HQ_MAX_SAMPLES || (tileNoise !== null && tileNoise <= noiseGoal))) break;
+          rigs.forEach((rig, k) => {
+            const { fixture, across, up } = emitters[k];
+            if (!fixture) return;
+            const [x, y] = emitterPoint(fixture, ...samplers[k]());
+            rig.spot.position.copy(saved[k].position).addScaledVector(across, x).addScaledVector(up, y);
+          });
+          // Subpixel camera jitter antialiases edges as the samples average out.
+          const jitterX = (halton(tileSamples + 1, 2) + cameraShift[0]) % 1;
+          const jitterY = (halton(tileSamples + 1, 3) + cameraShift[1]) % 1;
+          this.camera.setViewOffset(width, height, tile.left + jitterX - 0.5, tile.top + jitterY - 0.5, tile.width, tile.height);
+          this.renderer.setRenderTarget(sampleTarget);
+          this.renderer.render(this.scene, this.camera);
+          tileSamples += 1;
+          accumulate.sampleMap.value = sampleTarget.texture;
+          accumulate.previous.value = read.texture;
+          accumulate.weight.value = 1 / tileSamples;
+          this.renderer.setRenderTarget(write);
+          this.renderer.render(this.hqPasses.accumulate.scene, this.hqPasses.camera);
+          this.renderer.setRenderTarget(null);
+          [read, write] = [write, read];
+
+          if (tileSamples >= HQ_NOISE_MIN_SAMPLES && tileSamples % HQ_NOISE_EVERY === 0) {
+            tileNoise = this.measureNoise(read.texture, tileSamples, noiseTarget);
+          }
+          if (performance.now() - lastPreview > HQ_PREVIEW_MS) {
+            this.presentAccumulation(read.texture, hazeTarget);
+            lastPreview = performance.now();
+            const tileText = tiles.length > 1 ? `tile ${t + 1} of ${tiles.length} · ` : "";
+            if (mode !== "samples" || tiles.length > 1) {
+              this.onStatus(`HQ ${tileText}sample ${tileSamples}${tileNoise === null ? "" : ` · noise ${tileNoise.toFixed(2)}%`}`);
+            }
+          }
+          if (mode === "samples") reportProgress(tileSamples / sampleCount);
+          // Noise falls with the square root of the sample count.
+          if (mode === "noise" && tileNoise !== null) reportProgress(Math.min(0.99, (noiseGoal / Math.max(tileNoise, 1e-6)) ** 2));
+          await new Promise((resolve) => setTimeout(resolve, 0));
+        }
 
-      const accum = document.createElement("canvas");
-      accum.width = width;
-      accum.height = height;
-      const accumCtx = accum.getContext("2d");
-      if (!accumCtx) throw new Error("Render canvas unavailable.");
-      accumCtx.fillStyle = "black";
-      accumCtx.fillRect(0, 0, width, height);
-
-      const samples = 16;
-      const jitter = (0.004 + state.softness * 0.018) * state.throwDistance;
-      const progressStep = 100 / samples;
-      const startedAt = performance.now();
-      const maxMs = 20000;
-
-      for (let i = 0; i < samples; i += 1) {
-        if (this.cancelRender) break;
-        if (performance.now() - startedAt > maxMs) {
-          throw new Error("Render timed out.");
+        canceled = this.cancelRender && !(mode === "unlimited" && tileSamples > 0);
+        if (canceled) break;
+        samples = Math.max(samples, tileSamples);
+        if (tileNoise !== null) noise = Math.max(noise ?? 0, tileNoise);
+        this.camera.setViewOffset(width, height, tile.left, tile.top, tile.width, tile.height);
+        this.presentAccumulation(read.texture, hazeTarget);
+        // The canvas is only readable until the next task, so copy it right away.
+        stillCtx.drawImage(this.renderer.domElement, tile.left, tile.top, tile.width, tile.height);
+        if (floatOutput) {
+          // The free ping-pong target takes the linear mean with its haze.
+          this.readFloatOutput(read, hazeTarget, write, floatOutput, tile.left, tile.top);
         }
-        const angle = Math.random() * Math.PI * 2;
-        const r = Math.random() * jitter;
-        this.spot.position.set(
-          originalLightPos.x + Math.cos(angle) * r,
-          originalLightPos.y + Math.sin(angle) * r,
-          originalLightPos.z + Math.sin(angle * 0.5) * r
-        );
-        this.renderer.render(this.scene, this.camera);
-        accumCtx.globalAlpha = 1 / samples;
-        accumCtx.drawImage(this.renderer.domElement, 0, 0, width, height);
-        if (this.onProgress) this.onProgress(Math.round(progressStep * (i + 1)));
-        await new Promise((resolve) => setTimeout(resolve, 0));
+        tileTargets.forEach((target) => target.dispose());
       }
 
-      canceled = this.cancelRender;
       if (!canceled) {
-        this.lastRenderBytes = await this.canvasToPngBytes(accum);
+        this.lastRenderFloat = floatOutput;
+        this.lastRenderBytes = await this.canvasToPngBytes(still);
       }
     } catch (error) {
+      this.camera.clearViewOffset();
+      this.camera.aspect = width / height;
+      this.camera.updateProjectionMatrix();
+      this.renderer.setRenderTarget(null);
+      this.renderer.setSize(width, height, false);
+      this.scene.add(this.hazeVolume);
       try {
         const fallbackResult = await this.renderHighQualityFallback(state, width, height);
         this.onStatus("HQ fallback render completed.");
@@ -1245,16 +2009,25 @@ export class LightingRenderer {
         };
       }
     } finally {
-      this.spot.position.copy(originalLightPos);
+      targets.forEach((target) => target.dispose());
+      hazeTime.value = oldHazeTime;
+      this.camera.clearViewOffset();
+      this.renderer.setRenderTarget(null);
+      this.scene.add(this.hazeVolume);
+      rigs.forEach((rig, k) => {
+        rig.spot.position.copy(saved[k].position);
+        rig.spot.castShadow = saved[k].castShadow;
+        rig.spot.shadow.mapSize.copy(saved[k].mapSize);
+        rig.spot.shadow.radius = saved[k].radius;
+      });
       this.wall.material = oldMaterial;
       this.wall.receiveShadow = false;
-      this.spot.castShadow = oldSpotCastShadow;
-      this.spot.shadow.mapSize.copy(oldMapSize);
-      this.spot.shadow.radius = oldRadius;
       this.renderer.shadowMap.enabled = oldShadowEnabled;
       this.renderer.shadowMap.type = oldShadowType;
       this.renderer.setPixelRatio(oldPixelRatio);
       this.renderer.setSize(size.x, size.y, false);
+      this.camera.aspect = oldAspect;
+      this.camera.updateProjectionMatrix();
       this.lastFrameTimeMs = performance.now();
       this.renderPaused = false;
       this.applyLightingState(state);
@@ -1266,8 +2039,10 @@ export class LightingRenderer {
       this.onStatus("High quality render canceled.");
       return { ok: false, canceled: true };
     }
-    this.onStatus("High quality render completed.");
-    return { ok: true };
+    const tileText = tiles.length > 1 ? `${tiles.length} tiles, up to ` : "";
+    const noiseText = noise === null ? "" : `, noise ${noise.toFixed(2)}%`;
+    this.onStatus(`High quality render completed (${tileText}${samples} samples${noiseText}).`);
+    return { ok: true, samples, noise, tiles: tiles.length };
   }
 
   requestCancelRender() {
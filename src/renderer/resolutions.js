@@ -0,0 +1,38 @@
+// HQ output sizes. Anything past the GPU's limits renders in tiles (see renderHighQuality), so
+// print sizes are fine; the ceiling is what a 2D canvas can hold for the stitched PNG.
+export const RESOLUTION_LIMITS = { min: 16, max: 16384 };
+// 16-bit PNG and EXR export keep a 16-bit-per-channel copy of the whole image in memory on top
+// of the canvas, and encode another; 8K DCI is as far as that goes comfortably.
+export const FLOAT_EXPORT_MAX_PIXELS = 8192 * 4320;
+
+export const RESOLUTION_PRESETS = [
+  { value: "1280×720", name: "HD 720p" },
+  { value: "1920×1080", name: "Full HD 1080p" },
+  { value: "2560×1440", name: "QHD 1440p" },
+  { value: "3840×2160", name: "UHD 4K" },
+  { value: "4096×2160", name: "4K DCI" },
+  { value: "7680×4320", name: "UHD 8K" },
+  { value: "8192×4320", name: "8K DCI" },
+  { value: "2048×2048", name: "Square 2K" },
+  { value: "4096×4096", name: "Square 4K" },
+  { value: "4961×3508", name: "A3 landscape, 300 dpi" },
+  { value: "3508×4961", name: "A3 portrait, 300 dpi" },
+  { value: "9933×7016", name: "A1 poster landscape, 300 dpi" },
+  { value: "7016×9933", name: "A1 poster portrait, 300 dpi" }
+];
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+export function formatResolution(width, height) {
+  return `${width}×${height}`;
+}
+
+// "1920×1080" (or "1920x1080") to { width, height } within the limits; null if unreadable.
+export function parseResolution(text) {
+  const match = /^\s*(\d+)\s*[×x]\s*(\d+)\s*$/i.exec(String(text || ""));
+  if (!match) return null;
+  const [width, height] = [match[1], match[2]].map((n) => clamp(Number(n), RESOLUTION_LIMITS.min, RESOLUTION_LIMITS.max));
+  return { width, height };
+}
@@ -0,0 +1,34 @@
+// Repeatable random numbers for HQ renders, so the same seed always gives the same image.
+
+// mulberry32: a small 32-bit generator, returning 0-1 like Math.random.
+export function createSeededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Seed for one stream of a render (a fixture's emitter, say), so adding or removing another
+// stream leaves this one's samples alone.
+export function streamSeed(seed, name) {
+  let h = 0x811c9dc5 ^ (seed >>> 0);
+  for (const c of String(name)) h = Math.imul(h ^ c.charCodeAt(0), 0x01000193);
+  return h >>> 0;
+}
+
+// Halton low-discrepancy sequence: the `index`th point (from 1) in `base`, 0-1.
+export function halton(index, base) {
+  let f = 1;
+  let r = 0;
+  let i = index;
+  while (i > 0) {
+    f /= base;
+    r += f * (i % base);
+    i = Math.floor(i / base);
+  }
+  return r;
+}
@@ -0,0 +1,185 @@
+// Spectral color model: sources are spectral power distributions, gels are transmission
+// curves, both sampled 380–780 nm at 5 nm. Products are integrated against the CIE 1931
+// 2° observer and converted to linear sRGB for the renderer.
+
+export const SAMPLE_START = 380;
+export const SAMPLE_STEP = 5;
+export const SAMPLE_COUNT = 81;
+export const WAVELENGTHS = Array.from({ length: SAMPLE_COUNT }, (_, i) => SAMPLE_START + i * SAMPLE_STEP);
+
+export const SOURCE_TYPES = [
+  { id: "tungsten", name: "Tungsten / Planckian (Kelvin)" },
+  { id: "led-white", name: "White LED, phosphor (Kelvin)" },
+  { id: "led-rgb", name: "RGB LED emitters (Light Color)" }
+];
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+function piecewiseGaussian(x, mu, sigmaLow, sigmaHigh) {
+  const t = (x - mu) / (x < mu ? sigmaLow : sigmaHigh);
+  return Math.exp(-0.5 * t * t);
+}
+
+function gaussian(x, center, fwhm) {
+  const sigma = fwhm / 2.3548;
+  const t = (x - center) / sigma;
+  return Math.exp(-0.5 * t * t);
+}
+
+function logistic(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+// Multi-lobe fit of the CIE 1931 2° color matching functions (Wyman, Sloan & Shirley 2013).
+const CMF = WAVELENGTHS.map((l) => [
+  1.056 * piecewiseGaussian(l, 599.8, 37.9, 31.0) +
+    0.362 * piecewiseGaussian(l, 442.0, 16.0, 26.7) -
+    0.065 * piecewiseGaussian(l, 501.1, 20.4, 26.2),
+  0.821 * piecewiseGaussian(l, 568.8, 46.9, 40.5) + 0.286 * piecewiseGaussian(l, 530.9, 16.3, 31.1),
+  1.217 * piecewiseGaussian(l, 437.0, 11.8, 36.0) + 0.681 * piecewiseGaussian(l, 459.0, 26.0, 13.8)
+]);
+
+export function sampleSpectrum(fn) {
+  return WAVELENGTHS.map((l) => fn(l));
+}
+
+export function flatSpectrum(value = 1) {
+  return new Array(SAMPLE_COUNT).fill(value);
+}
+
+export function multiplySpectra(a, b) {
+  return a.map((v, i) => v * b[i]);
+}
+
+export function spectrumToXyz(spd) {
+  let x = 0;
+  let y = 0;
+  let z = 0;
+  for (let i = 0; i < SAMPLE_COUNT; i += 1) {
+    x += spd[i] * CMF[i][0];
+    y += spd[i] * CMF[i][1];
+    z += spd[i] * CMF[i][2];
+  }
+  return [x, y, z];
+}
+
+export function xyzToLinearRgb([x, y, z]) {
+  return [
+    3.2406 * x - 1.5372 * y - 0.4986 * z,
+    -0.9689 * x + 1.8758 * y + 0.0415 * z,
+    0.0557 * x - 0.204 * y + 1.057 * z
+  ];
+}
+
+function srgbToLinear(c) {
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+function linearToSrgb(c) {
+  return c <= 0.0031308 ? c * 12.92 : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+}
+
+export function hexToLinearRgb(hex) {
+  const clean = /^#([a-fA-F0-9]{6})$/.test(hex || "") ? hex.slice(1) : "ffffff";
+  const n = parseInt(clean, 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map((v) => srgbToLinear(v / 255));
+}
+
+// Swatch color for the UI: hue and saturation only, scaled so the brightest channel is full.
+export function linearRgbToDisplayHex(rgb) {
+  const clipped = rgb.map((v) => Math.max(0, v));
+  const peak = Math.max(...clipped, 1e-9);
+  const c = (v) => Math.round(clamp(linearToSrgb(v / peak), 0, 1) * 255).toString(16).padStart(2, "0");
+  return `#${c(clipped[0])}${c(clipped[1])}${c(clipped[2])}`;
+}
+
+export function planckSpectrum(kelvin) {
+  const t = clamp(kelvin, 1000, 40000);
+  const c2 = 1.4388e-2;
+  const raw = sampleSpectrum((l) => {
+    const m = l * 1e-9;
+    return 1 / (Math.pow(m, 5) * (Math.exp(c2 / (m * t)) - 1));
+  });
+  const peak = Math.max(...raw);
+  return raw.map((v) => v / peak);
+}
+
+// Blue pump plus a broad phosphor hump. Warmer units carry more, redder phosphor. The blend
+// lands within a few hundred kelvin of the requested CCT; it is not fitted to a real product.
+export function whiteLedSpectrum(kelvin) {
+  const t = clamp((kelvin - 2700) / (6500 - 2700), 0, 1);
+  const phosphorPeak = 608 - 46 * t;
+  const pump = 0.42 + 1.7 * t;
+  return sampleSpectrum((l) => pump * gaussian(l, 450, 20) + gaussian(l, phosphorPeak, 140));
+}
+
+const RGB_EMITTERS = [
+  sampleSpectrum((l) => gaussian(l, 625, 20)),
+  sampleSpectrum((l) => gaussian(l, 525, 35)),
+  sampleSpectrum((l) => gaussian(l, 460, 22))
+];
+
+function invert3(m) {
+  const [a, b, c] = m[0];
+  const [d, e, f] = m[1];
+  const [g, h, i] = m[2];
+  const det = a * (e * i - f * h) - b * (d * i - f * g) + c * (d * h - e * g);
+  if (Math.abs(det) < 1e-12) return null;
+  return [
+    [(e * i - f * h) / det, (c * h - b * i) / det, (b * f - c * e) / det],
+    [(f * g - d * i) / det, (a * i - c * g) / det, (c * d - a * f) / det],
+    [(d * h - e * g) / det, (b * g - a * h) / det, (a * e - b * d) / det]
+  ];
+}
+
+// Columns are each emitter's own linear RGB, so solving gives the drive levels for a target color.
+const EMITTER_RGB = RGB_EMITTERS.map((spd) => xyzToLinearRgb(spectrumToXyz(spd)));
+const EMITTER_SOLVE = invert3([0, 1, 2].map((row) => EMITTER_RGB.map((col) => col[row])));
+
+export function rgbLedSpectrum(linearRgb) {
+  const weights = EMITTER_SOLVE
+    ? EMITTER_SOLVE.map((row) => Math.max(0, row[0] * linearRgb[0] + row[1] * linearRgb[1] + row[2] * linearRgb[2]))
+    : linearRgb;
+  return WAVELENGTHS.map((_, i) => weights[0] * RGB_EMITTERS[0][i] + weights[1] * RGB_EMITTERS[1][i] + weights[2] * RGB_EMITTERS[2][i]);
+}
+
+export function sourceSpectrum(source) {
+  if (source.sourceType === "led-white") return whiteLedSpectrum(source.kelvin);
+  if (source.sourceType === "led-rgb") return rgbLedSpectrum(hexToLinearRgb(source.lightColorHex));
+  return planckSpectrum(source.kelvin);
+}
+
+// Smooth blue / green / red bands that sum to one, so a white hex maps to a clear filter.
+const HEX_BASIS = (() => {
+  const blue = sampleSpectrum((l) => 1 - logistic((l - 490) / 12));
+  const red = sampleSpectrum((l) => logistic((l - 585) / 12));
+  const green = blue.map((b, i) => Math.max(0, 1 - b - red[i]));
+  return [red, green, blue];
+})();
+
+export function transmissionFromHex(hex) {
+  const rgb = hexToLinearRgb(hex);
+  return WAVELENGTHS.map((_, i) => rgb[0] * HEX_BASIS[0][i] + rgb[1] * HEX_BASIS[1][i] + rgb[2] * HEX_BASIS[2][i]);
+}
+
+// Photopic (Y) transmission, the figure swatch books print next to each gel.
+export function luminousTransmission(spd, transmission) {
+  const open = spectrumToXyz(spd)[1];
+  if (open <= 0) return 0;
+  return spectrumToXyz(multiplySpectra(spd, transmission))[1] / open;
+}
+
+// Linear RGB scaled so the unfiltered source has luminance 1; the gel's loss shows up as a
+// lower luminance, so the lux control keeps meaning "open white at the focus point".
+export function filteredLightColor(spd, transmission) {
+  const open = spectrumToXyz(spd)[1];
+  const xyz = spectrumToXyz(multiplySpectra(spd, transmission)).map((v) => (open > 0 ? v / open : 0));
+  const linearRgb = xyzToLinearRgb(xyz).map((v) => Math.max(0, v));
+  return {
+    linearRgb,
+    displayHex: linearRgbToDisplayHex(linearRgb),
+    transmission: Math.max(0, xyz[1])
+  };
+}
@@ -0,0 +1,37 @@
+import { fromHalf } from "./exr.js";
+
+// The HQ display transform in script: three's ACES filmic curve and the sRGB encoding, as the
+// display pass applies them, for turning the linear HQ result into a 16-bit PNG at export.
+
+function rrtAndOdtFit(v) {
+  const a = v * (v + 0.0245786) - 0.000090537;
+  const b = v * (0.983729 * v + 0.432951) + 0.238081;
+  return a / b;
+}
+
+function srgbEncode(v) {
+  return v <= 0.0031308 ? v * 12.92 : 1.055 * v ** 0.41666 - 0.055;
+}
+
+function saturate(v) {
+  return Math.max(0, Math.min(1, v));
+}
+
+// `linear` holds three half-float bit patterns per pixel; returns three 0-65535 sRGB values per
+// pixel, tone-mapped at `exposure` (the renderer's toneMappingExposure).
+export function linearToDisplay16(linear, exposure) {
+  const out = new Uint16Array(linear.length);
+  const scale = exposure / 0.6;
+  for (let i = 0; i < linear.length; i += 3) {
+    const r = fromHalf(linear[i]) * scale;
+    const g = fromHalf(linear[i + 1]) * scale;
+    const b = fromHalf(linear[i + 2]) * scale;
+    const x = rrtAndOdtFit(0.59719 * r + 0.35458 * g + 0.04823 * b);
+    const y = rrtAndOdtFit(0.076 * r + 0.90834 * g + 0.01566 * b);
+    const z = rrtAndOdtFit(0.0284 * r + 0.13383 * g + 0.83777 * b);
+    out[i] = Math.round(srgbEncode(saturate(1.60475 * x - 0.53108 * y - 0.07367 * z)) * 65535);
+    out[i + 1] = Math.round(srgbEncode(saturate(-0.10208 * x + 1.10813 * y - 0.00605 * z)) * 65535);
+    out[i + 2] = Math.round(srgbEncode(saturate(-0.00327 * x - 0.07276 * y + 1.07602 * z)) * 65535);
+  }
+  return out;
+}
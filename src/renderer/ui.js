@@ -1,14 +1,80 @@
 import { LightingRenderer } from "./renderer.js";
-
-const GEL_PRESETS = [
-  { name: "None (Open White)", hex: "#ffffff" },
-  { name: "Rosco R02 Bastard Amber (Approx)", hex: "#ffd8a6" },
-  { name: "Rosco R27 Medium Red (Approx)", hex: "#ff5a5a" },
-  { name: "Rosco R80 Primary Blue (Approx)", hex: "#3f5dff" },
-  { name: "Lee 201 Full CTB (Approx)", hex: "#a4c7ff" },
-  { name: "Lee 103 Straw (Approx)", hex: "#ffd875" },
-  { name: "Lee 124 Dark Green (Approx)", hex: "#4f9f66" }
-];
+import {
+  MAX_FIXTURES,
+  SHUTTER_SIDES,
+  aimPanTilt,
+  barnDoorKey,
+  createFixture,
+  duplicateFixture,
+  fixtureGeometry,
+  migrateLegacyLightState,
+  normalizeFixtures,
+  shutterKeys
+} from "./fixtures.js";
+import {
+  BUILTIN_FIXTURE_PROFILES,
+  LENS_TYPES,
+  normalizeProfile,
+  normalizeUserProfiles,
+  profileAxialCandela,
+  profileLumensFromCandela,
+  profileSoftness,
+  softnessToBeamAngle
+} from "./fixtureProfiles.js";
+import {
+  buildGelLibrary,
+  combineGelStack,
+  filterGels,
+  findGel,
+  gelLabel,
+  isDiffusion,
+  parseGelCatalog,
+  parseHouseStock,
+  resolveGelLayer
+} from "./gels.js";
+import {
+  blendLookInto,
+  captureLook,
+  createCue,
+  cueDuration,
+  cueLabel,
+  fadeProgress,
+  normalizeCue,
+  normalizeCues
+} from "./cues.js";
+import { DIMMER_CURVES, dimmerResponse } from "./dimmer.js";
+import { FX_PARAMS, FX_WAVEFORMS, applyEffects, createEffect, effectLabel, effectsRunning, normalizeEffects } from "./effects.js";
+import { DMX_PROTOCOLS, applyDmxLevels, isPatched, readFixtureLevels } from "./dmx.js";
+import {
+  BUILTIN_PERSONALITIES,
+  findPersonality,
+  normalizePersonality,
+  parsePersonalityFile,
+  patchProblems,
+  patchRange
+} from "./personalities.js";
+import { parseGdtfDescription } from "./gdtf.js";
+import { buildMvrScene, mvrUuid, parseMvrScene } from "./mvr.js";
+import { BUILTIN_COLOR_WHEEL, cmyFilterHex } from "./movingLights.js";
+import { EMITTER_PRESETS, EMITTER_SHAPES, EMITTER_SIZE_LIMITS, emitterPresetId } from "./emitters.js";
+import { buildUsittAscii, parseUsittAscii, usittChannelMap, usittCues } from "./usitt.js";
+import { createWebmEncoder } from "./webm.js";
+import { encodeExr } from "./exr.js";
+import { encodePng16 } from "./png16.js";
+import { linearToDisplay16 } from "./tonemap.js";
+import { FLOAT_EXPORT_MAX_PIXELS, RESOLUTION_LIMITS, RESOLUTION_PRESETS, formatResolution, parseResolution } from "./resolutions.js";
+import { OSC_FIXTURE_PARAMS, OSC_STATE_PARAMS, oscArgumentValue, oscParamApplies, oscSnapshot, parseOscAddress } from "./osc.js";
+import { allCameraPresets, findCameraPreset, normalizeCameraPresets } from "./cameraPresets.js";
+import {
+  SOURCE_TYPES,
+  filteredLightColor,
+  flatSpectrum,
+  hexToLinearRgb,
+  linearRgbToDisplayHex,
+  multiplySpectra,
+  sourceSpectrum,
+  transmissionFromHex
+} from "./spectral.js";
 
 const defaults = {
   baseTexturePath: "",
@@ -17,15 +83,24 @@ const defaults = {
   metalnessMapPath: "",
   aoMapPath: "",
   displacementMapPath: "",
-  goboPath: "",
-  lightColorHex: "#ffd6a8",
-  kelvin: 3200,
-  lux: 900,
-  azimuth: 0,
-  elevation: 18,
-  beamAngle: 44,
-  softness: 0.35,
-  throwDistance: 3.2,
+  fixtures: [],
+  selectedFixtureId: "",
+  cues: [],
+  currentCueNumber: null,
+  effects: [],
+  fxFreezeEnabled: false,
+  fxFreezeTime: 0,
+  dmxInputEnabled: false,
+  dmxProtocol: "both",
+  personalityPaths: [],
+  oscEnabled: false,
+  oscPort: 8000,
+  oscReplyPort: 0,
+  cameraPresets: [],
+  gelCatalogPaths: [],
+  gelFavorites: [],
+  houseStockPath: "",
+  houseStockOnly: false,
   houseLightColorHex: "#fff1d6",
   houseLightIntensity: 0.08,
   hazeEnabled: true,
@@ -36,14 +111,19 @@ const defaults = {
   tilingScale: 1.0,
   displacementScale: 0.03,
   ambientFill: 2,
-  gelPresetName: "None (Open White)",
-  gelHex: "#ffffff",
-  goboScale: 1.0,
-  goboRotation: 0,
-  goboFocus: 0.5,
-  goboInvert: false,
   fpsCounterEnabled: false,
   renderResolution: "1920×1080",
+  hqMode: "samples",
+  hqSamples: 16,
+  hqNoiseTarget: 1,
+  // Seeds every random choice in an HQ render, so the same look renders the same image.
+  renderSeed: 1,
+  // "png" (8-bit sRGB), "png16" (16-bit sRGB) or "exr" (linear half float).
+  exportFormat: "png",
+  sequenceSource: "cue",
+  sequenceLength: 4,
+  sequenceFps: 25,
+  sequenceFormat: "png",
   camera: null
 };
 
@@ -57,6 +137,29 @@ let loadingDepth = 0;
 let loadingFailsafeTimer = null;
 let loadingPercentValue = 0;
 let goboUpdateTimer = null;
+let cuePlayback = null;
+let cueFollowTimer = null;
+let sequenceCanceled = false;
+// Why the last HQ result cannot export as a 16-bit PNG or EXR, when it can't.
+let stillFloatNote = "";
+// Latest merged levels per universe from the main process, and when each last arrived.
+const dmxUniverses = new Map();
+const dmxLastSeen = new Map();
+const dmxGoboOut = new Map();
+let dmxFrameQueued = false;
+let personalityFiles = [];
+let personalities = [...BUILTIN_PERSONALITIES];
+// Values last reported over OSC, so only changes go back out.
+let oscReported = new Map();
+let oscReportTimer = null;
+let oscSyncQueued = false;
+const oscMaskUpdates = new Set();
+const iesSummaries = new Map();
+let userProfiles = [];
+let gelCatalogs = [];
+let gelLibrary = buildGelLibrary([]);
+let houseStock = null;
+let selectedGelLayer = -1;
 
 function $(id) {
   return document.getElementById(id);
@@ -76,9 +179,12 @@ function setStatus(message, isError = false) {
   el.style.color = isError ? "var(--error)" : "var(--muted)";
 }
 
+// null shows an indeterminate bar, for renders that run until stopped.
 function setProgress(value) {
   const p = $("renderProgress");
-  if (p) p.value = value;
+  if (!p) return;
+  if (value === null) p.removeAttribute("value");
+  else p.value = value;
 }
 
 function updateFpsDisplay(fpsValue) {
@@ -207,27 +313,11 @@ function sanitizeHex(input, fallback = "#ffffff") {
   return ok ? text.toLowerCase() : fallback;
 }
 
-function hexToRgb(hex) {
-  const clean = sanitizeHex(hex).slice(1);
-  const n = parseInt(clean, 16);
-  return {
-    r: (n >> 16) & 255,
-    g: (n >> 8) & 255,
-    b: n & 255
-  };
-}
-
 function rgbToHex(r, g, b) {
   const c = (v) => v.toString(16).padStart(2, "0");
   return `#${c(clamp(Math.round(r), 0, 255))}${c(clamp(Math.round(g), 0, 255))}${c(clamp(Math.round(b), 0, 255))}`;
 }
 
-function multiplyHex(hexA, hexB) {
-  const a = hexToRgb(hexA);
-  const b = hexToRgb(hexB);
-  return rgbToHex((a.r * b.r) / 255, (a.g * b.g) / 255, (a.b * b.b) / 255);
-}
-
 function kelvinToHex(kelvin) {
   const k = clamp(kelvin, 1000, 40000) / 100;
   let r;
@@ -245,13 +335,152 @@ function kelvinToHex(kelvin) {
   return rgbToHex(r, g, b);
 }
 
-function finalLightHex() {
-  return multiplyHex(state.lightColorHex, state.gelHex);
+// The lamp as it runs at the current dimmer level. Kelvin sources take the lowered color
+// temperature; RGB LEDs emulate the warm-dim by tinting with the same kelvinToHex shift.
+function dimmedSource(fixture) {
+  const { kelvin } = dimmerResponse(fixture);
+  if (kelvin === fixture.kelvin) return fixture;
+  if (fixture.sourceType !== "led-rgb") return { ...fixture, kelvin };
+  const full = hexToLinearRgb(kelvinToHex(fixture.kelvin));
+  const dimmed = hexToLinearRgb(kelvinToHex(kelvin));
+  const tinted = hexToLinearRgb(fixture.lightColorHex).map((v, i) => (v * dimmed[i]) / Math.max(full[i], 1e-4));
+  return { ...fixture, lightColorHex: linearRgbToDisplayHex(tinted) };
+}
+
+function finalLight(fixture) {
+  let filter = combineGelStack(fixture.gels, gelLibrary).curve;
+  // CMY mixing and a color wheel slot sit in the beam like more filters.
+  [cmyFilterHex(fixture), fixture.colorWheelHex].forEach((hex) => {
+    if (hex) filter = multiplySpectra(filter, transmissionFromHex(hex));
+  });
+  return filteredLightColor(sourceSpectrum(dimmedSource(fixture)), filter);
+}
+
+// Kelvin-driven sources show their own spectrum's color; RGB LEDs take the hex directly.
+function sourceColorHex(fixture) {
+  if (fixture.sourceType === "led-rgb") return kelvinToHex(fixture.kelvin);
+  return filteredLightColor(sourceSpectrum(fixture), flatSpectrum(1)).displayHex;
+}
+
+function updateGelTransmission() {
+  const el = $("gelTransmission");
+  if (!el) return;
+  const fx = selectedFixture();
+  const stack = combineGelStack(fx.gels, gelLibrary);
+  // A single catalog gel keeps the transmission figure its swatch book prints.
+  const swatch = (stack.layers.length === 1 ? stack.layers[0].transmission : stack.transmission) * 100;
+  const own = finalLight(fx).transmission * 100;
+  const frost = stack.spread > 0 || stack.soften > 0
+    ? ` · Frost +${stack.spread.toFixed(0)}° spread, edge ${Math.round(stack.soften * 100)}% softer`
+    : "";
+  el.textContent = `Combined ${stack.hex} · ${swatch.toFixed(1)}% (3200 K, swatch book) · ${own.toFixed(1)}% with this source${frost}`;
+  $("gelCombinedSwatch").style.background = stack.layers.length ? stack.hex : "transparent";
+}
+
+function selectedFixture() {
+  return state.fixtures.find((f) => f.id === state.selectedFixtureId) || state.fixtures[0];
+}
+
+function findProfile(id) {
+  if (!id) return null;
+  return userProfiles.find((p) => p.id === id) || BUILTIN_FIXTURE_PROFILES.find((p) => p.id === id) || null;
+}
+
+function applyProfileToFixture(fixture, profile) {
+  fixture.profileId = profile.id;
+  fixture.profileCandela = profileAxialCandela(profile);
+  fixture.beamAngle = profile.fieldAngle;
+  fixture.softness = Number(profileSoftness(profile).toFixed(2));
+  fixture.kelvin = clamp(Math.round(profile.kelvin), 1800, 12000);
+  fixture.sourceType = profile.source || "tungsten";
+  fixture.lensType = profile.lens || "ellipsoidal";
+  fixture.ovalRatio = profile.ovalRatio || 1;
+  fixture.lightColorHex = sourceColorHex(fixture);
+  fixture.colorWheelHex = "";
+  // GDTF profiles bring their DMX modes; patch the fixture in the first one.
+  if (profile.personalities?.length) fixture.dmxPersonality = profile.personalities[0].id;
+  // Moving heads take their travel and zoom from it too.
+  const mode = profile.personalities?.[0];
+  if (mode?.channels.some((ch) => ch.attribute === "pan")) {
+    fixture.panRange = mode.panRange;
+    fixture.tiltRange = mode.tiltRange;
+    fixture.pan = clamp(fixture.pan, -mode.panRange / 2, mode.panRange / 2);
+    fixture.tilt = clamp(fixture.tilt, -mode.tiltRange / 2, mode.tiltRange / 2);
+  }
+  if (mode?.channels.some((ch) => ch.attribute === "zoom")) {
+    fixture.zoomMin = clamp(mode.zoomMin, 1, 100);
+    fixture.zoomMax = clamp(mode.zoomMax, fixture.zoomMin, 100);
+  }
+  if (fixture.placement === "moving") fixture.beamAngle = clamp(fixture.beamAngle, fixture.zoomMin, fixture.zoomMax);
+}
+
+// The fixture as the console currently drives it, or as stored when DMX input is off or silent.
+function liveFixture(fixture) {
+  if (!state.dmxInputEnabled) return fixture;
+  const personality = findPersonality(personalities, fixture.dmxPersonality);
+  const levels = readFixtureLevels(fixture, personality, dmxUniverses);
+  return levels ? applyDmxLevels(fixture, levels, personality) : fixture;
+}
+
+// Absolute DMX output of a fixture's intensity: its dimmer channel, or the start address when
+// the personality has none. 0 when unpatched.
+function intensityOutput(fixture) {
+  if (!(fixture.dmxAddress > 0)) return 0;
+  const personality = findPersonality(personalities, fixture.dmxPersonality);
+  const offset = personality ? personality.channels.findIndex((ch) => ch.attribute === "dimmer") : -1;
+  return (fixture.dmxUniverse - 1) * 512 + fixture.dmxAddress + Math.max(offset, 0);
+}
+
+// Effects ride on top of the console's levels at FX time `fxTime` (seconds).
+function lightingStateForRenderer(fxTime = engine.getEffectsTime()) {
+  return {
+    ...state,
+    fixtures: applyEffects(state.fixtures.map(liveFixture), state.effects, fxTime).map((f) => {
+      const light = finalLight(f);
+      const stack = combineGelStack(f.gels, gelLibrary);
+      return {
+        ...f,
+        finalLightColorHex: light.displayHex,
+        finalLightRgb: light.linearRgb,
+        dimmerOutput: dimmerResponse(f).output,
+        diffusionSpread: stack.spread,
+        diffusionSoften: stack.soften
+      };
+    })
+  };
+}
+
+function hasFramingGate(fixture) {
+  return fixture.lensType === "ellipsoidal";
 }
 
-function parseResolution(text) {
-  const [w, h] = text.split("×");
-  return { width: Number(w), height: Number(h) };
+function goboStateOf(fixture) {
+  // Frost in front of the gate blurs the gobo as well as the beam edge.
+  const frost = combineGelStack(fixture.gels, gelLibrary).soften;
+  const framing = hasFramingGate(fixture);
+  return {
+    scale: fixture.goboScale,
+    rotation: fixture.goboRotation,
+    spin: fixture.goboSpin,
+    focus: Math.min(8, fixture.goboFocus + frost * 6),
+    invert: fixture.goboInvert,
+    goboOut: Boolean(fixture.dmxGoboOut),
+    shutters: SHUTTER_SIDES.map((side) => {
+      const { depthKey, angleKey } = shutterKeys(side);
+      return { depth: framing ? fixture[depthKey] : 0, angle: fixture[angleKey] };
+    }),
+    iris: framing ? fixture.irisSize / 100 : 1,
+    barnDoors: SHUTTER_SIDES.map((side) => ({ depth: framing ? 0 : fixture[barnDoorKey(side)] })),
+    barnDoorRotation: fixture.barnDoorRotation,
+    // Softness sets where the 50% beam angle sits inside the field, as it does for profiles.
+    wash: framing
+      ? null
+      : {
+          beamRatio: softnessToBeamAngle(1, fixture.softness),
+          ovalRatio: fixture.lensType === "par" ? fixture.ovalRatio : 1,
+          ovalRotation: fixture.ovalRotation
+        }
+  };
 }
 
 function persistStateSoon() {
@@ -287,13 +516,23 @@ function updatePathLabels() {
   const ao = $("aoMapPathLabel");
   const disp = $("displacementMapPathLabel");
   const gobo = $("goboPathLabel");
+  const fixture = selectedFixture();
   if (base) base.textContent = state.baseTexturePath || "No base texture selected";
   if (normal) normal.textContent = state.normalMapPath || "No normal map selected";
   if (rough) rough.textContent = state.roughnessMapPath || "No roughness map selected";
   if (metal) metal.textContent = state.metalnessMapPath || "No metalness map selected";
   if (ao) ao.textContent = state.aoMapPath || "No AO map selected";
   if (disp) disp.textContent = state.displacementMapPath || "No displacement map selected";
-  if (gobo) gobo.textContent = state.goboPath || "No gobo selected";
+  if (gobo) gobo.textContent = fixture?.goboPath || "No gobo selected";
+  const wheel = $("goboWheelSlot");
+  if (wheel) wheel.value = Array.from(wheel.options).some((o) => o.value === fixture?.goboPath) ? fixture.goboPath : "";
+  const ies = $("iesPathLabel");
+  if (ies) {
+    const summary = fixture ? iesSummaries.get(fixture.id) : null;
+    ies.textContent = fixture?.iesPath
+      ? `${fixture.iesPath}${summary ? ` (beam ${summary.beamAngle.toFixed(1)}°, field ${summary.fieldAngle.toFixed(1)}°, ${Math.round(summary.axialCandela).toLocaleString()} cd)` : ""}`
+      : "No IES profile selected";
+  }
 }
 
 function applyTextureQualityToRenderer() {
@@ -304,11 +543,19 @@ function applyTextureQualityToRenderer() {
 
 function pushLightingToRenderer() {
   try {
-    engine.applyLightingState({
-      ...state,
-      finalLightColorHex: finalLightHex()
-    });
-    $("directionIndicator").textContent = `Direction: Az ${state.azimuth.toFixed(0)}°, El ${state.elevation.toFixed(0)}°, Beam ${state.beamAngle.toFixed(0)}°`;
+    engine.applyLightingState(lightingStateForRenderer());
+    const fx = selectedFixture();
+    const geometry = fixtureGeometry(fx);
+    $("directionIndicator").textContent = `${fx.name}: Az ${geometry.azimuth.toFixed(0)}°, El ${geometry.elevation.toFixed(0)}°, Throw ${geometry.throwDistance.toFixed(1)} m, Beam ${fx.beamAngle.toFixed(0)}°${geometry.onWall ? "" : " · beam misses the wall"}`;
+    // Profiles and IES output drive lux from geometry; show what the wall actually receives.
+    if ($("luxNumber").disabled) {
+      const lux = engine.getEffectiveLux(fx.id);
+      if (lux !== null) {
+        $("luxSlider").value = String(Math.round(lux));
+        $("luxNumber").value = String(Math.round(lux));
+      }
+    }
+    reportOscChangesSoon();
   } catch (error) {
     setStatus(`Light update error: ${error?.message || "unknown"}`, true);
   }
@@ -344,16 +591,11 @@ async function loadNormalMap(pathValue, showLoader = true) {
   return showLoader ? withLoading("Loading normal map...", run) : run();
 }
 
-async function loadGobo(pathValue, showLoader = true) {
+async function loadGobo(fixture, pathValue, showLoader = true) {
   const run = async () => {
   try {
-    await engine.loadGoboImage(pathValue, {
-      scale: state.goboScale,
-      rotation: state.goboRotation,
-      focus: state.goboFocus,
-      invert: state.goboInvert
-    });
-    state.goboPath = pathValue;
+    await engine.loadGoboImage(fixture.id, pathValue, goboStateOf(liveFixture(fixture)));
+    fixture.goboPath = pathValue;
     updatePathLabels();
     setStatus("Gobo loaded.");
   } catch {
@@ -363,6 +605,21 @@ async function loadGobo(pathValue, showLoader = true) {
   return showLoader ? withLoading("Loading gobo...", run) : run();
 }
 
+async function loadIes(fixture, pathValue, showLoader = true) {
+  const run = async () => {
+  try {
+    const summary = await engine.loadIesProfile(fixture.id, pathValue);
+    fixture.iesPath = pathValue;
+    iesSummaries.set(fixture.id, summary);
+    updatePathLabels();
+    setStatus("IES profile loaded.");
+  } catch (error) {
+    setStatus(`Could not load that IES file: ${error?.message || "unknown error"}`, true);
+  }
+  };
+  return showLoader ? withLoading("Loading IES profile...", run) : run();
+}
+
 async function loadPbrMap(pathValue, kind, showLoader = true) {
   const run = async () => {
   try {
@@ -452,12 +709,8 @@ async function loadMaterialPackage(zipPath) {
 }
 
 function applyGoboControls(immediate = false) {
-  const run = () => engine.updateGoboTexture({
-    scale: state.goboScale,
-    rotation: state.goboRotation,
-    focus: state.goboFocus,
-    invert: state.goboInvert
-  });
+  const fixture = selectedFixture();
+  const run = () => engine.updateGoboTexture(fixture.id, goboStateOf(liveFixture(fixture)));
   if (goboUpdateTimer) {
     clearTimeout(goboUpdateTimer);
     goboUpdateTimer = null;
@@ -473,14 +726,8 @@ function applyGoboControls(immediate = false) {
 }
 
 function resetLightStateToDefaults() {
-  state.lightColorHex = defaults.lightColorHex;
-  state.kelvin = defaults.kelvin;
-  state.lux = defaults.lux;
-  state.azimuth = defaults.azimuth;
-  state.elevation = defaults.elevation;
-  state.beamAngle = defaults.beamAngle;
-  state.softness = defaults.softness;
-  state.throwDistance = defaults.throwDistance;
+  state.fixtures = normalizeFixtures([]);
+  state.selectedFixtureId = state.fixtures[0].id;
   state.houseLightColorHex = defaults.houseLightColorHex;
   state.houseLightIntensity = defaults.houseLightIntensity;
   state.hazeEnabled = defaults.hazeEnabled;
@@ -490,277 +737,2107 @@ function resetLightStateToDefaults() {
   state.tilingScale = defaults.tilingScale;
   state.displacementScale = defaults.displacementScale;
   state.ambientFill = defaults.ambientFill;
-  state.gelPresetName = defaults.gelPresetName;
-  state.gelHex = defaults.gelHex;
-  state.goboScale = defaults.goboScale;
-  state.goboRotation = defaults.goboRotation;
-  state.goboFocus = defaults.goboFocus;
-  state.goboInvert = defaults.goboInvert;
+  state.effects = [];
 }
 
-function syncUiFromState() {
-  $("lightColorHex").value = state.lightColorHex;
-  $("lightColorPicker").value = state.lightColorHex;
-  $("kelvinSlider").value = String(state.kelvin);
-  $("kelvinNumber").value = String(state.kelvin);
-  $("luxSlider").value = String(state.lux);
-  $("luxNumber").value = String(state.lux);
-  $("azimuthSlider").value = String(state.azimuth);
-  $("azimuthNumber").value = String(state.azimuth);
-  $("elevationSlider").value = String(state.elevation);
-  $("elevationNumber").value = String(state.elevation);
-  $("beamAngleSlider").value = String(state.beamAngle);
-  $("beamAngleNumber").value = String(state.beamAngle);
-  $("softnessSlider").value = String(state.softness);
-  $("softnessNumber").value = String(state.softness);
-  $("distanceSlider").value = String(state.throwDistance);
-  $("distanceNumber").value = String(state.throwDistance);
-  $("houseLightColorHex").value = state.houseLightColorHex;
-  $("houseLightColorPicker").value = state.houseLightColorHex;
-  $("houseLightIntensitySlider").value = String(state.houseLightIntensity);
-  $("houseLightIntensityNumber").value = String(state.houseLightIntensity);
-  $("hazeEnabled").checked = Boolean(state.hazeEnabled);
-  $("hazeQuality").value = state.hazeQuality;
-  $("hazeDensitySlider").value = String(state.hazeDensity);
-  $("hazeDensityNumber").value = String(state.hazeDensity);
-  $("hazeHeightSlider").value = String(state.hazeHeight);
-  $("hazeHeightNumber").value = String(state.hazeHeight);
-  $("textureQuality").value = normalizeTextureQuality(state.textureQuality);
-  $("tilingScaleSlider").value = String(state.tilingScale);
-  $("tilingScaleNumber").value = String(state.tilingScale);
-  $("displacementScaleSlider").value = String(state.displacementScale);
-  $("displacementScaleNumber").value = String(state.displacementScale);
-  $("ambientSlider").value = String(state.ambientFill);
-  $("ambientNumber").value = String(state.ambientFill);
-  $("gelHex").value = state.gelHex;
-  $("gelColorPicker").value = state.gelHex;
-  $("goboScaleSlider").value = String(state.goboScale);
-  $("goboScaleNumber").value = String(state.goboScale);
-  $("goboRotationSlider").value = String(state.goboRotation);
-  $("goboRotationNumber").value = String(state.goboRotation);
-  $("goboFocusSlider").value = String(state.goboFocus);
-  $("goboFocusNumber").value = String(state.goboFocus);
-  $("goboInvert").checked = state.goboInvert;
-  if (typeof state.fpsCounterEnabled !== "boolean") state.fpsCounterEnabled = false;
-  $("renderResolution").value = state.renderResolution;
-  $("gelPreset").value = state.gelPresetName;
-  updatePathLabels();
-  applyFpsVisibility();
+function renderFixtureList() {
+  const select = $("fixtureList");
+  if (!select) return;
+  select.innerHTML = "";
+  state.fixtures.forEach((f) => {
+    const option = document.createElement("option");
+    const flags = [f.solo ? "S" : "", f.mute ? "M" : ""].filter(Boolean).join("");
+    option.value = f.id;
+    option.textContent = flags ? `${f.name} [${flags}]` : f.name;
+    select.appendChild(option);
+  });
+  select.value = selectedFixture().id;
+  const full = state.fixtures.length >= MAX_FIXTURES;
+  $("addFixture").disabled = full;
+  $("duplicateFixture").disabled = full;
+  $("deleteFixture").disabled = state.fixtures.length <= 1;
 }
 
-function initGelDropdown() {
-  const select = $("gelPreset");
+function renderCueList(selectNumber) {
+  const select = $("cueList");
+  if (!select) return;
+  const selected = selectNumber === undefined ? select.value : String(selectNumber);
   select.innerHTML = "";
-  GEL_PRESETS.forEach((g) => {
+  state.cues.forEach((cue) => {
     const option = document.createElement("option");
-    option.value = g.name;
-    option.textContent = `${g.name} (${g.hex})`;
+    option.value = String(cue.number);
+    option.textContent = `${cue.number === state.currentCueNumber ? "▶ " : ""}${cueLabel(cue)}`;
     select.appendChild(option);
   });
+  if (state.cues.some((c) => String(c.number) === selected)) select.value = selected;
+  $("updateCue").disabled = !select.value;
+  $("deleteCue").disabled = !select.value;
 }
 
-function initCollapsiblePanels() {
-  const panels = document.querySelectorAll(".sidebar > section.panel");
-  panels.forEach((panel) => {
-    const heading = panel.querySelector("h2");
-    if (!heading) return;
-    const title = (heading.textContent || "").trim();
+function renderEffectList(selectId) {
+  const select = $("fxList");
+  const selected = selectId === undefined ? select.value : selectId;
+  select.innerHTML = "";
+  state.effects.forEach((effect) => {
+    const option = document.createElement("option");
+    option.value = effect.id;
+    option.textContent = effectLabel(effect);
+    select.appendChild(option);
+  });
+  if (state.effects.some((e) => e.id === selected)) select.value = selected;
+  syncEffectFields();
+}
 
-    const header = document.createElement("button");
-    header.type = "button";
-    header.className = "panel-header";
-    header.textContent = title;
+function selectedEffect() {
+  return state.effects.find((e) => e.id === $("fxList").value) || null;
+}
 
-    const content = document.createElement("div");
-    content.className = "panel-content";
+function syncEffectFields() {
+  const effect = selectedEffect();
+  const fixtures = $("fxFixtures");
+  fixtures.innerHTML = "";
+  state.fixtures.forEach((f) => {
+    const option = document.createElement("option");
+    option.value = f.id;
+    option.textContent = f.name;
+    option.selected = Boolean(effect?.fixtureIds.includes(f.id));
+    fixtures.appendChild(option);
+  });
+  $("fxEnabled").checked = Boolean(effect?.enabled);
+  $("fxName").value = effect ? effect.name : "";
+  $("fxWaveform").value = effect ? effect.waveform : "sine";
+  $("fxParam").value = effect ? effect.param : "dimmer";
+  [
+    ["fxRate", "rate", 0.5],
+    ["fxSize", "size", 25],
+    ["fxOffset", "offset", 0],
+    ["fxPhase", "phaseSpread", 0]
+  ].forEach(([id, key, fallback]) => {
+    $(`${id}Slider`).value = String(effect ? effect[key] : fallback);
+    $(`${id}Number`).value = String(effect ? effect[key] : fallback);
+  });
+  document.querySelectorAll("#fxEnabled, #fxName, #fxWaveform, #fxParam, #fxFixtures, [id^='fxRate'], [id^='fxSize'], [id^='fxOffset'], [id^='fxPhase'], #deleteFx").forEach((el) => {
+    el.disabled = !effect;
+  });
+  $("fxFreezeEnabled").checked = state.fxFreezeEnabled;
+  $("fxFreezeTime").value = String(state.fxFreezeTime);
+  engine.setEffectsRunning(effectsRunning(state.effects, state.fixtures));
+}
 
-    let node = heading.nextSibling;
-    while (node) {
-      const next = node.nextSibling;
-      content.appendChild(node);
-      node = next;
-    }
+// Applies an edit to the selected effect; the renderer's animate loop takes it from there.
+function updateSelectedEffect(change) {
+  const effect = selectedEffect();
+  if (!effect) return;
+  Object.assign(effect, change);
+  state.effects = normalizeEffects(state.effects);
+  renderEffectList(effect.id);
+  pushLightingToRenderer();
+  persistStateSoon();
+}
 
-    panel.classList.add("collapsible");
-    panel.classList.remove("expanded");
-    heading.remove();
-    panel.prepend(content);
-    panel.prepend(header);
+function runEffectsFrame(timeSec) {
+  engine.applyLightingState(lightingStateForRenderer(timeSec));
+  $("fxClock").textContent = `FX time ${timeSec.toFixed(1)} s`;
+}
 
-    header.addEventListener("click", () => {
-      panel.classList.toggle("expanded");
-    });
+function initEffectDropdowns() {
+  $("fxWaveform").innerHTML = "";
+  FX_WAVEFORMS.forEach((w) => {
+    const option = document.createElement("option");
+    option.value = w.id;
+    option.textContent = w.name;
+    $("fxWaveform").appendChild(option);
+  });
+  $("fxParam").innerHTML = "";
+  Object.entries(FX_PARAMS).forEach(([id, spec]) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = spec.name;
+    $("fxParam").appendChild(option);
   });
 }
 
-function setBusyRenderUI(busy) {
-  isRendering = busy;
-  $("hqRenderButton").disabled = busy;
-  $("cancelRenderButton").disabled = !busy;
+function selectedCue() {
+  const value = $("cueList").value;
+  return state.cues.find((c) => String(c.number) === value) || null;
 }
 
-async function handleReloadTextures() {
-  startLoading("Reloading textures...", 0);
-  try {
-    const steps = [];
-    if (state.baseTexturePath) steps.push({ label: "base texture", run: () => loadBaseTexture(state.baseTexturePath, false) });
-    if (state.normalMapPath) steps.push({ label: "normal map", run: () => loadNormalMap(state.normalMapPath, false) });
-    if (state.roughnessMapPath) steps.push({ label: "roughness map", run: () => loadPbrMap(state.roughnessMapPath, "roughness", false) });
-    if (state.metalnessMapPath) steps.push({ label: "metalness map", run: () => loadPbrMap(state.metalnessMapPath, "metalness", false) });
-    if (state.aoMapPath) steps.push({ label: "AO map", run: () => loadPbrMap(state.aoMapPath, "ao", false) });
-    if (state.displacementMapPath) steps.push({ label: "displacement map", run: () => loadPbrMap(state.displacementMapPath, "displacement", false) });
+function cueFieldsFromUi() {
+  const follow = $("cueFollow").value.trim();
+  return {
+    number: $("cueNumber").value.trim() ? Number($("cueNumber").value) : undefined,
+    label: $("cueLabel").value.trim(),
+    upTime: Number($("cueUpTime").value),
+    downTime: Number($("cueDownTime").value),
+    delay: Number($("cueDelay").value),
+    follow: follow === "" ? null : Number(follow)
+  };
+}
 
-    const total = steps.length || 1;
-    let done = 0;
-    for (const step of steps) {
-      setLoadingOverlayStatus(`Reloading ${step.label}...`, (done / total) * 100);
-      await step.run();
-      done += 1;
-      setLoadingOverlayStatus(`Reloaded ${step.label}.`, (done / total) * 100);
-    }
-    engine.applyTiling(state.tilingScale);
-    engine.setDisplacementScale(state.displacementScale);
-    setLoadingOverlayStatus("Finalizing reload...", 100);
-    setStatus("Reloaded texture files from disk paths.");
-  } finally {
-    stopLoading();
-  }
+function syncCueFields(cue) {
+  $("cueNumber").value = cue ? String(cue.number) : "";
+  $("cueLabel").value = cue ? cue.label : "";
+  $("cueUpTime").value = String(cue ? cue.upTime : 3);
+  $("cueDownTime").value = String(cue ? cue.downTime : 3);
+  $("cueDelay").value = String(cue ? cue.delay : 0);
+  $("cueFollow").value = cue && cue.follow !== null ? String(cue.follow) : "";
 }
 
-async function bootstrap() {
-  startLoading("Launching Lighting Texture Previewer...", 0);
-  try {
-    setLoadingOverlayStatus("Preparing interface...", 4);
-    initLoadingLogo();
-    initGelDropdown();
-    initCollapsiblePanels();
+// Full-level output of a fixture in a look, used to decide whether it fades in the up or down time.
+function lookOutput(fixture, lookFixture) {
+  return lookFixture.lux * dimmerResponse({ ...fixture, ...lookFixture }).output;
+}
 
-    setLoadingOverlayStatus("Loading saved settings...", 10);
-    let loaded = { ok: true, state: null };
-    if (!START_WITH_BLANK_SLATE) {
-      try {
-        loaded = (await window.appApi?.loadState?.()) || loaded;
-      } catch {
-        loaded = { ok: true, state: null };
-      }
-    }
+function sameColorSettings(a, b) {
+  return a.sourceType === b.sourceType && a.lightColorHex === b.lightColorHex && JSON.stringify(a.gels) === JSON.stringify(b.gels);
+}
 
-    setLoadingOverlayStatus("Loading default assets...", 16);
-    try {
-      defaultsFromApp = (await window.appApi?.getDefaultAssets?.()) || {};
-    } catch {
-      defaultsFromApp = {};
-    }
-    const hasSavedState = Boolean(loaded && loaded.ok && loaded.state);
-    if (START_WITH_BLANK_SLATE) {
-      Object.assign(state, defaults);
-      state.baseTexturePath = "";
-      state.normalMapPath = "";
-      state.roughnessMapPath = "";
-      state.metalnessMapPath = "";
-      state.aoMapPath = "";
-      state.displacementMapPath = "";
-      state.goboPath = "";
-      state.hazeEnabled = false;
-      state.hazeDensity = 0;
-      state.camera = null;
-    } else {
-      if (loaded.ok && loaded.state) Object.assign(state, defaults, loaded.state);
-      if (!state.baseTexturePath && defaultsFromApp.baseTexturePath) state.baseTexturePath = defaultsFromApp.baseTexturePath;
-      // Only auto-apply sample normal map on first-ever run. If user cleared it, keep it cleared.
-      if (!hasSavedState && !state.normalMapPath && defaultsFromApp.normalMapPath) {
-        state.normalMapPath = defaultsFromApp.normalMapPath;
-      }
-    }
+function stopCuePlayback() {
+  if (cueFollowTimer) {
+    clearTimeout(cueFollowTimer);
+    cueFollowTimer = null;
+  }
+  if (!cuePlayback) return false;
+  cancelAnimationFrame(cuePlayback.rafId);
+  cuePlayback = null;
+  return true;
+}
 
-    setLoadingOverlayStatus("Initializing renderer...", 24);
-    engine = new LightingRenderer($("viewport"), {
-      onStatus: setStatus,
-      onProgress: setProgress,
-      onFps: updateFpsDisplay
-    });
-    applyTextureQualityToRenderer();
-    engine.applyCameraState(state.camera);
-    applyFpsVisibility();
+function finishCueFade() {
+  state.fixtures.forEach((f) => engine.updateGoboTexture(f.id, goboStateOf(liveFixture(f))));
+  syncUiFromState();
+  pushLightingToRenderer();
+  renderCueList();
+  persistStateSoon();
+}
 
-    setLoadingOverlayStatus("Syncing controls...", 32);
-    syncUiFromState();
-    if (state.baseTexturePath) {
-      setLoadingOverlayStatus("Loading base texture...", 40);
-      await loadBaseTexture(state.baseTexturePath, false);
-    } else {
-      engine.previewMaterial.uniforms.hasBaseMap.value = 0;
-      engine.previewMaterial.uniforms.baseMap.value = null;
-      engine.hqMaterial.map = null;
-      engine.hqMaterial.needsUpdate = true;
-      setLoadingOverlayStatus("Starting with blank wall...", 40);
-    }
+// Everything a fade from whatever is on the wall now to `cue` needs, so GO and a sequence
+// export step through the same fade.
+function planCueFade(cue) {
+  const from = captureLook(state);
+  const to = cue.look;
+  const fades = new Map();
+  to.fixtures.forEach((target) => {
+    const fixture = state.fixtures.find((f) => f.id === target.id);
+    const start = from.fixtures.find((f) => f.id === target.id);
+    if (!fixture || !start) return;
+    // Source and gel swaps cannot be interpolated as settings, so crossfade the rendered color.
+    const colors = sameColorSettings(start, target)
+      ? null
+      : [finalLight({ ...fixture, ...start }).linearRgb, finalLight({ ...fixture, ...target }).linearRgb];
+    fades.set(target.id, { fromOutput: lookOutput(fixture, start), toOutput: lookOutput(fixture, target), colors });
+  });
+  const progressFor = (elapsed) => (id) => {
+    const fade = id === null ? null : fades.get(id);
+    return fade ? fadeProgress(cue, elapsed, fade.fromOutput, fade.toOutput) : fadeProgress(cue, elapsed, 0, 0);
+  };
+  return { cue, from, to, fades, progressFor };
+}
 
-    const optionalMaps = [];
-    if (state.normalMapPath) optionalMaps.push({ label: "normal map", run: () => loadNormalMap(state.normalMapPath, false) });
-    if (state.roughnessMapPath) optionalMaps.push({ label: "roughness map", run: () => loadPbrMap(state.roughnessMapPath, "roughness", false) });
-    if (state.metalnessMapPath) optionalMaps.push({ label: "metalness map", run: () => loadPbrMap(state.metalnessMapPath, "metalness", false) });
-    if (state.aoMapPath) optionalMaps.push({ label: "AO map", run: () => loadPbrMap(state.aoMapPath, "ao", false) });
-    if (state.displacementMapPath) optionalMaps.push({ label: "displacement map", run: () => loadPbrMap(state.displacementMapPath, "displacement", false) });
+// Blends the fade into the state at `elapsed` seconds and returns the lighting to render.
+function cueFadeFrame(plan, elapsed, fxTime) {
+  const progress = plan.progressFor(elapsed);
+  blendLookInto(state, plan.from, plan.to, progress);
+  const rendered = lightingStateForRenderer(fxTime);
+  rendered.fixtures.forEach((f) => {
+    const colors = plan.fades.get(f.id)?.colors;
+    if (!colors) return;
+    const t = progress(f.id).other;
+    f.finalLightRgb = colors[0].map((v, i) => v + (colors[1][i] - v) * t);
+    f.finalLightColorHex = linearRgbToDisplayHex(f.finalLightRgb);
+  });
+  return rendered;
+}
 
-    const optionalTotal = optionalMaps.length || 1;
-    let optionalDone = 0;
-    const optionalStart = 46;
-    const optionalSpan = 34;
-    if (optionalMaps.length > 0) {
-      await Promise.all(
-        optionalMaps.map(async (task) => {
-          await task.run();
-          optionalDone += 1;
-          const pct = optionalStart + (optionalDone / optionalTotal) * optionalSpan;
-          setLoadingOverlayStatus(`Loading ${task.label} (${optionalDone}/${optionalTotal})...`, pct);
-        })
-      );
-    } else {
-      setLoadingOverlayStatus("No optional maps to load.", optionalStart + optionalSpan);
+// Fades to `cue`, one applyLightingState per frame.
+function runCue(cue) {
+  stopCuePlayback();
+  const plan = planCueFade(cue);
+  state.currentCueNumber = cue.number;
+  renderCueList();
+  const startedAt = performance.now();
+  const frame = (now) => {
+    const elapsed = (now - startedAt) / 1000;
+    engine.applyLightingState(cueFadeFrame(plan, elapsed));
+    const duration = cueDuration(cue);
+    if (elapsed < duration) {
+      $("cueStatus").textContent = `Q${cue.number} fading · ${Math.round((elapsed / Math.max(duration, 1e-6)) * 100)}%`;
+      cuePlayback.rafId = requestAnimationFrame(frame);
+      return;
     }
-
-    setLoadingOverlayStatus("Applying scene settings...", 84);
-    engine.applyTiling(state.tilingScale);
-    engine.setDisplacementScale(state.displacementScale);
-    if (state.goboPath) {
-      setLoadingOverlayStatus("Loading gobo...", 90);
-      await loadGobo(state.goboPath, false);
+    cuePlayback = null;
+    $("cueStatus").textContent = `Q${cue.number} complete`;
+    finishCueFade();
+    const next = state.cues.find((c) => c.number > cue.number);
+    if (cue.follow !== null && next) {
+      cueFollowTimer = setTimeout(() => {
+        cueFollowTimer = null;
+        runCue(next);
+      }, cue.follow * 1000);
     }
-    else engine.clearGobo();
-    setLoadingOverlayStatus("Applying lighting and haze...", 95);
-    pushLightingToRenderer();
-    persistStateSoon();
+  };
+  cuePlayback = { rafId: requestAnimationFrame(frame) };
+}
 
-  bindRangeAndNumber("kelvinSlider", "kelvinNumber", (v) => {
-    state.kelvin = clamp(v, 1800, 12000);
-    state.lightColorHex = kelvinToHex(state.kelvin);
-    $("lightColorHex").value = state.lightColorHex;
-    $("lightColorPicker").value = state.lightColorHex;
-    pushLightingToRenderer();
+function initDmxProtocolDropdown() {
+  const select = $("dmxProtocol");
+  select.innerHTML = "";
+  DMX_PROTOCOLS.forEach((p) => {
+    const option = document.createElement("option");
+    option.value = p.id;
+    option.textContent = p.name;
+    select.appendChild(option);
   });
-  bindRangeAndNumber("luxSlider", "luxNumber", (v) => {
-    state.lux = clamp(v, 1, 4000);
-    pushLightingToRenderer();
+}
+
+function patchNumberInput(field, value, min, max) {
+  const input = document.createElement("input");
+  input.type = "number";
+  input.min = String(min);
+  input.max = String(max);
+  input.step = "1";
+  input.value = String(value);
+  input.dataset.field = field;
+  return input;
+}
+
+function renderPatchTable() {
+  const body = $("patchTable");
+  if (!body) return;
+  const problems = patchProblems(state.fixtures, personalities);
+  body.innerHTML = "";
+  state.fixtures.forEach((f) => {
+    const row = document.createElement("tr");
+    row.dataset.id = f.id;
+    row.classList.toggle("selected", f.id === state.selectedFixtureId);
+    row.classList.toggle("conflict", problems.has(f.id));
+    row.title = problems.has(f.id) ? `${f.name}: ${problems.get(f.id).join(", ")}` : "";
+    const select = document.createElement("select");
+    select.dataset.field = "dmxPersonality";
+    const known = findPersonality(personalities, f.dmxPersonality);
+    [...personalities, ...(known ? [] : [{ id: f.dmxPersonality, name: `${f.dmxPersonality} (not loaded)` }])].forEach((p) => {
+      const option = document.createElement("option");
+      option.value = p.id;
+      option.textContent = p.name;
+      select.appendChild(option);
+    });
+    select.value = f.dmxPersonality;
+    const cells = [f.name, patchNumberInput("dmxUniverse", f.dmxUniverse, 1, 63999), patchNumberInput("dmxAddress", f.dmxAddress, 0, 512), select];
+    cells.forEach((content) => {
+      const cell = document.createElement("td");
+      if (typeof content === "string") cell.textContent = content;
+      else cell.appendChild(content);
+      row.appendChild(cell);
+    });
+    body.appendChild(row);
+  });
+  const patched = state.fixtures.filter(isPatched).length;
+  const issues = state.fixtures.filter((f) => problems.has(f.id)).map((f) => `${f.name} ${problems.get(f.id).join(", ")}`);
+  const info = $("patchInfo");
+  info.textContent = `${patched} of ${state.fixtures.length} fixtures patched${issues.length ? `. ${issues.join("; ")}.` : ""}`;
+  info.style.color = issues.length ? "var(--error)" : "";
+  const fx = selectedFixture();
+  const personality = findPersonality(personalities, fx.dmxPersonality);
+  if (!personality) {
+    $("personalityInfo").textContent = `${fx.name}: personality "${fx.dmxPersonality}" is not loaded.`;
+  } else if (!isPatched(fx)) {
+    $("personalityInfo").textContent = `${fx.name}: unpatched. ${personality.name} needs ${personality.channels.length} channels.`;
+  } else {
+    const { first, last } = patchRange(fx, personality);
+    $("personalityInfo").textContent = `${fx.name} ${fx.dmxUniverse}/${first}-${last}: ${personality.channels.map((ch, i) => `${first + i} ${ch.name}`).join(", ")}`;
+  }
+}
+
+// Later sources replace earlier ones of the same id: built-ins, then the DMX modes of imported
+// GDTF profiles, then personality files in the order they were loaded.
+function rebuildPersonalities() {
+  const merged = new Map();
+  [
+    BUILTIN_PERSONALITIES,
+    ...userProfiles.map((p) => (p.personalities || []).map(normalizePersonality).filter(Boolean)),
+    ...personalityFiles.map((f) => f.personalities)
+  ].forEach((list) => list.forEach((p) => merged.set(p.id, p)));
+  personalities = Array.from(merged.values());
+}
+
+function fillWheelSelect(select, wheels, emptyLabel, slotValue) {
+  select.innerHTML = "";
+  const open = document.createElement("option");
+  open.value = "";
+  open.textContent = wheels.length ? emptyLabel : "No GDTF wheels on this fixture";
+  select.appendChild(open);
+  wheels.forEach((wheel) => {
+    const group = document.createElement("optgroup");
+    group.label = wheel.name;
+    wheel.slots.forEach((slot) => {
+      const option = document.createElement("option");
+      option.value = slotValue(slot);
+      option.textContent = slot.name;
+      group.appendChild(option);
+    });
+    select.appendChild(group);
+  });
+  select.disabled = !wheels.length;
+}
+
+function renderWheelSelects(fx) {
+  const gdtf = findProfile(fx.profileId)?.gdtf;
+  const gobo = $("goboWheelSlot");
+  const color = $("colorWheelSlot");
+  // Moving heads without a GDTF wheel of their own get a generic one.
+  const colorWheels = gdtf?.colorWheels?.length ? gdtf.colorWheels : fx.placement === "moving" ? [BUILTIN_COLOR_WHEEL] : [];
+  fillWheelSelect(gobo, gdtf?.goboWheels || [], "Not from a wheel", (slot) => slot.path);
+  fillWheelSelect(color, colorWheels, "Open", (slot) => slot.hex);
+  gobo.value = Array.from(gobo.options).some((o) => o.value === fx.goboPath) ? fx.goboPath : "";
+  color.value = Array.from(color.options).some((o) => o.value === fx.colorWheelHex) ? fx.colorWheelHex : "";
+}
+
+async function loadPersonalityFile(pathValue) {
+  try {
+    const file = parsePersonalityFile(await readTextFile(pathValue));
+    file.path = pathValue;
+    personalityFiles = [...personalityFiles.filter((f) => f.path !== pathValue), file];
+    rebuildPersonalities();
+    if (!state.personalityPaths.includes(pathValue)) state.personalityPaths = [...state.personalityPaths, pathValue];
+    const skipped = file.skipped ? ` (${file.skipped} skipped)` : "";
+    setStatus(`Loaded ${file.personalities.length} personalities from ${pathValue.split(/[\\/]/).pop()}${skipped}.`);
+  } catch (error) {
+    setStatus(`Could not load personalities: ${error?.message || "unknown error"}`, true);
+  }
+}
+
+function updateDmxStatus() {
+  const el = $("dmxStatus");
+  if (!el) return;
+  if (!state.dmxInputEnabled) {
+    el.textContent = "DMX input is off";
+    return;
+  }
+  const now = Date.now();
+  const active = Array.from(dmxLastSeen.entries())
+    .filter(([, seen]) => now - seen.time < 3000)
+    .sort((a, b) => a[0] - b[0]);
+  const protocol = DMX_PROTOCOLS.find((p) => p.id === state.dmxProtocol)?.name || "";
+  el.textContent = active.length
+    ? `Receiving universe ${active.map(([u, seen]) => `${u}${seen.sources > 1 ? ` (${seen.sources} sources)` : ""}`).join(", ")}`
+    : `Listening for ${protocol}, no data yet`;
+}
+
+function applyDmxFrame() {
+  if (!state.dmxInputEnabled) return;
+  state.fixtures.forEach((f) => {
+    const live = liveFixture(f);
+    const out = Boolean(live.dmxGoboOut);
+    if (Boolean(dmxGoboOut.get(f.id)) === out) return;
+    dmxGoboOut.set(f.id, out);
+    engine.updateGoboTexture(f.id, goboStateOf(live));
+  });
+  pushLightingToRenderer();
+}
+
+function handleDmxFrame(frame) {
+  if (!state.dmxInputEnabled) return;
+  dmxUniverses.set(frame.universe, frame.values);
+  dmxLastSeen.set(frame.universe, { time: Date.now(), sources: frame.sources });
+  // Several universes can land in one frame; render once for all of them.
+  if (dmxFrameQueued) return;
+  dmxFrameQueued = true;
+  requestAnimationFrame(() => {
+    dmxFrameQueued = false;
+    applyDmxFrame();
+  });
+}
+
+function releaseDmx() {
+  dmxUniverses.clear();
+  dmxLastSeen.clear();
+  state.fixtures.forEach((f) => {
+    if (dmxGoboOut.get(f.id)) engine.updateGoboTexture(f.id, goboStateOf(f));
+  });
+  dmxGoboOut.clear();
+}
+
+async function startDmxInput() {
+  const patchedUniverses = Array.from(new Set(state.fixtures.filter(isPatched).map((f) => f.dmxUniverse)));
+  const result = await window.appApi.startDmxInput({ protocol: state.dmxProtocol, patchedUniverses });
+  if (!result?.ok) {
+    state.dmxInputEnabled = false;
+    $("dmxInputEnabled").checked = false;
+    setStatus(result?.message || "Could not open the DMX input.", true);
+  }
+  updateDmxStatus();
+  return Boolean(result?.ok);
+}
+
+async function stopDmxInput() {
+  await window.appApi.stopDmxInput();
+  releaseDmx();
+  updateDmxStatus();
+  pushLightingToRenderer();
+}
+
+// Carries the current hang position across so switching modes never moves the fixture.
+function setPlacement(fx, mode) {
+  const geometry = fixtureGeometry(fx);
+  // Leaving a moving head keeps the spot where its beam landed.
+  fx.focusX = Number(geometry.focus.x.toFixed(2));
+  fx.focusY = Number(geometry.focus.y.toFixed(2));
+  if (mode === "xyz" || mode === "moving") {
+    fx.positionX = Number(geometry.position.x.toFixed(2));
+    fx.positionY = Number(geometry.position.y.toFixed(2));
+    fx.positionZ = Number(geometry.position.z.toFixed(2));
+    if (mode === "moving") {
+      const aim = aimPanTilt(geometry.position, geometry.focus);
+      fx.pan = clamp(Number(aim.pan.toFixed(1)), -fx.panRange / 2, fx.panRange / 2);
+      fx.tilt = clamp(Number(aim.tilt.toFixed(1)), -fx.tiltRange / 2, fx.tiltRange / 2);
+      fx.beamAngle = clamp(fx.beamAngle, fx.zoomMin, fx.zoomMax);
+    }
+    fx.placement = mode;
+  } else {
+    fx.azimuth = clamp(Math.round(geometry.azimuth), -80, 80);
+    fx.elevation = clamp(Math.round(geometry.elevation), -30, 70);
+    fx.throwDistance = clamp(Number(geometry.throwDistance.toFixed(1)), 1.2, 8);
+    fx.placement = "orbit";
+  }
+}
+
+function renderCameraPresets(selectId) {
+  const select = $("cameraPreset");
+  const selected = selectId === undefined ? select.value : selectId;
+  select.innerHTML = "";
+  allCameraPresets(state.cameraPresets).forEach((preset, i) => {
+    const option = document.createElement("option");
+    option.value = preset.id;
+    option.textContent = `${i + 1}. ${preset.name}`;
+    select.appendChild(option);
+  });
+  if (selected && Array.from(select.options).some((o) => o.value === selected)) select.value = selected;
+  $("deleteCameraPreset").disabled = !select.value.startsWith("user-");
+}
+
+function recallCameraPreset(preset) {
+  engine.applyCameraState({ position: preset.position, target: preset.target });
+  renderCameraPresets(preset.id);
+  setStatus(`Camera: ${preset.name}.`);
+  persistStateSoon();
+}
+
+function reportOscChangesSoon() {
+  if (!state.oscEnabled || oscReportTimer) return;
+  oscReportTimer = setTimeout(() => {
+    oscReportTimer = null;
+    const messages = [];
+    oscSnapshot(state).forEach((value, address) => {
+      if (oscReported.get(address) === value) return;
+      oscReported.set(address, value);
+      messages.push({ address, args: [value] });
+    });
+    if (messages.length) window.appApi.sendOsc(messages);
+  }, 50);
+}
+
+// One UI sync and mask rebuild per frame however fast a fader sends.
+function queueOscSync() {
+  if (oscSyncQueued) return;
+  oscSyncQueued = true;
+  requestAnimationFrame(() => {
+    oscSyncQueued = false;
+    oscMaskUpdates.forEach((id) => {
+      const fx = state.fixtures.find((f) => f.id === id);
+      if (fx) engine.updateGoboTexture(fx.id, goboStateOf(liveFixture(fx)));
+    });
+    oscMaskUpdates.clear();
+    syncUiFromState();
+    pushLightingToRenderer();
+    persistStateSoon();
+  });
+}
+
+function runOscCommand(name, args) {
+  const arg = args[0];
+  if (name === "render/hq") {
+    if (!isRendering) $("hqRenderButton").click();
+  } else if (name === "render/cancel") {
+    $("cancelRenderButton").click();
+  } else if (name === "camera/preset") {
+    const preset = arg === undefined || arg === null ? null : findCameraPreset(state.cameraPresets, arg);
+    if (preset) recallCameraPreset(preset);
+    else setStatus(`OSC: no camera preset "${arg ?? ""}".`, true);
+  } else if (name === "cue/go") {
+    $("cueGo").click();
+  } else if (name === "cue/back") {
+    $("cueBack").click();
+  } else if (name === "cue/stop") {
+    $("cueStop").click();
+  } else if (name === "cue/fire") {
+    const cue = state.cues.find((c) => c.number === Number(arg));
+    if (cue) runCue(cue);
+    else setStatus(`OSC: no cue ${arg ?? ""}.`, true);
+  } else if (name === "select") {
+    const fx = state.fixtures[Math.round(Number(arg)) - 1];
+    if (!fx) return;
+    state.selectedFixtureId = fx.id;
+    queueOscSync();
+  }
+}
+
+function handleOscMessage(message) {
+  if (!state.oscEnabled) return;
+  const { address, args } = message;
+  const route = parseOscAddress(address);
+  $("oscStatus").textContent = `${route ? "Last" : "Unknown address"}: ${address} ${args.join(" ")} from ${message.from}`;
+  if (!route) return;
+  if (route.kind === "command") {
+    runOscCommand(route.name, args);
+    return;
+  }
+  const spec = route.kind === "state" ? OSC_STATE_PARAMS[route.param] : OSC_FIXTURE_PARAMS[route.param];
+  const target = route.kind === "state" ? state : route.index === null ? selectedFixture() : state.fixtures[route.index];
+  if (!target) return;
+  const value = oscArgumentValue(spec, args);
+  if (value === undefined) {
+    // A query: answer on the address that was asked.
+    const index = state.fixtures.indexOf(target);
+    const current = route.kind === "state" ? oscSnapshot(state).get(`/${route.param}`) : oscSnapshot(state).get(`/light/${index + 1}/${route.param}`);
+    if (current === undefined) {
+      // Only a moving head aimed off the wall leaves a parameter out: it has no focus point.
+      window.appApi.sendOsc([{ address: "/error", args: [`${address}: ${target.name}'s beam misses the wall`] }]);
+      return;
+    }
+    window.appApi.sendOsc([{ address, args: [current] }]);
+    return;
+  }
+  if (route.kind === "fixture") {
+    // A remote cue changes one parameter; it never re-rigs the fixture.
+    if (!oscParamApplies(spec, target)) {
+      const error = `${address} does not apply to ${target.name} (${target.placement} placement)`;
+      $("oscStatus").textContent = `Ignored: ${error}`;
+      window.appApi.sendOsc([{ address: "/error", args: [error] }]);
+      return;
+    }
+    if (spec.key === "lightColorHex") target.sourceType = "led-rgb";
+    target[spec.key] = value;
+    if (spec.key === "pan") target.pan = clamp(value, -target.panRange / 2, target.panRange / 2);
+    if (spec.key === "tilt") target.tilt = clamp(value, -target.tiltRange / 2, target.tiltRange / 2);
+    if (spec.key === "kelvin") target.lightColorHex = sourceColorHex(target);
+    if (spec.mask) oscMaskUpdates.add(target.id);
+  } else {
+    target[spec.key] = value;
+  }
+  queueOscSync();
+}
+
+async function startOscServer() {
+  const result = await window.appApi.startOscServer({ port: state.oscPort, replyPort: state.oscReplyPort });
+  if (!result?.ok) {
+    state.oscEnabled = false;
+    $("oscEnabled").checked = false;
+    $("oscStatus").textContent = "OSC server is off";
+    setStatus(result?.message || "Could not start the OSC server.", true);
+    return false;
+  }
+  // Clients hear about changes from here on, not the whole state at once.
+  oscReported = oscSnapshot(state);
+  $("oscStatus").textContent = `Listening on UDP ${state.oscPort}`;
+  return true;
+}
+
+async function stopOscServer() {
+  await window.appApi.stopOscServer();
+  $("oscStatus").textContent = "OSC server is off";
+}
+
+// Free placement shows the az/el/throw it implies; orbit placement shows the hang position it implies.
+// Moving heads hang freely and show the focus point their pan/tilt lands on.
+function syncPlacementUi(fx) {
+  const moving = fx.placement === "moving";
+  const free = fx.placement === "xyz" || moving;
+  const geometry = fixtureGeometry(fx);
+  const shown = free
+    ? {
+      azimuth: Math.round(geometry.azimuth),
+      elevation: Math.round(geometry.elevation),
+      throwDistance: Number(geometry.throwDistance.toFixed(1))
+    }
+    : fx;
+  $("placementMode").value = fx.placement;
+  $("focusXNumber").value = String(moving ? Number(geometry.focus.x.toFixed(2)) : fx.focusX);
+  $("focusYNumber").value = String(moving ? Number(geometry.focus.y.toFixed(2)) : fx.focusY);
+  $("positionXNumber").value = String(free ? fx.positionX : Number(geometry.position.x.toFixed(2)));
+  $("positionYNumber").value = String(free ? fx.positionY : Number(geometry.position.y.toFixed(2)));
+  $("positionZNumber").value = String(free ? fx.positionZ : Number(geometry.position.z.toFixed(2)));
+  $("azimuthSlider").value = String(shown.azimuth);
+  $("azimuthNumber").value = String(shown.azimuth);
+  $("elevationSlider").value = String(shown.elevation);
+  $("elevationNumber").value = String(shown.elevation);
+  $("distanceSlider").value = String(shown.throwDistance);
+  $("distanceNumber").value = String(shown.throwDistance);
+  ["positionXNumber", "positionYNumber", "positionZNumber"].forEach((id) => {
+    $(id).disabled = !free;
+  });
+  ["azimuthSlider", "azimuthNumber", "elevationSlider", "elevationNumber", "distanceSlider", "distanceNumber"].forEach((id) => {
+    $(id).disabled = free;
+  });
+  ["focusXNumber", "focusYNumber"].forEach((id) => {
+    $(id).disabled = moving;
+  });
+  [
+    ["pan", fx.panRange],
+    ["tilt", fx.tiltRange]
+  ].forEach(([key, range]) => {
+    [`${key}Slider`, `${key}Number`].forEach((id) => {
+      $(id).min = String(-range / 2);
+      $(id).max = String(range / 2);
+      $(id).value = String(fx[key]);
+      $(id).disabled = !moving;
+    });
+  });
+  $("panRangeNumber").value = String(fx.panRange);
+  $("tiltRangeNumber").value = String(fx.tiltRange);
+  $("zoomMinNumber").value = String(fx.zoomMin);
+  $("zoomMaxNumber").value = String(fx.zoomMax);
+  ["panRangeNumber", "tiltRangeNumber", "zoomMinNumber", "zoomMaxNumber"].forEach((id) => {
+    $(id).disabled = !moving;
+  });
+}
+
+function syncFixtureUi() {
+  const fx = selectedFixture();
+  renderFixtureList();
+  syncEffectFields();
+  $("fixtureName").value = fx.name;
+  $("fixtureSolo").checked = fx.solo;
+  $("fixtureMute").checked = fx.mute;
+  $("sourceType").value = fx.sourceType;
+  $("lightColorHex").value = fx.lightColorHex;
+  $("lightColorPicker").value = fx.lightColorHex;
+  $("kelvinSlider").value = String(fx.kelvin);
+  $("kelvinNumber").value = String(fx.kelvin);
+  $("luxSlider").value = String(fx.lux);
+  $("luxNumber").value = String(fx.lux);
+  $("dimmerLevelSlider").value = String(fx.dimmerLevel);
+  $("dimmerLevelNumber").value = String(fx.dimmerLevel);
+  $("dimmerCurve").value = fx.dimmerCurve;
+  updateDimmerInfo();
+  $("beamAngleSlider").value = String(fx.beamAngle);
+  $("beamAngleNumber").value = String(fx.beamAngle);
+  $("softnessSlider").value = String(fx.softness);
+  $("softnessNumber").value = String(fx.softness);
+  $("lensType").value = fx.lensType;
+  $("ovalRatioSlider").value = String(fx.ovalRatio);
+  $("ovalRatioNumber").value = String(fx.ovalRatio);
+  $("ovalRotationSlider").value = String(fx.ovalRotation);
+  $("ovalRotationNumber").value = String(fx.ovalRotation);
+  $("emitterPreset").value = emitterPresetId(fx);
+  $("emitterShape").value = fx.emitterShape;
+  $("emitterWidth").value = String(fx.emitterWidth);
+  $("emitterHeight").value = String(fx.emitterHeight);
+  $("emitterHeight").disabled = fx.emitterShape !== "rect";
+  syncPlacementUi(fx);
+  selectedGelLayer = Math.min(selectedGelLayer, fx.gels.length - 1);
+  renderGelList();
+  renderGelStack();
+  $("goboScaleSlider").value = String(fx.goboScale);
+  $("goboScaleNumber").value = String(fx.goboScale);
+  $("goboRotationSlider").value = String(fx.goboRotation);
+  $("goboRotationNumber").value = String(fx.goboRotation);
+  $("goboSpinSlider").value = String(fx.goboSpin);
+  $("goboSpinNumber").value = String(fx.goboSpin);
+  $("goboFocusSlider").value = String(fx.goboFocus);
+  $("goboFocusNumber").value = String(fx.goboFocus);
+  $("goboInvert").checked = fx.goboInvert;
+  renderWheelSelects(fx);
+  ["cmyCyan", "cmyMagenta", "cmyYellow"].forEach((key) => {
+    $(`${key}Number`).value = String(fx[key]);
+  });
+  const framing = hasFramingGate(fx);
+  SHUTTER_SIDES.forEach((side) => {
+    const { depthKey, angleKey } = shutterKeys(side);
+    $(`${depthKey}Slider`).value = String(fx[depthKey]);
+    $(`${depthKey}Number`).value = String(fx[depthKey]);
+    $(`${angleKey}Slider`).value = String(fx[angleKey]);
+    $(`${angleKey}Number`).value = String(fx[angleKey]);
+  });
+  $("irisSizeSlider").value = String(fx.irisSize);
+  $("irisSizeNumber").value = String(fx.irisSize);
+  SHUTTER_SIDES.forEach((side) => {
+    const key = barnDoorKey(side);
+    $(`${key}Slider`).value = String(fx[key]);
+    $(`${key}Number`).value = String(fx[key]);
+  });
+  $("barnDoorRotationSlider").value = String(fx.barnDoorRotation);
+  $("barnDoorRotationNumber").value = String(fx.barnDoorRotation);
+  document.querySelectorAll("#shutterPanel input, #shutterPanel button").forEach((input) => {
+    input.disabled = !framing;
+  });
+  document.querySelectorAll("#barnDoorPanel input, #barnDoorPanel button").forEach((input) => {
+    input.disabled = framing;
+  });
+  $("shutterInfo").textContent = framing
+    ? "Blades and iris are cut into the projected beam."
+    : "Only ellipsoidals have a framing gate; use barn doors on this lens.";
+  $("barnDoorInfo").textContent = framing
+    ? "Ellipsoidals frame with shutters; switch the lens to fresnel or PAR for barn doors."
+    : "Soft-edged cuts in front of a fresnel or PAR lens.";
+  $("iesUseOutput").checked = fx.iesUseOutput;
+  renderPatchTable();
+  const profile = findProfile(fx.profileId);
+  $("fixtureProfile").value = profile ? profile.id : "";
+  $("fixtureProfileInfo").textContent = profile
+    ? `${profile.name}: beam ${profile.beamAngle}°, field ${profile.fieldAngle}°, ${Math.round(profile.lumens).toLocaleString()} lm, ${profile.kelvin} K (${Math.round(fx.profileCandela).toLocaleString()} cd)`
+    : "Custom: beam, softness and intensity are set by hand.";
+  const photometric = Boolean(fx.iesPath);
+  ["beamAngleSlider", "beamAngleNumber", "softnessSlider", "softnessNumber"].forEach((id) => {
+    $(id).disabled = photometric || Boolean(profile);
+  });
+  // A moving head's zoom stays in reach whatever its profile.
+  ["beamAngleSlider", "beamAngleNumber"].forEach((id) => {
+    if (fx.placement === "moving" && !photometric) $(id).disabled = false;
+  });
+  $("lensType").disabled = Boolean(profile);
+  ["ovalRatioSlider", "ovalRatioNumber"].forEach((id) => {
+    $(id).disabled = fx.lensType !== "par" || photometric || Boolean(profile);
+  });
+  ["ovalRotationSlider", "ovalRotationNumber"].forEach((id) => {
+    $(id).disabled = fx.lensType !== "par" || photometric;
+  });
+  const luxLocked = (photometric && fx.iesUseOutput) || (!photometric && Boolean(profile));
+  $("luxSlider").disabled = luxLocked;
+  $("luxNumber").disabled = luxLocked;
+  updatePathLabels();
+}
+
+function syncUiFromState() {
+  syncFixtureUi();
+  renderCueList();
+  renderEffectList();
+  $("dmxInputEnabled").checked = Boolean(state.dmxInputEnabled);
+  $("dmxProtocol").value = state.dmxProtocol;
+  updateDmxStatus();
+  $("oscEnabled").checked = Boolean(state.oscEnabled);
+  $("oscPort").value = String(state.oscPort);
+  $("oscReplyPort").value = String(state.oscReplyPort);
+  renderCameraPresets();
+  $("houseLightColorHex").value = state.houseLightColorHex;
+  $("houseLightColorPicker").value = state.houseLightColorHex;
+  $("houseLightIntensitySlider").value = String(state.houseLightIntensity);
+  $("houseLightIntensityNumber").value = String(state.houseLightIntensity);
+  $("hazeEnabled").checked = Boolean(state.hazeEnabled);
+  $("hazeQuality").value = state.hazeQuality;
+  $("hazeDensitySlider").value = String(state.hazeDensity);
+  $("hazeDensityNumber").value = String(state.hazeDensity);
+  $("hazeHeightSlider").value = String(state.hazeHeight);
+  $("hazeHeightNumber").value = String(state.hazeHeight);
+  $("textureQuality").value = normalizeTextureQuality(state.textureQuality);
+  $("tilingScaleSlider").value = String(state.tilingScale);
+  $("tilingScaleNumber").value = String(state.tilingScale);
+  $("displacementScaleSlider").value = String(state.displacementScale);
+  $("displacementScaleNumber").value = String(state.displacementScale);
+  $("ambientSlider").value = String(state.ambientFill);
+  $("ambientNumber").value = String(state.ambientFill);
+  if (typeof state.fpsCounterEnabled !== "boolean") state.fpsCounterEnabled = false;
+  syncResolutionUi();
+  $("hqMode").value = state.hqMode;
+  $("hqSamples").value = String(state.hqSamples);
+  $("hqNoiseTarget").value = String(state.hqNoiseTarget);
+  $("renderSeed").value = String(state.renderSeed);
+  $("exportFormat").value = state.exportFormat;
+  syncHqModeUi();
+  $("sequenceSource").value = state.sequenceSource;
+  $("sequenceLength").value = String(state.sequenceLength);
+  $("sequenceFps").value = String(state.sequenceFps);
+  $("sequenceFormat").value = state.sequenceFormat;
+  applyFpsVisibility();
+}
+
+function renderGelList() {
+  const select = $("gelList");
+  if (!select) return;
+  const fx = selectedFixture();
+  const stockActive = Boolean(state.houseStockOnly && houseStock);
+  const shown = filterGels(gelLibrary, {
+    query: $("gelSearch").value,
+    favorites: state.gelFavorites,
+    favoritesOnly: $("gelFavoritesOnly").checked,
+    stock: stockActive ? houseStock : null
+  });
+  const picked = select.value;
+  select.innerHTML = "";
+  shown.forEach((g) => {
+    const option = document.createElement("option");
+    const star = state.gelFavorites.includes(g.id) ? "★ " : "";
+    option.value = g.id;
+    option.textContent = `${star}${gelLabel(g)} · ${(g.transmission * 100).toFixed(0)}%${isDiffusion(g) ? " · frost" : ""}`;
+    option.title = `${g.hex}${g.measured ? ", measured curve" : ""} · ${g.catalog}`;
+    select.appendChild(option);
+  });
+  const layer = fx.gels[selectedGelLayer];
+  const preferred = picked || (layer ? layer.gelId : "");
+  if (shown.some((g) => g.id === preferred)) select.value = preferred;
+  const current = findGel(gelLibrary, select.value);
+  $("addGelLayer").disabled = !current;
+  $("toggleGelFavorite").disabled = !current;
+  $("toggleGelFavorite").textContent = current && state.gelFavorites.includes(current.id) ? "★ Unfavorite" : "☆ Favorite";
+  $("houseStockOnly").checked = stockActive;
+  $("houseStockOnly").disabled = !houseStock;
+  const catalogs = gelCatalogs.map((c) => c.catalog).join(", ");
+  const stockText = houseStock ? ` · House stock: ${houseStock.length} codes` : "";
+  $("gelCatalogInfo").textContent = `${shown.length} of ${gelLibrary.length} gels · ${catalogs || "Built-in gels only"}${stockText}`;
+}
+
+function renderGelStack() {
+  const select = $("gelStack");
+  if (!select) return;
+  const fx = selectedFixture();
+  select.innerHTML = "";
+  fx.gels.forEach((layer, index) => {
+    const gel = resolveGelLayer(layer, gelLibrary);
+    const option = document.createElement("option");
+    option.value = String(index);
+    option.textContent = `${index + 1}. ${gelLabel(gel)}${isDiffusion(gel) ? " · frost" : ""}`;
+    select.appendChild(option);
+  });
+  if (!fx.gels.length) {
+    const option = document.createElement("option");
+    option.value = "";
+    option.disabled = true;
+    option.textContent = "Open white (no gels in the frame)";
+    select.appendChild(option);
+  }
+  select.value = selectedGelLayer >= 0 ? String(selectedGelLayer) : "";
+  const layer = fx.gels[selectedGelLayer];
+  $("removeGelLayer").disabled = !layer;
+  $("moveGelUp").disabled = !layer || selectedGelLayer === 0;
+  $("moveGelDown").disabled = !layer || selectedGelLayer === fx.gels.length - 1;
+  if (layer) {
+    const hex = resolveGelLayer(layer, gelLibrary).hex;
+    $("gelHex").value = hex;
+    $("gelColorPicker").value = hex;
+  }
+  updateGelTransmission();
+}
+
+function gelStackChanged() {
+  renderGelStack();
+  applyGoboControls(true);
+  pushLightingToRenderer();
+  persistStateSoon();
+}
+
+async function readTextFile(pathValue) {
+  const res = await window.appApi.readBinaryFile(pathValue);
+  if (!res.ok) throw new Error(res.message || "Could not read file.");
+  return new TextDecoder("utf-8").decode(res.bytes);
+}
+
+async function loadGelCatalog(pathValue) {
+  try {
+    const catalog = parseGelCatalog(await readTextFile(pathValue), pathValue);
+    catalog.path = pathValue;
+    gelCatalogs = [...gelCatalogs.filter((c) => c.path !== pathValue), catalog];
+    gelLibrary = buildGelLibrary(gelCatalogs);
+    if (!state.gelCatalogPaths.includes(pathValue)) state.gelCatalogPaths = [...state.gelCatalogPaths, pathValue];
+    const skipped = catalog.skipped ? ` (${catalog.skipped} rows skipped)` : "";
+    setStatus(`Loaded ${catalog.gels.length} gels from ${catalog.catalog}${skipped}.`);
+  } catch (error) {
+    setStatus(`Could not load gel catalog: ${error?.message || "unknown error"}`, true);
+  }
+}
+
+async function loadHouseStock(pathValue) {
+  try {
+    const codes = parseHouseStock(await readTextFile(pathValue));
+    if (!codes.length) throw new Error("No gel numbers found.");
+    houseStock = codes;
+    state.houseStockPath = pathValue;
+    setStatus(`House stock loaded: ${codes.length} gels on the shelf.`);
+  } catch (error) {
+    setStatus(`Could not load house stock: ${error?.message || "unknown error"}`, true);
+  }
+}
+
+function initSourceTypeDropdown() {
+  const select = $("sourceType");
+  select.innerHTML = "";
+  SOURCE_TYPES.forEach((t) => {
+    const option = document.createElement("option");
+    option.value = t.id;
+    option.textContent = t.name;
+    select.appendChild(option);
+  });
+}
+
+function initEmitterDropdowns() {
+  const presets = $("emitterPreset");
+  presets.innerHTML = "";
+  [{ id: "", name: "Custom" }, ...EMITTER_PRESETS].forEach((p) => {
+    const option = document.createElement("option");
+    option.value = p.id;
+    option.textContent = p.name;
+    presets.appendChild(option);
+  });
+  const shapes = $("emitterShape");
+  shapes.innerHTML = "";
+  EMITTER_SHAPES.forEach((t) => {
+    const option = document.createElement("option");
+    option.value = t.id;
+    option.textContent = t.name;
+    shapes.appendChild(option);
+  });
+}
+
+function initLensTypeDropdown() {
+  const select = $("lensType");
+  select.innerHTML = "";
+  LENS_TYPES.forEach((t) => {
+    const option = document.createElement("option");
+    option.value = t.id;
+    option.textContent = t.name;
+    select.appendChild(option);
+  });
+}
+
+function initDimmerCurveDropdown() {
+  const select = $("dimmerCurve");
+  select.innerHTML = "";
+  DIMMER_CURVES.forEach((curve) => {
+    const option = document.createElement("option");
+    option.value = curve.id;
+    option.textContent = curve.name;
+    select.appendChild(option);
+  });
+}
+
+function updateDimmerInfo() {
+  const fx = selectedFixture();
+  const dimmer = dimmerResponse(fx);
+  const warm = dimmer.kelvin !== fx.kelvin ? `, lamp at ${Math.round(dimmer.kelvin)} K` : "";
+  $("dimmerInfo").textContent = `Output ${(dimmer.output * 100).toFixed(1)}% of full${warm}`;
+}
+
+function initProfileDropdown() {
+  const select = $("fixtureProfile");
+  select.innerHTML = "";
+  const custom = document.createElement("option");
+  custom.value = "";
+  custom.textContent = "Custom (free sliders)";
+  select.appendChild(custom);
+  const groups = new Map();
+  [...BUILTIN_FIXTURE_PROFILES, ...userProfiles].forEach((p) => {
+    const label = userProfiles.includes(p) ? `User: ${p.category}` : p.category;
+    if (!groups.has(label)) {
+      const group = document.createElement("optgroup");
+      group.label = label;
+      groups.set(label, group);
+      select.appendChild(group);
+    }
+    const option = document.createElement("option");
+    option.value = p.id;
+    option.textContent = p.name;
+    groups.get(label).appendChild(option);
+  });
+}
+
+async function loadUserProfiles() {
+  try {
+    const result = await window.appApi?.loadFixtureProfiles?.();
+    if (result && !result.ok) setStatus(result.message || "Could not read user fixture profiles.", true);
+    userProfiles = normalizeUserProfiles(result?.data);
+  } catch {
+    userProfiles = [];
+  }
+}
+
+function initCollapsiblePanels() {
+  const panels = document.querySelectorAll(".sidebar > section.panel");
+  panels.forEach((panel) => {
+    const heading = panel.querySelector("h2");
+    if (!heading) return;
+    const title = (heading.textContent || "").trim();
+
+    const header = document.createElement("button");
+    header.type = "button";
+    header.className = "panel-header";
+    header.textContent = title;
+
+    const content = document.createElement("div");
+    content.className = "panel-content";
+
+    let node = heading.nextSibling;
+    while (node) {
+      const next = node.nextSibling;
+      content.appendChild(node);
+      node = next;
+    }
+
+    panel.classList.add("collapsible");
+    panel.classList.remove("expanded");
+    heading.remove();
+    panel.prepend(content);
+    panel.prepend(header);
+
+    header.addEventListener("click", () => {
+      panel.classList.toggle("expanded");
+    });
+  });
+}
+
+function setBusyRenderUI(busy, stoppable = false) {
+  isRendering = busy;
+  $("hqRenderButton").disabled = busy;
+  $("renderSequenceButton").disabled = busy;
+  $("cancelRenderButton").disabled = !busy;
+  $("cancelRenderButton").textContent = busy && stoppable ? "Stop" : "Cancel";
+}
+
+function initResolutionDropdown() {
+  const select = $("renderResolution");
+  select.innerHTML = "";
+  [...RESOLUTION_PRESETS, { value: "custom", name: "Custom" }].forEach((p) => {
+    const option = document.createElement("option");
+    option.value = p.value;
+    option.textContent = p.value === "custom" ? p.name : `${p.name} (${p.value})`;
+    select.appendChild(option);
+  });
+}
+
+function syncResolutionUi() {
+  const { width, height } = parseResolution(state.renderResolution);
+  const preset = RESOLUTION_PRESETS.some((p) => p.value === state.renderResolution);
+  $("renderResolution").value = preset ? state.renderResolution : "custom";
+  $("renderWidth").value = String(width);
+  $("renderHeight").value = String(height);
+  $("renderWidth").disabled = preset;
+  $("renderHeight").disabled = preset;
+}
+
+function syncHqModeUi() {
+  $("hqSamples").disabled = state.hqMode !== "samples";
+  $("hqNoiseTarget").disabled = state.hqMode !== "noise";
+}
+
+// Sequences have to finish on their own, so an until-stopped setting renders the sample count.
+function hqRenderOptions(allowUnlimited) {
+  const mode = state.hqMode === "unlimited" && !allowUnlimited ? "samples" : state.hqMode;
+  return { mode, samples: state.hqSamples, noiseTarget: state.hqNoiseTarget, seed: state.renderSeed };
+}
+
+// Steps through a cue fade or the effects at the sequence frame rate, rendering every frame with
+// the HQ pipeline into numbered PNGs or a WebM video.
+async function renderSequence() {
+  const { width, height } = parseResolution(state.renderResolution);
+  const fps = state.sequenceFps;
+  const cue = state.sequenceSource === "cue" ? selectedCue() : null;
+  if (state.sequenceSource === "cue" && !cue) {
+    setStatus("Select the cue to fade to in the cue list.", true);
+    return;
+  }
+  if (!cue && !effectsRunning(state.effects, state.fixtures)) {
+    setStatus("No effect is running.", true);
+    return;
+  }
+  const frameCount = Math.max(1, Math.round((cue ? cueDuration(cue) : state.sequenceLength) * fps) + 1);
+  const baseName = `${cue ? `q${cue.number}` : "effects"}-${new Date().toISOString().replace(/[:.]/g, "-")}`;
+  let folder = null;
+  let encoder = null;
+  if (state.sequenceFormat === "png") {
+    folder = await window.appApi.pickFolder({ title: "Select Folder for the PNG Sequence" });
+    if (!folder) return;
+  } else {
+    try {
+      encoder = await createWebmEncoder({ width, height, fps });
+    } catch (error) {
+      setStatus(error?.message || "WebM encoding is not available.", true);
+      return;
+    }
+  }
+
+  stopCuePlayback();
+  // Sequence frames replace the last still, and keep no float result.
+  stillFloatNote = "The last render was a sequence frame, which only exports as an 8-bit PNG; render a still for 16-bit PNG or EXR.";
+  const previousCue = state.currentCueNumber;
+  const plan = cue ? planCueFade(cue) : null;
+  if (cue) state.currentCueNumber = cue.number;
+  const fxStart = state.fxFreezeEnabled ? state.fxFreezeTime : engine.getEffectsTime();
+  let rendered = 0;
+  let canceled = false;
+  sequenceCanceled = false;
+  setBusyRenderUI(true);
+  try {
+    for (let i = 0; i < frameCount; i += 1) {
+      if (sequenceCanceled) {
+        canceled = true;
+        break;
+      }
+      const t = i / fps;
+      const lighting = plan ? cueFadeFrame(plan, t, fxStart + t) : lightingStateForRenderer(fxStart + t);
+      const result = await engine.renderHighQuality(lighting, width, height, {
+        ...hqRenderOptions(false),
+        goboTime: fxStart + t,
+        onProgress: (p) => setProgress(((i + p / 100) / frameCount) * 100)
+      });
+      if (!result.ok) {
+        if (!result.canceled) throw new Error(result.message || "High quality render failed.");
+        canceled = true;
+        break;
+      }
+      const bytes = await engine.getLastRenderBytes();
+      if (folder) {
+        const saved = await window.appApi.writeFileInFolder({ folder, name: `${baseName}_${String(i + 1).padStart(5, "0")}.png`, bytes });
+        if (!saved.ok) throw new Error(saved.message);
+      } else {
+        const image = await createImageBitmap(new Blob([bytes], { type: "image/png" }));
+        await encoder.addFrame(image, i);
+        image.close();
+      }
+      rendered += 1;
+      setStatus(`Rendered frame ${rendered} of ${frameCount}.`);
+    }
+    if (canceled) {
+      setProgress(0);
+      setStatus(`Sequence canceled after ${rendered} of ${frameCount} frames.`);
+    } else if (encoder) {
+      setStatus("Encoding WebM...");
+      const video = await encoder.finish(frameCount);
+      encoder = null;
+      const saved = await window.appApi.saveBinary({
+        title: "Save Video",
+        suggestedName: `${baseName}.webm`,
+        filterName: "WebM Video",
+        extensions: ["webm"],
+        bytes: video
+      });
+      if (saved.ok) setStatus(`Saved ${frameCount} frames to ${saved.filePath}.`);
+      else if (!saved.canceled) setStatus(saved.message || "Could not save the video.", true);
+    } else {
+      setStatus(`Saved ${frameCount} frames to ${folder}.`);
+    }
+  } catch (error) {
+    setProgress(0);
+    setStatus(`Sequence render failed: ${error?.message || "unknown error"}`, true);
+  } finally {
+    if (encoder) encoder.close();
+    setBusyRenderUI(false);
+    if (plan) {
+      // A finished sequence leaves the cue on stage, as GO would; otherwise put the look back.
+      if (canceled || rendered < frameCount) {
+        blendLookInto(state, plan.from, plan.from, () => ({ intensity: 1, other: 1 }));
+        state.currentCueNumber = previousCue;
+      } else {
+        blendLookInto(state, plan.from, plan.to, plan.progressFor(cueDuration(cue)));
+      }
+      finishCueFade();
+    } else {
+      pushLightingToRenderer();
+    }
+  }
+}
+
+async function handleReloadTextures() {
+  startLoading("Reloading textures...", 0);
+  try {
+    const steps = [];
+    if (state.baseTexturePath) steps.push({ label: "base texture", run: () => loadBaseTexture(state.baseTexturePath, false) });
+    if (state.normalMapPath) steps.push({ label: "normal map", run: () => loadNormalMap(state.normalMapPath, false) });
+    if (state.roughnessMapPath) steps.push({ label: "roughness map", run: () => loadPbrMap(state.roughnessMapPath, "roughness", false) });
+    if (state.metalnessMapPath) steps.push({ label: "metalness map", run: () => loadPbrMap(state.metalnessMapPath, "metalness", false) });
+    if (state.aoMapPath) steps.push({ label: "AO map", run: () => loadPbrMap(state.aoMapPath, "ao", false) });
+    if (state.displacementMapPath) steps.push({ label: "displacement map", run: () => loadPbrMap(state.displacementMapPath, "displacement", false) });
+
+    const total = steps.length || 1;
+    let done = 0;
+    for (const step of steps) {
+      setLoadingOverlayStatus(`Reloading ${step.label}...`, (done / total) * 100);
+      await step.run();
+      done += 1;
+      setLoadingOverlayStatus(`Reloaded ${step.label}.`, (done / total) * 100);
+    }
+    engine.applyTiling(state.tilingScale);
+    engine.setDisplacementScale(state.displacementScale);
+    setLoadingOverlayStatus("Finalizing reload...", 100);
+    setStatus("Reloaded texture files from disk paths.");
+  } finally {
+    stopLoading();
+  }
+}
+
+async function bootstrap() {
+  startLoading("Launching Lighting Texture Previewer...", 0);
+  try {
+    setLoadingOverlayStatus("Preparing interface...", 4);
+    initLoadingLogo();
+    initSourceTypeDropdown();
+    initDimmerCurveDropdown();
+    initLensTypeDropdown();
+    initEmitterDropdowns();
+    initResolutionDropdown();
+    initDmxProtocolDropdown();
+    initEffectDropdowns();
+    initCollapsiblePanels();
+
+    await loadUserProfiles();
+    rebuildPersonalities();
+    initProfileDropdown();
+
+    setLoadingOverlayStatus("Loading saved settings...", 10);
+    let loaded = { ok: true, state: null };
+    if (!START_WITH_BLANK_SLATE) {
+      try {
+        loaded = (await window.appApi?.loadState?.()) || loaded;
+      } catch {
+        loaded = { ok: true, state: null };
+      }
+    }
+
+    setLoadingOverlayStatus("Loading default assets...", 16);
+    try {
+      defaultsFromApp = (await window.appApi?.getDefaultAssets?.()) || {};
+    } catch {
+      defaultsFromApp = {};
+    }
+    const hasSavedState = Boolean(loaded && loaded.ok && loaded.state);
+    if (START_WITH_BLANK_SLATE) {
+      Object.assign(state, defaults);
+      state.baseTexturePath = "";
+      state.normalMapPath = "";
+      state.roughnessMapPath = "";
+      state.metalnessMapPath = "";
+      state.aoMapPath = "";
+      state.displacementMapPath = "";
+      state.hazeEnabled = false;
+      state.hazeDensity = 0;
+      state.camera = null;
+    } else {
+      if (loaded.ok && loaded.state) Object.assign(state, defaults, migrateLegacyLightState(loaded.state));
+      if (!state.baseTexturePath && defaultsFromApp.baseTexturePath) state.baseTexturePath = defaultsFromApp.baseTexturePath;
+      // Only auto-apply sample normal map on first-ever run. If user cleared it, keep it cleared.
+      if (!hasSavedState && !state.normalMapPath && defaultsFromApp.normalMapPath) {
+        state.normalMapPath = defaultsFromApp.normalMapPath;
+      }
+    }
+    state.fixtures = normalizeFixtures(state.fixtures);
+    state.selectedFixtureId = selectedFixture().id;
+    state.cues = normalizeCues(state.cues);
+    if (!state.cues.some((c) => c.number === state.currentCueNumber)) state.currentCueNumber = null;
+    state.effects = normalizeEffects(state.effects);
+    state.fxFreezeEnabled = Boolean(state.fxFreezeEnabled);
+    state.fxFreezeTime = clamp(Number(state.fxFreezeTime) || 0, 0, 86400);
+    if (!["cue", "effects"].includes(state.sequenceSource)) state.sequenceSource = "cue";
+    if (!["png", "webm"].includes(state.sequenceFormat)) state.sequenceFormat = "png";
+    if (![24, 25, 30, 50, 60].includes(state.sequenceFps)) state.sequenceFps = 25;
+    if (!["samples", "noise", "unlimited"].includes(state.hqMode)) state.hqMode = "samples";
+    state.hqSamples = Math.round(clamp(Number(state.hqSamples) || 16, 1, 4096));
+    state.hqNoiseTarget = clamp(Number(state.hqNoiseTarget) || 1, 0.05, 50);
+    state.renderSeed = Math.round(clamp(Number(state.renderSeed) || 0, 0, 4294967295));
+    if (!["png", "png16", "exr"].includes(state.exportFormat)) state.exportFormat = "png";
+    const resolution = parseResolution(state.renderResolution);
+    state.renderResolution = resolution ? formatResolution(resolution.width, resolution.height) : defaults.renderResolution;
+    state.sequenceLength = clamp(Number(state.sequenceLength) || 4, 0.1, 600);
+    if (!DMX_PROTOCOLS.some((p) => p.id === state.dmxProtocol)) state.dmxProtocol = "both";
+    state.oscPort = Math.round(clamp(Number(state.oscPort) || 8000, 1024, 65535));
+    state.oscReplyPort = Math.round(clamp(Number(state.oscReplyPort) || 0, 0, 65535));
+    state.cameraPresets = normalizeCameraPresets(state.cameraPresets);
+
+    setLoadingOverlayStatus("Initializing renderer...", 24);
+    engine = new LightingRenderer($("viewport"), {
+      onStatus: setStatus,
+      onProgress: setProgress,
+      onFps: updateFpsDisplay,
+      onEffectsFrame: runEffectsFrame
+    });
+    applyTextureQualityToRenderer();
+    engine.applyCameraState(state.camera);
+    applyFpsVisibility();
+
+    setLoadingOverlayStatus("Syncing controls...", 32);
+    syncUiFromState();
+    if (state.baseTexturePath) {
+      setLoadingOverlayStatus("Loading base texture...", 40);
+      await loadBaseTexture(state.baseTexturePath, false);
+    } else {
+      engine.previewMaterial.uniforms.hasBaseMap.value = 0;
+      engine.previewMaterial.uniforms.baseMap.value = null;
+      engine.hqMaterial.map = null;
+      engine.hqMaterial.needsUpdate = true;
+      setLoadingOverlayStatus("Starting with blank wall...", 40);
+    }
+
+    const optionalMaps = [];
+    if (state.normalMapPath) optionalMaps.push({ label: "normal map", run: () => loadNormalMap(state.normalMapPath, false) });
+    if (state.roughnessMapPath) optionalMaps.push({ label: "roughness map", run: () => loadPbrMap(state.roughnessMapPath, "roughness", false) });
+    if (state.metalnessMapPath) optionalMaps.push({ label: "metalness map", run: () => loadPbrMap(state.metalnessMapPath, "metalness", false) });
+    if (state.aoMapPath) optionalMaps.push({ label: "AO map", run: () => loadPbrMap(state.aoMapPath, "ao", false) });
+    if (state.displacementMapPath) optionalMaps.push({ label: "displacement map", run: () => loadPbrMap(state.displacementMapPath, "displacement", false) });
+
+    const optionalTotal = optionalMaps.length || 1;
+    let optionalDone = 0;
+    const optionalStart = 46;
+    const optionalSpan = 34;
+    if (optionalMaps.length > 0) {
+      await Promise.all(
+        optionalMaps.map(async (task) => {
+          await task.run();
+          optionalDone += 1;
+          const pct = optionalStart + (optionalDone / optionalTotal) * optionalSpan;
+          setLoadingOverlayStatus(`Loading ${task.label} (${optionalDone}/${optionalTotal})...`, pct);
+        })
+      );
+    } else {
+      setLoadingOverlayStatus("No optional maps to load.", optionalStart + optionalSpan);
+    }
+
+    setLoadingOverlayStatus("Applying scene settings...", 84);
+    engine.applyTiling(state.tilingScale);
+    engine.setDisplacementScale(state.displacementScale);
+    for (const catalogPath of state.gelCatalogPaths) {
+      await loadGelCatalog(catalogPath);
+    }
+    if (state.houseStockPath) await loadHouseStock(state.houseStockPath);
+    for (const personalityPath of state.personalityPaths) {
+      await loadPersonalityFile(personalityPath);
+    }
+    renderPatchTable();
+    const iesFixtures = state.fixtures.filter((f) => f.iesPath);
+    for (const fixture of iesFixtures) {
+      await loadIes(fixture, fixture.iesPath, false);
+    }
+    const goboFixtures = state.fixtures.filter((f) => f.goboPath);
+    if (goboFixtures.length) {
+      setLoadingOverlayStatus("Loading gobos...", 90);
+      for (const fixture of goboFixtures) {
+        await loadGobo(fixture, fixture.goboPath, false);
+      }
+    }
+    // Shutters and iris live in the beam mask, so fixtures without a gobo still need one built.
+    state.fixtures.forEach((fixture) => engine.updateGoboTexture(fixture.id, goboStateOf(fixture)));
+    window.appApi.onDmxFrame(handleDmxFrame);
+    setInterval(updateDmxStatus, 1000);
+    if (state.dmxInputEnabled) await startDmxInput();
+    window.appApi.onOscMessage(handleOscMessage);
+    if (state.oscEnabled) await startOscServer();
+    setLoadingOverlayStatus("Applying lighting and haze...", 95);
+    pushLightingToRenderer();
+    persistStateSoon();
+
+  on("fxList", "change", () => syncEffectFields());
+  on("fxList", "dblclick", () => {
+    const effect = selectedEffect();
+    if (effect) updateSelectedEffect({ enabled: !effect.enabled });
+  });
+  on("addFx", "click", () => {
+    const effect = createEffect(state.effects, { fixtureIds: [selectedFixture().id] });
+    state.effects = [...state.effects, effect];
+    renderEffectList(effect.id);
+    pushLightingToRenderer();
+    persistStateSoon();
+  });
+  on("deleteFx", "click", () => {
+    const effect = selectedEffect();
+    if (!effect) return;
+    state.effects = state.effects.filter((e) => e.id !== effect.id);
+    renderEffectList();
+    pushLightingToRenderer();
+    persistStateSoon();
+  });
+  on("fxEnabled", "change", () => updateSelectedEffect({ enabled: $("fxEnabled").checked }));
+  on("fxName", "change", () => updateSelectedEffect({ name: $("fxName").value }));
+  on("fxWaveform", "change", () => updateSelectedEffect({ waveform: $("fxWaveform").value }));
+  on("fxParam", "change", () => updateSelectedEffect({ param: $("fxParam").value }));
+  on("fxFixtures", "change", () => {
+    updateSelectedEffect({ fixtureIds: Array.from($("fxFixtures").selectedOptions, (o) => o.value) });
+  });
+  [
+    ["fxRate", "rate"],
+    ["fxSize", "size"],
+    ["fxOffset", "offset"],
+    ["fxPhase", "phaseSpread"]
+  ].forEach(([id, key]) => {
+    bindRangeAndNumber(`${id}Slider`, `${id}Number`, (v) => updateSelectedEffect({ [key]: v }));
+  });
+  on("fxFreezeEnabled", "change", () => {
+    state.fxFreezeEnabled = $("fxFreezeEnabled").checked;
+    persistStateSoon();
+  });
+  on("fxFreezeTime", "change", () => {
+    state.fxFreezeTime = clamp(Number($("fxFreezeTime").value) || 0, 0, 86400);
+    $("fxFreezeTime").value = String(state.fxFreezeTime);
+    persistStateSoon();
+  });
+  on("fxFreezeNow", "click", () => {
+    state.fxFreezeTime = Number(engine.getEffectsTime().toFixed(2));
+    state.fxFreezeEnabled = true;
+    syncEffectFields();
+    persistStateSoon();
+  });
+
+  on("cueList", "change", () => {
+    syncCueFields(selectedCue());
+    renderCueList();
+  });
+  on("cueList", "dblclick", () => {
+    const cue = selectedCue();
+    if (cue) runCue(cue);
+  });
+  on("cueGo", "click", () => {
+    const current = state.currentCueNumber;
+    const next = current === null ? state.cues[0] : state.cues.find((c) => c.number > current);
+    if (!next) {
+      setStatus(state.cues.length ? "End of the cue list." : "Record a cue first.", !state.cues.length);
+      return;
+    }
+    runCue(next);
+  });
+  on("cueBack", "click", () => {
+    const current = state.currentCueNumber;
+    const previous = current === null ? null : [...state.cues].reverse().find((c) => c.number < current);
+    if (!previous) {
+      setStatus("Already at the top of the cue list.");
+      return;
+    }
+    runCue(previous);
+  });
+  on("cueStop", "click", () => {
+    if (!stopCuePlayback()) return;
+    $("cueStatus").textContent = `Q${state.currentCueNumber} stopped mid-fade`;
+    finishCueFade();
+  });
+  on("recordCue", "click", () => {
+    const fields = cueFieldsFromUi();
+    if (fields.number !== undefined && state.cues.some((c) => c.number === fields.number)) {
+      setStatus(`Cue ${fields.number} already exists. Select it and use Update to replace it.`, true);
+      return;
+    }
+    const cue = createCue(state.cues, state, fields);
+    if (!cue) {
+      setStatus("Cue numbers must be greater than zero.", true);
+      return;
+    }
+    state.cues = normalizeCues([...state.cues, cue]);
+    state.currentCueNumber = cue.number;
+    renderCueList(cue.number);
+    syncCueFields(cue);
+    setStatus(`Recorded cue ${cue.number}.`);
+    persistStateSoon();
+  });
+  on("importUsitt", "click", async () => {
+    const filePath = await window.appApi.pickFile({
+      title: "Select USITT ASCII Show File",
+      filters: [
+        { name: "USITT ASCII", extensions: ["asc", "txt", "alq"] },
+        { name: "All Files", extensions: ["*"] }
+      ]
+    });
+    if (!filePath) return;
+    let show = null;
+    try {
+      show = parseUsittAscii(await readTextFile(filePath));
+    } catch (error) {
+      setStatus(`Could not read that show file: ${error?.message || "unknown error"}`, true);
+      return;
+    }
+    if (!show.cues.length) {
+      setStatus("No cues found in that show file.", true);
+      return;
+    }
+    // Looks are built on the rig as it stands, so a running fade lands first.
+    if (stopCuePlayback()) finishCueFade();
+    const channelMap = usittChannelMap(show, state.fixtures, intensityOutput);
+    const imported = usittCues(show, state, channelMap);
+    // Imported cues replace recorded ones with the same number.
+    state.cues = normalizeCues([...state.cues.filter((c) => !imported.some((cue) => cue.number === c.number)), ...imported]);
+    renderCueList(imported[0].number);
+    syncCueFields(imported[0]);
+    const from = show.console || show.manufacturer ? ` from ${[show.manufacturer, show.console].filter(Boolean).join(" ")}` : "";
+    const skipped = show.ignored.groups + show.ignored.subs;
+    setStatus(
+      `Imported ${imported.length} cues${from} on ${channelMap.size} channels${show.patch.size ? " by patch" : ""}.${skipped ? ` ${skipped} groups and subs were skipped.` : ""}`
+    );
+    persistStateSoon();
+  });
+  on("exportUsitt", "click", async () => {
+    const result = await window.appApi.saveText({
+      title: "Export USITT ASCII Show File",
+      suggestedName: "lighting-preview.asc",
+      filterName: "USITT ASCII",
+      extensions: ["asc"],
+      text: buildUsittAscii(state, state.cues, intensityOutput)
+    });
+    if (result?.canceled) return;
+    if (!result?.ok) {
+      setStatus(result?.message || "Failed to export the show file.", true);
+      return;
+    }
+    setStatus(`Exported ${state.cues.length || 1} cues to ${result.filePath}.`);
+  });
+  on("updateCue", "click", () => {
+    const cue = selectedCue();
+    if (!cue) return;
+    const fields = { ...cueFieldsFromUi(), number: cue.number };
+    const updated = normalizeCue({ ...cue, ...fields, look: captureLook(state) });
+    state.cues = normalizeCues(state.cues.map((c) => (c === cue ? updated : c)));
+    renderCueList();
+    setStatus(`Updated cue ${cue.number}.`);
+    persistStateSoon();
+  });
+  on("deleteCue", "click", () => {
+    const cue = selectedCue();
+    if (!cue) return;
+    state.cues = state.cues.filter((c) => c !== cue);
+    if (state.currentCueNumber === cue.number) state.currentCueNumber = null;
+    syncCueFields(null);
+    renderCueList();
+    setStatus(`Deleted cue ${cue.number}.`);
+    persistStateSoon();
+  });
+
+  on("dmxInputEnabled", "change", async () => {
+    state.dmxInputEnabled = $("dmxInputEnabled").checked;
+    if (state.dmxInputEnabled) await startDmxInput();
+    else await stopDmxInput();
+    persistStateSoon();
+  });
+  on("dmxProtocol", "change", async () => {
+    state.dmxProtocol = $("dmxProtocol").value;
+    if (state.dmxInputEnabled) await startDmxInput();
+    updateDmxStatus();
+    persistStateSoon();
+  });
+  on("patchTable", "change", async (event) => {
+    const field = event.target.dataset.field;
+    const fx = state.fixtures.find((f) => f.id === event.target.closest("tr")?.dataset.id);
+    if (!field || !fx) return;
+    if (field === "dmxUniverse") fx.dmxUniverse = Math.round(clamp(Number(event.target.value) || 1, 1, 63999));
+    else if (field === "dmxAddress") fx.dmxAddress = Math.round(clamp(Number(event.target.value) || 0, 0, 512));
+    else fx.dmxPersonality = event.target.value;
+    renderPatchTable();
+    const problems = patchProblems(state.fixtures, personalities).get(fx.id);
+    if (problems) setStatus(`Patch: ${fx.name} ${problems.join(", ")}.`, true);
+    // sACN joins one multicast group per patched universe, so repatching restarts the listener.
+    if (state.dmxInputEnabled) await startDmxInput();
+    applyDmxFrame();
+    pushLightingToRenderer();
+    persistStateSoon();
+  });
+  on("patchTable", "click", (event) => {
+    const row = event.target.closest("tr");
+    if (!row || event.target.closest("input, select") || row.dataset.id === state.selectedFixtureId) return;
+    state.selectedFixtureId = row.dataset.id;
+    syncFixtureUi();
+    pushLightingToRenderer();
+  });
+  on("loadPersonalities", "click", async () => {
+    const filePath = await window.appApi.pickFile({
+      title: "Select DMX Personalities",
+      filters: [{ name: "Personalities", extensions: ["json"] }]
+    });
+    if (!filePath) return;
+    await loadPersonalityFile(filePath);
+    renderPatchTable();
+    applyDmxFrame();
+    persistStateSoon();
+  });
+  on("clearPersonalities", "click", () => {
+    personalityFiles = [];
+    rebuildPersonalities();
+    state.personalityPaths = [];
+    renderPatchTable();
+    applyDmxFrame();
+    setStatus("Using built-in personalities only.");
+    persistStateSoon();
+  });
+
+  on("oscEnabled", "change", async () => {
+    state.oscEnabled = $("oscEnabled").checked;
+    if (state.oscEnabled) await startOscServer();
+    else await stopOscServer();
+    persistStateSoon();
+  });
+  const restartOsc = async () => {
+    state.oscPort = Math.round(clamp(Number($("oscPort").value) || 8000, 1024, 65535));
+    state.oscReplyPort = Math.round(clamp(Number($("oscReplyPort").value) || 0, 0, 65535));
+    $("oscPort").value = String(state.oscPort);
+    $("oscReplyPort").value = String(state.oscReplyPort);
+    if (state.oscEnabled) await startOscServer();
+    persistStateSoon();
+  };
+  on("oscPort", "change", restartOsc);
+  on("oscReplyPort", "change", restartOsc);
+
+  on("cameraPreset", "change", () => renderCameraPresets());
+  on("recallCameraPreset", "click", () => {
+    const preset = findCameraPreset(state.cameraPresets, $("cameraPreset").value);
+    if (preset) recallCameraPreset(preset);
+  });
+  on("storeCameraPreset", "click", () => {
+    const name = $("cameraPresetName").value.trim();
+    if (!name) {
+      setStatus("Name the camera preset first.", true);
+      return;
+    }
+    const view = engine.getCameraState();
+    const [preset] = normalizeCameraPresets([{ name, ...view }]);
+    state.cameraPresets = [...state.cameraPresets.filter((p) => p.id !== preset.id), preset];
+    $("cameraPresetName").value = "";
+    renderCameraPresets(preset.id);
+    setStatus(`Stored camera preset "${name}".`);
+    persistStateSoon();
+  });
+  on("deleteCameraPreset", "click", () => {
+    const id = $("cameraPreset").value;
+    if (!id.startsWith("user-")) return;
+    state.cameraPresets = state.cameraPresets.filter((p) => p.id !== id);
+    renderCameraPresets();
+    persistStateSoon();
+  });
+
+  on("fixtureList", "change", () => {
+    state.selectedFixtureId = $("fixtureList").value;
+    syncFixtureUi();
+    pushLightingToRenderer();
+    persistStateSoon();
+  });
+  on("addFixture", "click", () => {
+    if (state.fixtures.length >= MAX_FIXTURES) return;
+    const fixture = createFixture(state.fixtures);
+    state.fixtures.push(fixture);
+    state.selectedFixtureId = fixture.id;
+    syncFixtureUi();
+    pushLightingToRenderer();
+    setStatus(`${fixture.name} added.`);
+    persistStateSoon();
+  });
+  on("duplicateFixture", "click", async () => {
+    if (state.fixtures.length >= MAX_FIXTURES) return;
+    const source = selectedFixture();
+    const fixture = duplicateFixture(state.fixtures, source);
+    state.fixtures.push(fixture);
+    state.selectedFixtureId = fixture.id;
+    if (fixture.goboPath) await loadGobo(fixture, fixture.goboPath, false);
+    if (fixture.iesPath) await loadIes(fixture, fixture.iesPath, false);
+    engine.updateGoboTexture(fixture.id, goboStateOf(fixture));
+    syncFixtureUi();
+    pushLightingToRenderer();
+    setStatus(`${source.name} duplicated.`);
+    persistStateSoon();
+  });
+  on("deleteFixture", "click", () => {
+    if (state.fixtures.length <= 1) return;
+    const fixture = selectedFixture();
+    const index = state.fixtures.indexOf(fixture);
+    state.fixtures.splice(index, 1);
+    state.selectedFixtureId = state.fixtures[Math.min(index, state.fixtures.length - 1)].id;
+    syncFixtureUi();
+    pushLightingToRenderer();
+    setStatus(`${fixture.name} deleted.`);
+    persistStateSoon();
+  });
+  on("fixtureName", "change", () => {
+    const fixture = selectedFixture();
+    fixture.name = $("fixtureName").value.trim() || fixture.name;
+    $("fixtureName").value = fixture.name;
+    renderFixtureList();
+    renderPatchTable();
+    pushLightingToRenderer();
+    persistStateSoon();
+  });
+  on("fixtureSolo", "change", () => {
+    selectedFixture().solo = $("fixtureSolo").checked;
+    renderFixtureList();
+    pushLightingToRenderer();
+    persistStateSoon();
+  });
+  on("fixtureMute", "change", () => {
+    selectedFixture().mute = $("fixtureMute").checked;
+    renderFixtureList();
+    pushLightingToRenderer();
+    persistStateSoon();
+  });
+
+  on("fixtureProfile", "change", () => {
+    const fx = selectedFixture();
+    const profile = findProfile($("fixtureProfile").value);
+    if (profile) {
+      applyProfileToFixture(fx, profile);
+      setStatus(`${fx.name} set to ${profile.name}.`);
+    } else {
+      fx.profileId = "";
+      fx.profileCandela = 0;
+    }
+    syncFixtureUi();
+    // A profile brings its own lens, which swaps shutters for barn doors and sets the PAR oval.
+    applyGoboControls(true);
+    pushLightingToRenderer();
+    persistStateSoon();
+  });
+  on("saveFixtureProfile", "click", async () => {
+    const fx = selectedFixture();
+    const summary = iesSummaries.get(fx.id);
+    const fieldAngle = summary ? summary.fieldAngle : fx.beamAngle;
+    const beamAngle = summary ? summary.beamAngle : softnessToBeamAngle(fx.beamAngle, fx.softness);
+    const lux = engine.getEffectiveLux(fx.id) ?? fx.lux;
+    const { throwDistance, incidence } = fixtureGeometry(fx);
+    const candela = (lux * throwDistance * throwDistance) / incidence;
+    const profile = normalizeProfile({
+      name: fx.name,
+      category: "User",
+      beamAngle: Number(beamAngle.toFixed(1)),
+      fieldAngle: Number(fieldAngle.toFixed(1)),
+      kelvin: fx.kelvin,
+      lumens: 1,
+      source: fx.sourceType,
+      lens: fx.lensType,
+      ovalRatio: fx.ovalRatio
+    });
+    profile.lumens = Math.round(profileLumensFromCandela(profile, candela));
+    const next = [...userProfiles.filter((p) => p.id !== profile.id), profile];
+    const result = await window.appApi.saveFixtureProfiles({ profiles: next });
+    if (!result?.ok) {
+      setStatus(result?.message || "Could not save fixture profile.", true);
+      return;
+    }
+    userProfiles = next;
+    initProfileDropdown();
+    applyProfileToFixture(fx, profile);
+    syncFixtureUi();
+    pushLightingToRenderer();
+    setStatus(`Saved user profile "${profile.name}" to ${result.filePath}.`);
+    persistStateSoon();
+  });
+
+  on("importGdtf", "click", async () => {
+    const filePath = await window.appApi.pickFile({
+      title: "Select GDTF Fixture",
+      filters: [{ name: "GDTF Fixture", extensions: ["gdtf"] }]
+    });
+    if (!filePath) return;
+    await withLoading("Importing GDTF fixture...", async () => {
+      const extracted = await window.appApi.extractGdtf(filePath);
+      if (!extracted?.ok) {
+        setStatus(extracted?.message || "Could not read that GDTF file.", true);
+        return;
+      }
+      let profile = null;
+      try {
+        profile = normalizeProfile(parseGdtfDescription(extracted.descriptionXml, extracted.mediaFiles, filePath));
+      } catch (error) {
+        setStatus(`Could not import GDTF: ${error?.message || "unknown error"}`, true);
+        return;
+      }
+      const next = [...userProfiles.filter((p) => p.id !== profile.id), profile];
+      const result = await window.appApi.saveFixtureProfiles({ profiles: next });
+      if (!result?.ok) {
+        setStatus(result?.message || "Could not save fixture profile.", true);
+        return;
+      }
+      userProfiles = next;
+      rebuildPersonalities();
+      initProfileDropdown();
+      const fx = selectedFixture();
+      applyProfileToFixture(fx, profile);
+      syncFixtureUi();
+      applyGoboControls(true);
+      pushLightingToRenderer();
+      const count = (wheels) => wheels.reduce((n, wheel) => n + wheel.slots.length, 0);
+      setStatus(
+        `Imported ${profile.name}: ${profile.personalities.length} DMX modes, ${count(profile.gdtf.goboWheels)} gobos, ${count(profile.gdtf.colorWheels)} color wheel slots, ${profile.gdtf.emitters.length} emitters.`
+      );
+      persistStateSoon();
+    });
+  });
+
+  on("importMvr", "click", async () => {
+    const filePath = await window.appApi.pickFile({
+      title: "Select MVR Scene",
+      filters: [{ name: "My Virtual Rig", extensions: ["mvr"] }]
+    });
+    if (!filePath) return;
+    await withLoading("Importing MVR scene...", async () => {
+      const read = await window.appApi.readMvr(filePath);
+      if (!read?.ok) {
+        setStatus(read?.message || "Could not read that MVR file.", true);
+        return;
+      }
+      let scene = null;
+      try {
+        scene = parseMvrScene(read.sceneXml);
+      } catch (error) {
+        setStatus(`Could not import MVR: ${error?.message || "unknown error"}`, true);
+        return;
+      }
+      if (!scene.fixtures.length && !scene.scenery.length) {
+        setStatus("That MVR scene has no fixtures or scenery.", true);
+        return;
+      }
+
+      // Embedded GDTF files become user profiles, as if imported one by one.
+      const imported = [];
+      read.gdtfFiles.forEach((file) => {
+        try {
+          const profile = normalizeProfile(parseGdtfDescription(file.descriptionXml, file.mediaFiles, file.filePath));
+          if (!profile) return;
+          profile.gdtf.file = file.fileName;
+          imported.push(profile);
+        } catch {
+          // Fixtures of an unreadable type keep the default profile.
+        }
+      });
+      if (imported.length) {
+        const next = [...userProfiles.filter((p) => !imported.some((profile) => profile.id === p.id)), ...imported];
+        const result = await window.appApi.saveFixtureProfiles({ profiles: next });
+        if (!result?.ok) {
+          setStatus(result?.message || "Could not save fixture profiles.", true);
+          return;
+        }
+        userProfiles = next;
+        rebuildPersonalities();
+        initProfileDropdown();
+      }
+
+      let behindWall = 0;
+      if (scene.fixtures.length) {
+        const specKey = (name) => String(name || "").toLowerCase().replace(/\.gdtf$/, "");
+        const bySpec = new Map(userProfiles.filter((p) => p.gdtf?.file).map((p) => [specKey(p.gdtf.file), p]));
+        const fixtures = [];
+        scene.fixtures.slice(0, MAX_FIXTURES).forEach((item) => {
+          // Numbered after the current rig, so cues and effects recorded for it match none of these.
+          const fixture = createFixture([...state.fixtures, ...fixtures], {
+            name: item.name.slice(0, 40),
+            placement: "xyz",
+            positionX: item.positionX,
+            positionY: item.positionY,
+            positionZ: item.positionZ,
+            focusX: item.focusX,
+            focusY: item.focusY,
+            dmxUniverse: item.universe,
+            dmxAddress: item.address,
+            mvrUuid: item.uuid,
+            mvrFixtureId: item.fixtureId,
+            mvrGdtfSpec: item.gdtfSpec,
+            mvrGdtfMode: item.gdtfMode
+          });
+          const profile = bySpec.get(specKey(item.gdtfSpec));
+          if (profile) {
+            applyProfileToFixture(fixture, profile);
+            const mode = profile.gdtf.modes?.find((m) => m.name.toLowerCase() === item.gdtfMode.toLowerCase());
+            if (mode) fixture.dmxPersonality = mode.personalityId;
+          }
+          if (item.behindWall) behindWall += 1;
+          fixtures.push(fixture);
+        });
+        stopCuePlayback();
+        state.fixtures.forEach((f) => {
+          engine.clearGobo(f.id);
+          engine.clearIesProfile(f.id);
+        });
+        iesSummaries.clear();
+        state.fixtures = normalizeFixtures(fixtures);
+        state.selectedFixtureId = state.fixtures[0].id;
+        state.fixtures.forEach((f) => engine.updateGoboTexture(f.id, goboStateOf(f)));
+      }
+
+      const models = new Map(read.models.map((model) => [model.fileName.toLowerCase(), model]));
+      const modeled = await engine.setScenery(scene.scenery, models);
+      const fileName = filePath.split(/[\\/]/).pop();
+      $("mvrInfo").textContent = scene.scenery.length
+        ? `Scenery from ${fileName}: ${scene.scenery.length} parts, ${scene.scenery.length - modeled} shown as blocks.`
+        : "";
+      syncFixtureUi();
+      applyGoboControls(true);
+      pushLightingToRenderer();
+
+      const notes = [];
+      if (scene.fixtures.length > MAX_FIXTURES) notes.push(`only the first ${MAX_FIXTURES} of ${scene.fixtures.length} fixtures were loaded`);
+      if (behindWall) notes.push(`${behindWall} hung upstage of the wall and were moved in front of it`);
+      if (imported.length) notes.push(`${imported.length} GDTF profiles added`);
+      setStatus(
+        `Imported ${Math.min(scene.fixtures.length, MAX_FIXTURES)} fixtures and ${scene.scenery.length} scenery parts from ${fileName}${notes.length ? `; ${notes.join("; ")}` : ""}.`
+      );
+      persistStateSoon();
+    });
+  });
+
+  on("exportMvr", "click", async () => {
+    state.fixtures.forEach((fixture) => {
+      if (!fixture.mvrUuid) fixture.mvrUuid = mvrUuid();
+    });
+    // A GDTF profile names the fixture type itself and is packed into the file; other fixtures
+    // keep whatever type the plot they were imported from gave them.
+    const gdtfFiles = new Map();
+    const entries = state.fixtures.map((fixture) => {
+      const gdtf = findProfile(fixture.profileId)?.gdtf;
+      if (!gdtf?.file) return { fixture, gdtfSpec: fixture.mvrGdtfSpec, gdtfMode: fixture.mvrGdtfMode };
+      if (gdtf.filePath) gdtfFiles.set(gdtf.file, gdtf.filePath);
+      const mode = gdtf.modes?.find((m) => m.personalityId === fixture.dmxPersonality);
+      return { fixture, gdtfSpec: gdtf.file, gdtfMode: mode?.name || fixture.mvrGdtfMode };
+    });
+    const result = await window.appApi.saveMvr({
+      suggestedName: "lighting-preview.mvr",
+      sceneXml: buildMvrScene(entries),
+      gdtfFiles: Array.from(gdtfFiles, ([name, path]) => ({ name, path }))
+    });
+    if (result?.canceled) return;
+    if (!result?.ok) {
+      setStatus(result?.message || "Failed to export MVR.", true);
+      return;
+    }
+    const missing = result.missing.length ? ` Could not pack ${result.missing.join(", ")}.` : "";
+    setStatus(`Exported ${entries.length} fixtures to ${result.filePath}.${missing}`);
+    persistStateSoon();
+  });
+
+  on("clearScenery", "click", () => {
+    engine.clearScenery();
+    $("mvrInfo").textContent = "";
+    setStatus("Scenery cleared.");
+  });
+
+  bindRangeAndNumber("kelvinSlider", "kelvinNumber", (v) => {
+    const fx = selectedFixture();
+    fx.kelvin = clamp(v, 1800, 12000);
+    fx.lightColorHex = sourceColorHex(fx);
+    $("lightColorHex").value = fx.lightColorHex;
+    $("lightColorPicker").value = fx.lightColorHex;
+    updateGelTransmission();
+    updateDimmerInfo();
+    pushLightingToRenderer();
+  });
+  bindRangeAndNumber("luxSlider", "luxNumber", (v) => {
+    selectedFixture().lux = clamp(v, 1, 20000);
+    pushLightingToRenderer();
+  });
+  bindRangeAndNumber("dimmerLevelSlider", "dimmerLevelNumber", (v) => {
+    selectedFixture().dimmerLevel = clamp(v, 0, 100);
+    updateDimmerInfo();
+    updateGelTransmission();
+    pushLightingToRenderer();
+  });
+  on("dimmerCurve", "change", () => {
+    selectedFixture().dimmerCurve = $("dimmerCurve").value;
+    updateDimmerInfo();
+    updateGelTransmission();
+    pushLightingToRenderer();
+    persistStateSoon();
   });
   bindRangeAndNumber("azimuthSlider", "azimuthNumber", (v) => {
-    state.azimuth = clamp(v, -80, 80);
+    const fx = selectedFixture();
+    fx.azimuth = clamp(v, -80, 80);
+    syncPlacementUi(fx);
     pushLightingToRenderer();
   });
   bindRangeAndNumber("elevationSlider", "elevationNumber", (v) => {
-    state.elevation = clamp(v, -30, 70);
+    const fx = selectedFixture();
+    fx.elevation = clamp(v, -30, 70);
+    syncPlacementUi(fx);
+    pushLightingToRenderer();
+  });
+  on("placementMode", "change", () => {
+    const fx = selectedFixture();
+    setPlacement(fx, $("placementMode").value);
+    syncFixtureUi();
+    pushLightingToRenderer();
+    persistStateSoon();
+  });
+  bindRangeAndNumber("panSlider", "panNumber", (v) => {
+    const fx = selectedFixture();
+    fx.pan = clamp(v, -fx.panRange / 2, fx.panRange / 2);
+    syncPlacementUi(fx);
+    pushLightingToRenderer();
+  });
+  bindRangeAndNumber("tiltSlider", "tiltNumber", (v) => {
+    const fx = selectedFixture();
+    fx.tilt = clamp(v, -fx.tiltRange / 2, fx.tiltRange / 2);
+    syncPlacementUi(fx);
     pushLightingToRenderer();
   });
+  [
+    ["panRangeNumber", "panRange", 0, 720],
+    ["tiltRangeNumber", "tiltRange", 0, 360],
+    ["zoomMinNumber", "zoomMin", 1, 100],
+    ["zoomMaxNumber", "zoomMax", 1, 100]
+  ].forEach(([id, key, min, max]) => {
+    on(id, "change", () => {
+      const fx = selectedFixture();
+      const v = Number($(id).value);
+      if (Number.isFinite(v)) fx[key] = clamp(v, min, max);
+      // Keep pan/tilt inside the travel and the beam inside the zoom.
+      if (key === "zoomMin") fx.zoomMax = Math.max(fx.zoomMax, fx.zoomMin);
+      if (key === "zoomMax") fx.zoomMin = Math.min(fx.zoomMin, fx.zoomMax);
+      fx.pan = clamp(fx.pan, -fx.panRange / 2, fx.panRange / 2);
+      fx.tilt = clamp(fx.tilt, -fx.tiltRange / 2, fx.tiltRange / 2);
+      fx.beamAngle = clamp(fx.beamAngle, fx.zoomMin, fx.zoomMax);
+      syncFixtureUi();
+      pushLightingToRenderer();
+      persistStateSoon();
+    });
+  });
+  [
+    ["focusXNumber", "focusX", -1.9, 1.9],
+    ["focusYNumber", "focusY", -0.2, 2.2],
+    ["positionXNumber", "positionX", -30, 30],
+    ["positionYNumber", "positionY", -1, 20],
+    ["positionZNumber", "positionZ", 0.3, 40]
+  ].forEach(([id, key, min, max]) => {
+    on(id, "change", () => {
+      const fx = selectedFixture();
+      const v = Number($(id).value);
+      if (Number.isFinite(v)) fx[key] = clamp(v, min, max);
+      syncPlacementUi(fx);
+      pushLightingToRenderer();
+      persistStateSoon();
+    });
+  });
   bindRangeAndNumber("beamAngleSlider", "beamAngleNumber", (v) => {
-    state.beamAngle = clamp(v, 10, 80);
+    const fx = selectedFixture();
+    // A moving head's zoom only reaches so far.
+    fx.beamAngle = fx.placement === "moving" ? clamp(v, fx.zoomMin, fx.zoomMax) : clamp(v, 4, 100);
     pushLightingToRenderer();
   });
   bindRangeAndNumber("softnessSlider", "softnessNumber", (v) => {
-    state.softness = clamp(v, 0, 1);
+    selectedFixture().softness = clamp(v, 0, 1);
+    // Wash lenses carry their field spread in the beam mask.
+    applyGoboControls();
+    pushLightingToRenderer();
+  });
+  on("lensType", "change", () => {
+    selectedFixture().lensType = $("lensType").value;
+    syncFixtureUi();
+    applyGoboControls(true);
     pushLightingToRenderer();
+    persistStateSoon();
+  });
+  // The emitter only shapes HQ shadows, so nothing in the preview changes.
+  on("emitterPreset", "change", () => {
+    const preset = EMITTER_PRESETS.find((p) => p.id === $("emitterPreset").value);
+    if (!preset) return;
+    Object.assign(selectedFixture(), { emitterShape: preset.shape, emitterWidth: preset.width, emitterHeight: preset.height });
+    syncFixtureUi();
+    persistStateSoon();
+  });
+  on("emitterShape", "change", () => {
+    selectedFixture().emitterShape = $("emitterShape").value;
+    syncFixtureUi();
+    persistStateSoon();
+  });
+  ["emitterWidth", "emitterHeight"].forEach((id) => {
+    on(id, "change", () => {
+      const fx = selectedFixture();
+      fx[id] = Math.round(clamp(Number($(id).value) || 150, EMITTER_SIZE_LIMITS.min, EMITTER_SIZE_LIMITS.max));
+      syncFixtureUi();
+      persistStateSoon();
+    });
+  });
+  bindRangeAndNumber("ovalRatioSlider", "ovalRatioNumber", (v) => {
+    selectedFixture().ovalRatio = clamp(v, 1, 3);
+    applyGoboControls();
+  });
+  bindRangeAndNumber("ovalRotationSlider", "ovalRotationNumber", (v) => {
+    selectedFixture().ovalRotation = clamp(v, -90, 90);
+    applyGoboControls();
   });
   bindRangeAndNumber("distanceSlider", "distanceNumber", (v) => {
-    state.throwDistance = clamp(v, 1.2, 8);
+    const fx = selectedFixture();
+    fx.throwDistance = clamp(v, 1.2, 8);
+    syncPlacementUi(fx);
     pushLightingToRenderer();
   });
   bindRangeAndNumber("houseLightIntensitySlider", "houseLightIntensityNumber", (v) => {
@@ -806,37 +2883,102 @@ async function bootstrap() {
     pushLightingToRenderer();
   });
   bindRangeAndNumber("goboScaleSlider", "goboScaleNumber", (v) => {
-    state.goboScale = clamp(v, 0.3, 3.0);
+    selectedFixture().goboScale = clamp(v, 0.3, 3.0);
     applyGoboControls();
   });
   bindRangeAndNumber("goboRotationSlider", "goboRotationNumber", (v) => {
-    state.goboRotation = clamp(v, -180, 180);
+    selectedFixture().goboRotation = clamp(v, -180, 180);
     applyGoboControls();
   });
+  // The wheel turns in the renderer every frame; only its speed changes here.
+  bindRangeAndNumber("goboSpinSlider", "goboSpinNumber", (v) => {
+    const fx = selectedFixture();
+    fx.goboSpin = clamp(v, -360, 360);
+    engine.setGoboSpin(fx.id, liveFixture(fx).goboSpin);
+  });
   bindRangeAndNumber("goboFocusSlider", "goboFocusNumber", (v) => {
-    state.goboFocus = clamp(v, 0, 8);
+    selectedFixture().goboFocus = clamp(v, 0, 8);
     applyGoboControls();
   });
 
   on("goboInvert", "change", () => {
-    state.goboInvert = $("goboInvert").checked;
+    selectedFixture().goboInvert = $("goboInvert").checked;
+    applyGoboControls(true);
+    persistStateSoon();
+  });
+  SHUTTER_SIDES.forEach((side) => {
+    const { depthKey, angleKey } = shutterKeys(side);
+    bindRangeAndNumber(`${depthKey}Slider`, `${depthKey}Number`, (v) => {
+      selectedFixture()[depthKey] = clamp(v, 0, 100);
+      applyGoboControls();
+    });
+    bindRangeAndNumber(`${angleKey}Slider`, `${angleKey}Number`, (v) => {
+      selectedFixture()[angleKey] = clamp(v, -45, 45);
+      applyGoboControls();
+    });
+  });
+  bindRangeAndNumber("irisSizeSlider", "irisSizeNumber", (v) => {
+    selectedFixture().irisSize = clamp(v, 5, 100);
+    applyGoboControls();
+  });
+  SHUTTER_SIDES.forEach((side) => {
+    const key = barnDoorKey(side);
+    bindRangeAndNumber(`${key}Slider`, `${key}Number`, (v) => {
+      selectedFixture()[key] = clamp(v, 0, 100);
+      applyGoboControls();
+    });
+  });
+  bindRangeAndNumber("barnDoorRotationSlider", "barnDoorRotationNumber", (v) => {
+    selectedFixture().barnDoorRotation = clamp(v, -180, 180);
+    applyGoboControls();
+  });
+  on("resetBarnDoors", "click", () => {
+    const fx = selectedFixture();
+    SHUTTER_SIDES.forEach((side) => {
+      fx[barnDoorKey(side)] = 0;
+    });
+    fx.barnDoorRotation = 0;
+    syncFixtureUi();
+    applyGoboControls(true);
+    persistStateSoon();
+  });
+  on("resetShutters", "click", () => {
+    const fx = selectedFixture();
+    SHUTTER_SIDES.forEach((side) => {
+      const { depthKey, angleKey } = shutterKeys(side);
+      fx[depthKey] = 0;
+      fx[angleKey] = 0;
+    });
+    fx.irisSize = 100;
+    syncFixtureUi();
     applyGoboControls(true);
     persistStateSoon();
   });
 
-  on("lightColorHex", "change", () => {
-    state.lightColorHex = sanitizeHex($("lightColorHex").value, state.lightColorHex);
-    $("lightColorHex").value = state.lightColorHex;
-    $("lightColorPicker").value = state.lightColorHex;
+  on("sourceType", "change", () => {
+    const fx = selectedFixture();
+    fx.sourceType = $("sourceType").value;
+    if (fx.sourceType !== "led-rgb") fx.lightColorHex = sourceColorHex(fx);
+    $("lightColorHex").value = fx.lightColorHex;
+    $("lightColorPicker").value = fx.lightColorHex;
+    updateGelTransmission();
     pushLightingToRenderer();
     persistStateSoon();
   });
-  on("lightColorPicker", "input", () => {
-    state.lightColorHex = sanitizeHex($("lightColorPicker").value, state.lightColorHex);
-    $("lightColorHex").value = state.lightColorHex;
+  // An arbitrary color can only come from mixed emitters, so picking one switches to RGB LED.
+  const applyLightColor = (hex) => {
+    const fx = selectedFixture();
+    fx.lightColorHex = sanitizeHex(hex, fx.lightColorHex);
+    fx.sourceType = "led-rgb";
+    $("sourceType").value = fx.sourceType;
+    $("lightColorHex").value = fx.lightColorHex;
+    $("lightColorPicker").value = fx.lightColorHex;
+    updateGelTransmission();
     pushLightingToRenderer();
     persistStateSoon();
-  });
+  };
+  on("lightColorHex", "change", () => applyLightColor($("lightColorHex").value));
+  on("lightColorPicker", "input", () => applyLightColor($("lightColorPicker").value));
   on("houseLightColorHex", "change", () => {
     state.houseLightColorHex = sanitizeHex($("houseLightColorHex").value, state.houseLightColorHex);
     $("houseLightColorHex").value = state.houseLightColorHex;
@@ -851,39 +2993,183 @@ async function bootstrap() {
     persistStateSoon();
   });
 
-  on("gelPreset", "change", () => {
-    state.gelPresetName = $("gelPreset").value;
-    const found = GEL_PRESETS.find((g) => g.name === state.gelPresetName);
-    if (found) {
-      state.gelHex = found.hex.toLowerCase();
-      $("gelHex").value = state.gelHex;
-      $("gelColorPicker").value = state.gelHex;
-    }
-    pushLightingToRenderer();
+  const addGelLayer = () => {
+    const gel = findGel(gelLibrary, $("gelList").value);
+    if (!gel) return;
+    const fx = selectedFixture();
+    fx.gels.push({ gelId: gel.id, hex: gel.hex });
+    selectedGelLayer = fx.gels.length - 1;
+    setStatus(`Added ${gelLabel(gel)} to ${fx.name}.`);
+    gelStackChanged();
+  };
+  on("gelList", "change", () => renderGelList());
+  on("gelList", "dblclick", addGelLayer);
+  on("addGelLayer", "click", addGelLayer);
+  on("addCustomGel", "click", () => {
+    const fx = selectedFixture();
+    fx.gels.push({ gelId: "", hex: sanitizeHex($("gelHex").value, "#ffffff") });
+    selectedGelLayer = fx.gels.length - 1;
+    gelStackChanged();
+  });
+  on("gelStack", "change", () => {
+    selectedGelLayer = Number($("gelStack").value);
+    renderGelStack();
+    renderGelList();
+  });
+  on("removeGelLayer", "click", () => {
+    const fx = selectedFixture();
+    if (!fx.gels[selectedGelLayer]) return;
+    fx.gels.splice(selectedGelLayer, 1);
+    selectedGelLayer = Math.min(selectedGelLayer, fx.gels.length - 1);
+    gelStackChanged();
+  });
+  [["moveGelUp", -1], ["moveGelDown", 1]].forEach(([id, step]) => {
+    on(id, "click", () => {
+      const fx = selectedFixture();
+      const to = selectedGelLayer + step;
+      if (!fx.gels[selectedGelLayer] || !fx.gels[to]) return;
+      [fx.gels[selectedGelLayer], fx.gels[to]] = [fx.gels[to], fx.gels[selectedGelLayer]];
+      selectedGelLayer = to;
+      gelStackChanged();
+    });
+  });
+  on("gelSearch", "input", () => renderGelList());
+  on("gelFavoritesOnly", "change", () => renderGelList());
+  on("houseStockOnly", "change", () => {
+    state.houseStockOnly = $("houseStockOnly").checked;
+    renderGelList();
+    persistStateSoon();
+  });
+  on("toggleGelFavorite", "click", () => {
+    const gel = findGel(gelLibrary, $("gelList").value);
+    if (!gel) return;
+    state.gelFavorites = state.gelFavorites.includes(gel.id)
+      ? state.gelFavorites.filter((id) => id !== gel.id)
+      : [...state.gelFavorites, gel.id];
+    renderGelList();
     persistStateSoon();
   });
-  on("gelHex", "change", () => {
-    state.gelHex = sanitizeHex($("gelHex").value, state.gelHex);
-    state.gelPresetName = "None (Open White)";
-    $("gelPreset").value = "None (Open White)";
-    $("gelHex").value = state.gelHex;
-    $("gelColorPicker").value = state.gelHex;
+  on("loadGelCatalog", "click", async () => {
+    const filePath = await window.appApi.pickFile({
+      title: "Select Gel Catalog",
+      filters: [{ name: "Gel Catalog", extensions: ["csv", "json", "txt"] }]
+    });
+    if (!filePath) return;
+    await withLoading("Loading gel catalog...", () => loadGelCatalog(filePath));
+    renderGelList();
+    renderGelStack();
     pushLightingToRenderer();
     persistStateSoon();
   });
-  on("gelColorPicker", "input", () => {
-    state.gelHex = sanitizeHex($("gelColorPicker").value, state.gelHex);
-    state.gelPresetName = "None (Open White)";
-    $("gelPreset").value = "None (Open White)";
-    $("gelHex").value = state.gelHex;
+  on("clearGelCatalogs", "click", () => {
+    gelCatalogs = [];
+    gelLibrary = buildGelLibrary([]);
+    state.gelCatalogPaths = [];
+    renderGelList();
+    renderGelStack();
     pushLightingToRenderer();
+    setStatus("Imported gel catalogs cleared.");
+    persistStateSoon();
+  });
+  on("loadHouseStock", "click", async () => {
+    const filePath = await window.appApi.pickFile({
+      title: "Select House Gel Stock List",
+      filters: [{ name: "Stock List", extensions: ["txt", "csv", "json"] }]
+    });
+    if (!filePath) return;
+    await loadHouseStock(filePath);
+    if (houseStock) state.houseStockOnly = true;
+    renderGelList();
     persistStateSoon();
   });
+  on("clearHouseStock", "click", () => {
+    houseStock = null;
+    state.houseStockPath = "";
+    state.houseStockOnly = false;
+    renderGelList();
+    setStatus("House stock cleared.");
+    persistStateSoon();
+  });
+  // The HEX fields edit the selected custom layer, or hold the color for "Add Custom".
+  const applyCustomGelHex = (hex) => {
+    const fx = selectedFixture();
+    const layer = fx.gels[selectedGelLayer];
+    const clean = sanitizeHex(hex, layer ? layer.hex : "#ffffff");
+    $("gelHex").value = clean;
+    $("gelColorPicker").value = clean;
+    if (!layer || layer.gelId) return;
+    layer.hex = clean;
+    gelStackChanged();
+  };
+  on("gelHex", "change", () => applyCustomGelHex($("gelHex").value));
+  on("gelColorPicker", "input", () => applyCustomGelHex($("gelColorPicker").value));
 
+  on("hqMode", "change", () => {
+    state.hqMode = $("hqMode").value;
+    syncHqModeUi();
+    persistStateSoon();
+  });
+  on("hqSamples", "change", () => {
+    state.hqSamples = Math.round(clamp(Number($("hqSamples").value) || 16, 1, 4096));
+    $("hqSamples").value = String(state.hqSamples);
+    persistStateSoon();
+  });
+  on("hqNoiseTarget", "change", () => {
+    state.hqNoiseTarget = clamp(Number($("hqNoiseTarget").value) || 1, 0.05, 50);
+    $("hqNoiseTarget").value = String(state.hqNoiseTarget);
+    persistStateSoon();
+  });
+  on("renderSeed", "change", () => {
+    state.renderSeed = Math.round(clamp(Number($("renderSeed").value) || 0, 0, 4294967295));
+    $("renderSeed").value = String(state.renderSeed);
+    persistStateSoon();
+  });
+  on("newRenderSeed", "click", () => {
+    state.renderSeed = Math.floor(Math.random() * 1000000);
+    $("renderSeed").value = String(state.renderSeed);
+    persistStateSoon();
+  });
   on("renderResolution", "change", () => {
+    // Custom keeps the current size and opens it up for editing.
+    if ($("renderResolution").value === "custom") {
+      $("renderWidth").disabled = false;
+      $("renderHeight").disabled = false;
+      return;
+    }
     state.renderResolution = $("renderResolution").value;
+    syncResolutionUi();
+    persistStateSoon();
+  });
+  ["renderWidth", "renderHeight"].forEach((id) => {
+    on(id, "change", () => {
+      const [width, height] = ["renderWidth", "renderHeight"].map((key) =>
+        Math.round(clamp(Number($(key).value) || 0, RESOLUTION_LIMITS.min, RESOLUTION_LIMITS.max))
+      );
+      state.renderResolution = formatResolution(width, height);
+      syncResolutionUi();
+      persistStateSoon();
+    });
+  });
+  on("sequenceSource", "change", () => {
+    state.sequenceSource = $("sequenceSource").value;
+    persistStateSoon();
+  });
+  on("sequenceLength", "change", () => {
+    state.sequenceLength = clamp(Number($("sequenceLength").value) || 4, 0.1, 600);
+    $("sequenceLength").value = String(state.sequenceLength);
+    persistStateSoon();
+  });
+  on("sequenceFps", "change", () => {
+    state.sequenceFps = Number($("sequenceFps").value);
+    persistStateSoon();
+  });
+  on("sequenceFormat", "change", () => {
+    state.sequenceFormat = $("sequenceFormat").value;
     persistStateSoon();
   });
+  on("renderSequenceButton", "click", () => {
+    if (!isRendering) renderSequence();
+  });
 
   on("loadBaseTexture", "click", async () => {
     const filePath = await window.appApi.pickFile({
@@ -993,30 +3279,100 @@ async function bootstrap() {
       filters: [{ name: "Gobo Image", extensions: ["png", "jpg", "jpeg"] }]
     });
     if (!filePath) return;
-    await loadGobo(filePath);
+    await loadGobo(selectedFixture(), filePath);
+    persistStateSoon();
+  });
+
+  on("goboWheelSlot", "change", async () => {
+    const fx = selectedFixture();
+    const slotPath = $("goboWheelSlot").value;
+    if (slotPath) {
+      await loadGobo(fx, slotPath);
+    } else {
+      fx.goboPath = "";
+      engine.clearGobo(fx.id);
+      updatePathLabels();
+    }
+    persistStateSoon();
+  });
+  ["cmyCyan", "cmyMagenta", "cmyYellow"].forEach((key) => {
+    on(`${key}Number`, "change", () => {
+      const fx = selectedFixture();
+      const v = Number($(`${key}Number`).value);
+      if (Number.isFinite(v)) fx[key] = clamp(v, 0, 100);
+      $(`${key}Number`).value = String(fx[key]);
+      updateGelTransmission();
+      pushLightingToRenderer();
+      persistStateSoon();
+    });
+  });
+  on("colorWheelSlot", "change", () => {
+    selectedFixture().colorWheelHex = $("colorWheelSlot").value;
+    updateGelTransmission();
+    pushLightingToRenderer();
     persistStateSoon();
   });
 
   on("clearGobo", "click", () => {
-    state.goboPath = "";
-    engine.clearGobo();
+    const fx = selectedFixture();
+    fx.goboPath = "";
+    engine.clearGobo(fx.id);
     updatePathLabels();
     setStatus("Gobo cleared.");
     persistStateSoon();
   });
 
+  on("loadIes", "click", async () => {
+    const filePath = await window.appApi.pickFile({
+      title: "Select IES Photometric File",
+      filters: [{ name: "IES Photometry", extensions: ["ies"] }]
+    });
+    if (!filePath) return;
+    await loadIes(selectedFixture(), filePath);
+    syncFixtureUi();
+    pushLightingToRenderer();
+    persistStateSoon();
+  });
+
+  on("clearIes", "click", () => {
+    const fx = selectedFixture();
+    fx.iesPath = "";
+    iesSummaries.delete(fx.id);
+    engine.clearIesProfile(fx.id);
+    syncFixtureUi();
+    pushLightingToRenderer();
+    setStatus("IES profile cleared.");
+    persistStateSoon();
+  });
+
+  on("iesUseOutput", "change", () => {
+    selectedFixture().iesUseOutput = $("iesUseOutput").checked;
+    syncFixtureUi();
+    pushLightingToRenderer();
+    persistStateSoon();
+  });
+
   on("hqRenderButton", "click", async () => {
     if (isRendering) return;
-    setBusyRenderUI(true);
-    setStatus("Rendering high quality still...");
+    setBusyRenderUI(true, state.hqMode === "unlimited");
+    setStatus(state.hqMode === "unlimited" ? "Rendering high quality still until stopped..." : "Rendering high quality still...");
     try {
-      const { width, height } = parseResolution($("renderResolution").value);
+      const { width, height } = parseResolution(state.renderResolution);
+      const floatFits = width * height <= FLOAT_EXPORT_MAX_PIXELS;
       const result = await engine.renderHighQuality(
-        { ...state, finalLightColorHex: finalLightHex() },
+        lightingStateForRenderer(state.fxFreezeEnabled ? state.fxFreezeTime : engine.getEffectsTime()),
         width,
-        height
+        height,
+        {
+          ...hqRenderOptions(true),
+          floatOutput: floatFits,
+          goboTime: state.fxFreezeEnabled ? state.fxFreezeTime : undefined
+        }
       );
       if (result.ok) {
+        if (result.fallback) stillFloatNote = "The last render used the fallback path, which only exports as an 8-bit PNG.";
+        else if (!floatFits) stillFloatNote = `16-bit PNG and EXR export go up to ${(FLOAT_EXPORT_MAX_PIXELS / 1e6).toFixed(1)} megapixels; this ${width}×${height} render exports as an 8-bit PNG.`;
+        else stillFloatNote = "";
         $("exportButton").disabled = false;
         setProgress(100);
         if (result.fallback) {
@@ -1037,22 +3393,42 @@ async function bootstrap() {
   });
 
   on("cancelRenderButton", "click", () => {
-    if (isRendering) engine.requestCancelRender();
+    if (!isRendering) return;
+    sequenceCanceled = true;
+    engine.requestCancelRender();
+  });
+
+  on("exportFormat", "change", () => {
+    state.exportFormat = $("exportFormat").value;
+    persistStateSoon();
   });
 
   on("exportButton", "click", async () => {
-    const bytes = await engine.getLastRenderBytes();
+    const format = state.exportFormat;
+    let bytes = await engine.getLastRenderBytes();
     if (!bytes) {
       setStatus("Run a high quality render before exporting.", true);
       return;
     }
+    if (format !== "png") {
+      const result = engine.getLastRenderFloat();
+      if (!result) {
+        setStatus(stillFloatNote, true);
+        return;
+      }
+      setStatus(format === "exr" ? "Encoding OpenEXR..." : "Encoding 16-bit PNG...");
+      bytes = format === "exr"
+        ? encodeExr(result.width, result.height, result.linear)
+        : await encodePng16(result.width, result.height, linearToDisplay16(result.linear, result.exposure));
+    }
     const stamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const response = await window.appApi.savePng({
-      suggestedName: `lighting-render-${stamp}.png`,
+    const response = await window.appApi.saveRender({
+      format,
+      suggestedName: `lighting-render-${stamp}.${format === "exr" ? "exr" : "png"}`,
       bytes
     });
     if (response.ok) setStatus(`Exported: ${response.filePath}`);
-    else if (!response.canceled) setStatus(response.message || "Could not export PNG.", true);
+    else if (!response.canceled) setStatus(response.message || "Could not export the render.", true);
   });
 
   const cogBtn = $("cogButton");
@@ -1073,11 +3449,16 @@ async function bootstrap() {
           await handleReloadTextures();
           setStatus("Wall model reset and textures re-applied.");
         } else if (action === "reloadLight") {
+          stopCuePlayback();
+          state.fixtures.forEach((f) => {
+            engine.clearGobo(f.id);
+            engine.clearIesProfile(f.id);
+          });
+          iesSummaries.clear();
           resetLightStateToDefaults();
-          state.goboPath = "";
+          state.fixtures.forEach((f) => engine.updateGoboTexture(f.id, goboStateOf(f)));
           syncUiFromState();
           pushLightingToRenderer();
-          engine.clearGobo();
           setStatus("Light and theatre settings reset to defaults.");
         } else if (action === "reloadCode") {
           if (!START_WITH_BLANK_SLATE) {
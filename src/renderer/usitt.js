@@ -0,0 +1,191 @@
+import { captureLook, normalizeCue } from "./cues.js";
+
+// USITT ASCII (ASCII Text Representation for Lighting Console Data, 3:0). One record per line:
+// a keyword and fields split by spaces, tabs, commas, "/", "<" or "@". Cue records own the
+// Text, Up, Down, Followon, Link, Part and Chan lines that follow them; lines starting with "!"
+// are comments and "$" keywords are manufacturer-specific.
+const DELIMITERS = /[\s,/<@]+/;
+const CUE_SECONDARY = ["text", "up", "down", "followon", "link", "part", "chan"];
+const MAX_LINE = 80;
+
+function clamp(v, min, max) {
+  return Math.max(min, Math.min(max, v));
+}
+
+// "FL" is full, "Hxx" is hex 00-FF, anything else a percentage.
+function parseLevel(text) {
+  const value = String(text || "").trim().toUpperCase();
+  if (value === "FL" || value === "FULL") return 100;
+  if (/^H[0-9A-F]{1,2}$/.test(value)) return (Number.parseInt(value.slice(1), 16) / 255) * 100;
+  const n = Number(value);
+  return Number.isFinite(n) ? clamp(n, 0, 100) : null;
+}
+
+// Seconds, or minutes:seconds.
+function parseTime(text) {
+  if (text === undefined) return null;
+  const parts = String(text).split(":").map(Number);
+  if (!parts.length || parts.length > 2 || !parts.every(Number.isFinite)) return null;
+  return clamp(parts.length === 2 ? parts[0] * 60 + parts[1] : parts[0], 0, 600);
+}
+
+function formatNumber(n) {
+  return String(Number(n.toFixed(2)));
+}
+
+// { manufacturer, console, cues, patch, ignored }. Cues carry their times and a Map of channel
+// to level (0-100); patch is a Map of channel to [{ output, level }] with absolute DMX outputs.
+// Group and Sub records are counted in `ignored` but not loaded.
+export function parseUsittAscii(text) {
+  const show = { manufacturer: "", console: "", cues: [], patch: new Map(), ignored: { groups: 0, subs: 0, links: 0 } };
+  let cue = null;
+  let inPart = false;
+  const lines = String(text || "").replace(/^\uFEFF/, "").split(/\r?\n/);
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("!")) continue;
+    const keyword = line.split(DELIMITERS, 1)[0].toLowerCase();
+    const rest = line.slice(keyword.length).trim();
+    const fields = rest ? rest.split(DELIMITERS).filter(Boolean) : [];
+    if (keyword === "enddata") break;
+    if (cue && CUE_SECONDARY.includes(keyword)) {
+      if (keyword === "text") cue.label = rest.slice(0, 40);
+      else if (keyword === "part") inPart = true;
+      else if (keyword === "link") show.ignored.links += 1;
+      else if (keyword === "chan") {
+        for (let i = 0; i + 1 < fields.length; i += 2) {
+          const channel = Number.parseInt(fields[i], 10);
+          const level = parseLevel(fields[i + 1]);
+          if (channel > 0 && level !== null) cue.levels.set(channel, level);
+        }
+      } else if (keyword === "followon") cue.follow = parseTime(fields[0]);
+      else if (!inPart) {
+        // Parts keep their own times; only the cue's are used.
+        const time = parseTime(fields[0]);
+        const delay = parseTime(fields[1]) || 0;
+        if (keyword === "up" && time !== null) Object.assign(cue, { upTime: time, upDelay: delay });
+        if (keyword === "down" && time !== null) Object.assign(cue, { downTime: time, downDelay: delay });
+      }
+      continue;
+    }
+    cue = null;
+    inPart = false;
+    if (keyword === "cue") {
+      const number = Number(fields[0]);
+      if (!(number > 0)) continue;
+      cue = { number, label: "", upTime: null, upDelay: 0, downTime: null, downDelay: 0, follow: null, levels: new Map() };
+      show.cues.push(cue);
+    } else if (keyword === "patch") {
+      // Page, then channel/output/level triples.
+      for (let i = 1; i + 2 < fields.length; i += 3) {
+        const channel = Number.parseInt(fields[i], 10);
+        const output = Number.parseInt(fields[i + 1], 10);
+        const level = parseLevel(fields[i + 2]);
+        if (!(channel > 0) || !(output > 0) || level === null) continue;
+        show.patch.set(channel, [...(show.patch.get(channel) || []), { output, level }]);
+      }
+    } else if (keyword === "manufacturer") show.manufacturer = rest;
+    else if (keyword === "console") show.console = rest;
+    else if (keyword === "group") show.ignored.groups += 1;
+    else if (keyword === "sub") show.ignored.subs += 1;
+  }
+  return show;
+}
+
+// Fixture ids and proportional level per console channel. A patch drives every fixture whose
+// intensity output (`outputOf`, absolute DMX) it names; without one, or when it names none of
+// the rig's outputs, channel n is fixture n.
+export function usittChannelMap(show, fixtures, outputOf) {
+  const map = new Map();
+  show.patch.forEach((outputs, channel) => {
+    const targets = [];
+    outputs.forEach(({ output, level }) => {
+      fixtures.forEach((f) => {
+        if (outputOf(f) === output) targets.push({ id: f.id, scale: level / 100 });
+      });
+    });
+    if (targets.length) map.set(channel, targets);
+  });
+  if (!map.size) fixtures.forEach((f, i) => map.set(i + 1, [{ id: f.id, scale: 1 }]));
+  return map;
+}
+
+// Cues for the cue list, each a look of the current `state` with the console's levels on the
+// patched fixtures. Channels a cue does not list are at zero; fixtures on no channel keep their
+// current level.
+export function usittCues(show, state, channelMap) {
+  const controlled = new Set();
+  channelMap.forEach((targets) => targets.forEach((t) => controlled.add(t.id)));
+  return show.cues
+    .map((source) => {
+      const look = captureLook(state);
+      look.fixtures.forEach((f) => {
+        if (controlled.has(f.id)) f.dimmerLevel = 0;
+      });
+      source.levels.forEach((level, channel) => {
+        (channelMap.get(channel) || []).forEach(({ id, scale }) => {
+          const f = look.fixtures.find((entry) => entry.id === id);
+          if (f) f.dimmerLevel = Math.max(f.dimmerLevel, clamp(level * scale, 0, 100));
+        });
+      });
+      return normalizeCue({
+        number: source.number,
+        label: source.label,
+        upTime: source.upTime ?? 3,
+        downTime: source.downTime ?? source.upTime ?? 3,
+        delay: source.upDelay,
+        follow: source.follow,
+        look
+      });
+    })
+    .filter(Boolean);
+}
+
+// Keyword followed by as many fields as fit in an 80-character line, repeating the keyword.
+function wrapRecord(keyword, fields) {
+  const lines = [];
+  let line = keyword;
+  fields.forEach((field) => {
+    if (line.length + 1 + field.length > MAX_LINE && line !== keyword) {
+      lines.push(line);
+      line = keyword;
+    }
+    line += ` ${field}`;
+  });
+  if (line !== keyword) lines.push(line);
+  return lines;
+}
+
+// Show file for a desk: channel n is fixture n in the rig, patched to its intensity output
+// (`outputOf`, 0 leaves it unpatched), and every cue's dimmer levels. `cues` that are empty
+// export the current look as cue 1.
+export function buildUsittAscii(state, cues, outputOf) {
+  const channelOf = new Map(state.fixtures.map((f, i) => [f.id, i + 1]));
+  const lines = [
+    "Ident 3:0",
+    "Manufacturer Lighting Texture Previewer",
+    "Console Lighting Texture Previewer 1.1",
+    "! Channel n is fixture n in the previewer's rig:",
+    ...state.fixtures.map((f, i) => `! ${i + 1} ${f.name}`)
+  ];
+  const patch = state.fixtures
+    .map((f, i) => ({ channel: i + 1, output: outputOf(f) }))
+    .filter((p) => p.output > 0)
+    .map((p) => `${p.channel}<${p.output}@100`);
+  lines.push(...wrapRecord("Patch 1", patch));
+  const list = cues.length ? cues : [{ number: 1, label: "", upTime: 3, downTime: 3, delay: 0, follow: null, look: captureLook(state) }];
+  list.forEach((cue) => {
+    lines.push(`Cue ${formatNumber(cue.number)}`);
+    if (cue.label) lines.push(`Text ${cue.label}`);
+    lines.push(`Up ${formatNumber(cue.upTime)}${cue.delay ? ` ${formatNumber(cue.delay)}` : ""}`);
+    lines.push(`Down ${formatNumber(cue.downTime)}${cue.delay ? ` ${formatNumber(cue.delay)}` : ""}`);
+    if (cue.follow !== null) lines.push(`Followon ${formatNumber(cue.follow)}`);
+    const levels = cue.look.fixtures
+      .filter((f) => channelOf.has(f.id) && f.dimmerLevel > 0)
+      .sort((a, b) => channelOf.get(a.id) - channelOf.get(b.id))
+      .map((f) => `${channelOf.get(f.id)}/${Math.round(f.dimmerLevel)}`);
+    lines.push(...wrapRecord("Chan", levels));
+  });
+  lines.push("EndData", "");
+  return lines.join("\r\n");
+}
@@ -0,0 +1,164 @@
+// WebM video from rendered frames: WebCodecs encodes VP9 (or VP8) and the chunks are written
+// into a Matroska container here, with explicit timestamps so slow HQ frames still play back
+// at the chosen frame rate.
+const CODECS = [
+  { config: "vp09.00.41.08", id: "V_VP9" },
+  { config: "vp8", id: "V_VP8" }
+];
+
+// A keyframe every two seconds keeps scrubbing usable without bloating the file.
+const KEYFRAME_SECONDS = 2;
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+  let offset = 0;
+  parts.forEach((p) => {
+    out.set(p, offset);
+    offset += p.length;
+  });
+  return out;
+}
+
+function uintBytes(n, minLength = 1) {
+  const bytes = [];
+  let v = n;
+  do {
+    bytes.unshift(v % 256);
+    v = Math.floor(v / 256);
+  } while (v > 0 || bytes.length < minLength);
+  return Uint8Array.from(bytes);
+}
+
+// EBML sizes are variable-length integers: a leading marker bit says how many bytes follow.
+function sizeBytes(n) {
+  let length = 1;
+  while (length < 8 && n >= 2 ** (7 * length) - 1) length += 1;
+  const out = uintBytes(n, length);
+  out[0] |= 1 << (8 - length);
+  return out;
+}
+
+function element(id, payload) {
+  return concat([uintBytes(id), sizeBytes(payload.length), payload]);
+}
+
+function uintElement(id, n) {
+  return element(id, uintBytes(n));
+}
+
+function floatElement(id, v) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, v);
+  return element(id, bytes);
+}
+
+function stringElement(id, text) {
+  return element(id, new TextEncoder().encode(text));
+}
+
+function masterElement(id, children) {
+  return element(id, concat(children));
+}
+
+function simpleBlock(frame, clusterTimeMs) {
+  const header = new Uint8Array(4);
+  header[0] = 0x81; // track 1
+  new DataView(header.buffer).setInt16(1, Math.round(frame.timeMs - clusterTimeMs));
+  header[3] = frame.key ? 0x80 : 0;
+  return element(0xa3, concat([header, frame.data]));
+}
+
+function buildWebm({ codecId, width, height, durationMs, frames }) {
+  const header = masterElement(0x1a45dfa3, [
+    uintElement(0x4286, 1),
+    uintElement(0x42f7, 1),
+    uintElement(0x42f2, 4),
+    uintElement(0x42f3, 8),
+    stringElement(0x4282, "webm"),
+    uintElement(0x4287, 2),
+    uintElement(0x4285, 2)
+  ]);
+  const info = masterElement(0x1549a966, [
+    uintElement(0x2ad7b1, 1000000), // timestamps in milliseconds
+    stringElement(0x4d80, "Lighting Texture Previewer"),
+    stringElement(0x5741, "Lighting Texture Previewer"),
+    floatElement(0x4489, durationMs)
+  ]);
+  const tracks = masterElement(0x1654ae6b, [
+    masterElement(0xae, [
+      uintElement(0xd7, 1),
+      uintElement(0x73c5, 1),
+      uintElement(0x83, 1), // video
+      stringElement(0x86, codecId),
+      masterElement(0xe0, [uintElement(0xb0, width), uintElement(0xba, height)])
+    ])
+  ]);
+  // A cluster starts at every keyframe; block times are 16-bit offsets from it.
+  const clusters = [];
+  let blocks = [];
+  let clusterTimeMs = 0;
+  const flush = () => {
+    if (blocks.length) clusters.push(masterElement(0x1f43b675, [uintElement(0xe7, Math.round(clusterTimeMs)), ...blocks]));
+    blocks = [];
+  };
+  frames.forEach((frame) => {
+    if (frame.key || frame.timeMs - clusterTimeMs > 30000) {
+      flush();
+      clusterTimeMs = frame.timeMs;
+    }
+    blocks.push(simpleBlock(frame, clusterTimeMs));
+  });
+  flush();
+  return concat([header, masterElement(0x18538067, [info, tracks, ...clusters])]);
+}
+
+// { addFrame(image, index), finish(frameCount) → WebM bytes, close() }. `image` is anything
+// VideoFrame takes (an ImageBitmap or canvas); frame `index` sets its time at `fps`.
+export async function createWebmEncoder({ width, height, fps }) {
+  if (typeof VideoEncoder === "undefined") throw new Error("WebCodecs video encoding is not available.");
+  const bitrate = Math.round(width * height * fps * 0.2);
+  let codec = null;
+  for (const candidate of CODECS) {
+    const support = await VideoEncoder.isConfigSupported({ codec: candidate.config, width, height, bitrate, framerate: fps });
+    if (support.supported) {
+      codec = candidate;
+      break;
+    }
+  }
+  if (!codec) throw new Error(`No WebM video encoder supports ${width}×${height}.`);
+
+  const frames = [];
+  let failure = null;
+  const encoder = new VideoEncoder({
+    output: (chunk) => {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      frames.push({ timeMs: chunk.timestamp / 1000, key: chunk.type === "key", data });
+    },
+    error: (error) => {
+      failure = error;
+    }
+  });
+  encoder.configure({ codec: codec.config, width, height, bitrate, framerate: fps });
+  const frameUs = 1e6 / fps;
+
+  return {
+    async addFrame(image, index) {
+      if (failure) throw failure;
+      const frame = new VideoFrame(image, { timestamp: Math.round(index * frameUs), duration: Math.round(frameUs) });
+      encoder.encode(frame, { keyFrame: index % Math.max(1, Math.round(fps * KEYFRAME_SECONDS)) === 0 });
+      frame.close();
+      while (encoder.encodeQueueSize > 2) await new Promise((resolve) => setTimeout(resolve, 5));
+    },
+    async finish(frameCount) {
+      await encoder.flush();
+      if (failure) throw failure;
+      encoder.close();
+      frames.sort((a, b) => a.timeMs - b.timeMs);
+      return buildWebm({ codecId: codec.id, width, height, durationMs: (frameCount * frameUs) / 1000, frames });
+    },
+    close() {
+      if (encoder.state !== "closed") encoder.close();
+    }
+  };
+}